@@ -2,15 +2,33 @@
  * Brightspace Content Creator - Production Ready
  * 
  * A clean, focused API client for creating Brightspace course content.
+ * All HTTP calls go through the shared pipeline in valence-http.js.
  * 
  * WORKING FEATURES:
  * - News/Announcements (multipart format)
  * - Discussion Forums (JSON format)
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
+const { valenceHttp } = require('./valence-http');
+const { BrightspaceAuthError, BrightspaceUpstreamError, fromAxiosError } = require('./brightspace-errors');
+const { getSourceSize, transferInChunks } = require('./chunked-upload');
 const jwt = require('jsonwebtoken');
 
+// Refresh this long before the access token actually expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Org unit type id Brightspace uses for course offerings
+const COURSE_OFFERING_TYPE_ID = 3;
+// Guards against a bookmark that never reports HasMoreItems = false
+const MAX_ENROLLMENT_PAGES = 100;
+const MAX_SURVEY_PAGES = 20;
+
+// How long a user has to finish the Brightspace login page
+const AUTH_STATE_TTL_MS = 10 * 60 * 1000;
+// Allows a few login attempts in parallel tabs without unbounded growth
+const MAX_PENDING_AUTHORIZATIONS = 5;
+
 class BrightspaceContentCreator {
   constructor() {
     // OAuth Configuration
@@ -18,13 +36,22 @@ class BrightspaceContentCreator {
     this.clientSecret = process.env.BRIGHTSPACE_CLIENT_SECRET;
     this.authUrl = process.env.BRIGHTSPACE_AUTH_URL;
     this.tokenUrl = process.env.BRIGHTSPACE_TOKEN_URL;
+    this.revokeUrl = process.env.BRIGHTSPACE_REVOKE_URL || 'https://auth.brightspace.com/core/connect/revocation';
     this.apiBaseUrl = process.env.BRIGHTSPACE_API_BASE_URL;
     this.redirectUri = process.env.BRIGHTSPACE_REDIRECT_URI;
+    this.usePkce = process.env.BRIGHTSPACE_USE_PKCE !== 'false';
     
     // Authentication
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
+    this.refreshPromise = null;
+
+    // OAuth state -> { codeVerifier, expiresAt } for logins that haven't come back yet
+    this.pendingAuthorizations = new Map();
+
+    // Called whenever tokens are issued, refreshed or cleared (used for persistence)
+    this.onTokensChanged = null;
     
     // Working OAuth scopes (from proven implementation)
     this.scopes = [
@@ -70,7 +97,16 @@ class BrightspaceContentCreator {
   // ==========================================
 
   getAuthorizationUrl() {
-    const state = `brightspace-content-creator-${Date.now()}`;
+    const state = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = this.usePkce ? crypto.randomBytes(48).toString('base64url') : null;
+
+    this.removeExpiredAuthorizations();
+    this.pendingAuthorizations.set(state, { codeVerifier, expiresAt: Date.now() + AUTH_STATE_TTL_MS });
+    if (this.pendingAuthorizations.size > MAX_PENDING_AUTHORIZATIONS) {
+      // Maps iterate in insertion order, so the first key is the oldest attempt
+      this.pendingAuthorizations.delete(this.pendingAuthorizations.keys().next().value);
+    }
+
     const params = new URLSearchParams({
       response_type: 'code',
       client_id: this.clientId,
@@ -78,11 +114,41 @@ class BrightspaceContentCreator {
       scope: this.scopes,
       state: state
     });
+
+    if (codeVerifier) {
+      params.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+      params.set('code_challenge_method', 'S256');
+    }
     
     return `${this.authUrl}?${params.toString()}`;
   }
 
-  async exchangeCodeForToken(code) {
+  // Validates the state returned to the callback and returns its PKCE code verifier.
+  // Each state can only be used once.
+  consumeAuthorizationState(state) {
+    this.removeExpiredAuthorizations();
+
+    const pending = state ? this.pendingAuthorizations.get(state) : null;
+    if (!pending) {
+      throw new BrightspaceAuthError('Login request expired or did not match. Please try connecting again.', {
+        code: 'INVALID_OAUTH_STATE'
+      });
+    }
+
+    this.pendingAuthorizations.delete(state);
+    return pending.codeVerifier;
+  }
+
+  removeExpiredAuthorizations() {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingAuthorizations) {
+      if (pending.expiresAt <= now) {
+        this.pendingAuthorizations.delete(state);
+      }
+    }
+  }
+
+  async exchangeCodeForToken(code, codeVerifier = null) {
     const tokenData = {
       grant_type: 'authorization_code',
       client_id: this.clientId,
@@ -91,29 +157,201 @@ class BrightspaceContentCreator {
       code: code
     };
 
-    const response = await axios({
-      method: 'POST',
-      url: this.tokenUrl,
-      data: new URLSearchParams(tokenData),
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
+    if (codeVerifier) {
+      tokenData.code_verifier = codeVerifier;
+    }
+
+    let response;
+    try {
+      response = await valenceHttp.request({
+        method: 'POST',
+        url: this.tokenUrl,
+        data: new URLSearchParams(tokenData),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+    } catch (error) {
+      throw fromAxiosError(error, 'Token exchange failed');
+    }
+
+    this.setTokens(response.data);
+
+    return response.data;
+  }
+
+  setTokens(tokenResponse) {
+    this.accessToken = tokenResponse.access_token;
+    // Brightspace rotates refresh tokens, but keep the old one if none is returned
+    this.refreshToken = tokenResponse.refresh_token || this.refreshToken;
+    this.tokenExpiry = new Date(Date.now() + (tokenResponse.expires_in * 1000));
+    this.notifyTokensChanged();
+  }
+
+  clearTokens() {
+    const hadTokens = Boolean(this.accessToken || this.refreshToken);
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.tokenExpiry = null;
+    if (hadTokens) this.notifyTokensChanged();
+  }
+
+  getTokenState() {
+    return {
+      accessToken: this.accessToken,
+      refreshToken: this.refreshToken,
+      tokenExpiry: this.tokenExpiry ? this.tokenExpiry.toISOString() : null
+    };
+  }
+
+  restoreTokens(state) {
+    this.accessToken = state.accessToken || null;
+    this.refreshToken = state.refreshToken || null;
+    this.tokenExpiry = state.tokenExpiry ? new Date(state.tokenExpiry) : null;
+  }
+
+  notifyTokensChanged() {
+    if (this.onTokensChanged) {
+      this.onTokensChanged(this.getTokenState());
+    }
+  }
+
+  async refreshAccessToken() {
+    // Concurrent callers share one in-flight refresh
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    if (!this.refreshToken) {
+      this.clearTokens();
+      throw new BrightspaceAuthError('No refresh token available');
+    }
+
+    this.refreshPromise = (async () => {
+      try {
+        const response = await valenceHttp.request({
+          method: 'POST',
+          url: this.tokenUrl,
+          data: new URLSearchParams({
+            grant_type: 'refresh_token',
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            refresh_token: this.refreshToken
+          }),
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        });
+
+        if (!response.data?.access_token) {
+          throw new BrightspaceUpstreamError('Token endpoint returned no access token');
+        }
+
+        this.setTokens(response.data);
+        console.log('🔄 Access token refreshed');
+        return response.data;
+      } catch (error) {
+        console.error('Token refresh failed:', error.response?.data || error.message);
+
+        // Only a definite rejection (e.g. invalid_grant) ends the session. An outage,
+        // timeout or throttling keeps the refresh token for the next attempt.
+        const status = error.response?.status;
+        if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+          this.clearTokens();
+          throw new BrightspaceAuthError('Session expired. Please reconnect to Brightspace.', {
+            requestId: error.requestId,
+            cause: error
+          });
+        }
+        throw fromAxiosError(error, 'Token refresh failed');
+      } finally {
+        this.refreshPromise = null;
       }
+    })();
+
+    return this.refreshPromise;
+  }
+
+  async revokeTokens() {
+    // Revoking the refresh token also invalidates access tokens issued from it
+    const token = this.refreshToken || this.accessToken;
+    const tokenTypeHint = this.refreshToken ? 'refresh_token' : 'access_token';
+    this.clearTokens();
+
+    if (!token) return;
+
+    try {
+      await valenceHttp.request({
+        method: 'POST',
+        url: this.revokeUrl,
+        data: new URLSearchParams({
+          token,
+          token_type_hint: tokenTypeHint,
+          client_id: this.clientId,
+          client_secret: this.clientSecret
+        }),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+      console.log('🔒 Tokens revoked');
+    } catch (error) {
+      // The local session is cleared either way
+      console.error('Token revocation failed:', error.response?.data || error.message);
+    }
+  }
+
+  hasValidAccessToken(marginMs = 0) {
+    return Boolean(this.accessToken && this.tokenExpiry && Date.now() + marginMs < this.tokenExpiry.getTime());
+  }
+
+  async ensureValidToken() {
+    if (!this.hasValidAccessToken(TOKEN_REFRESH_MARGIN_MS) && this.refreshToken) {
+      await this.refreshAccessToken();
+    }
+  }
+
+  // Every authenticated Valence call goes through here and on to the shared
+  // HTTP pipeline (retries, backoff, rate limiting - see valence-http.js).
+  // The token is refreshed up front when it is about to expire and once more
+  // if Brightspace still rejects it with a 401. Failures are thrown as typed
+  // errors from brightspace-errors.js.
+  async request(config) {
+    const requestId = crypto.randomUUID().slice(0, 8);
+    const send = () => valenceHttp.request({
+      requestId,
+      ...config,
+      headers: { ...this.getAuthHeaders(), ...config.headers }
     });
 
-    this.accessToken = response.data.access_token;
-    this.refreshToken = response.data.refresh_token;
-    this.tokenExpiry = new Date(Date.now() + (response.data.expires_in * 1000));
+    await this.ensureValidToken();
 
-    return response.data;
+    try {
+      return await send();
+    } catch (error) {
+      if (error.response?.status !== 401 || !this.refreshToken) {
+        throw fromAxiosError(error);
+      }
+    }
+
+    console.log(`🔄 [valence ${requestId}] Received 401, refreshing access token and retrying`);
+    await this.refreshAccessToken();
+
+    try {
+      return await send();
+    } catch (error) {
+      throw fromAxiosError(error);
+    }
   }
 
   isAuthenticated() {
-    return this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry;
+    // An expired access token still counts while it can be refreshed
+    return this.hasValidAccessToken() || Boolean(this.refreshToken);
   }
 
   getAuthHeaders() {
-    if (!this.isAuthenticated()) {
-      throw new Error('Not authenticated. Please complete OAuth flow first.');
+    if (!this.hasValidAccessToken()) {
+      throw new BrightspaceAuthError('Not authenticated. Please complete OAuth flow first.');
     }
     
     return {
@@ -130,41 +368,84 @@ class BrightspaceContentCreator {
   async getCurrentUser() {
     const url = `${this.apiBaseUrl}/lp/1.0/users/whoami`;
     
-    try {
-      const response = await axios({
-        method: 'GET',
-        url,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error('API Error:', error.response?.data || error.message);
-      throw error;
-    }
+    const response = await this.request({
+      method: 'GET',
+      url
+    });
+
+    return response.data;
   }
 
   // ==========================================
   // COURSE ENROLLMENTS
   // ==========================================
 
-  async getCourses() {
+  // Follows the paged result set's bookmark until every enrollment is loaded
+  async getEnrollments({ orgUnitTypeId = COURSE_OFFERING_TYPE_ID, isActive } = {}) {
     const url = `${this.apiBaseUrl}/lp/1.0/enrollments/myenrollments/`;
+    const items = [];
+    let bookmark = null;
     
-    try {
-      const response = await axios({
+    for (let page = 0; page < MAX_ENROLLMENT_PAGES; page++) {
+      const params = {};
+      if (orgUnitTypeId) params.orgUnitTypeId = orgUnitTypeId;
+      if (typeof isActive === 'boolean') params.isActive = isActive;
+      if (bookmark) params.bookmark = bookmark;
+
+      const response = await this.request({
         method: 'GET',
         url,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
+        params
       });
-      
-      return response.data;
-    } catch (error) {
-      console.error('API Error:', error.response?.data || error.message);
-      throw error;
+
+      items.push(...(response.data.Items || []));
+
+      const pagingInfo = response.data.PagingInfo || {};
+      if (!pagingInfo.HasMoreItems || !pagingInfo.Bookmark) {
+        return items;
+      }
+      bookmark = pagingInfo.Bookmark;
     }
+
+    console.warn(`Stopped loading enrollments after ${MAX_ENROLLMENT_PAGES} pages`);
+    return items;
+  }
+
+  // Filters enrollment items by org unit type, role, active status, name/code and date range
+  filterEnrollments(items, { orgUnitTypeId, roles, isActive, canAccess, search, startDate, endDate } = {}) {
+    const roleNames = (roles || []).map(role => role.toLowerCase());
+    const searchTerm = search ? search.toLowerCase() : null;
+    const rangeStart = startDate ? new Date(startDate).getTime() : null;
+    const rangeEnd = endDate ? new Date(endDate).getTime() : null;
+
+    return items.filter(({ OrgUnit: orgUnit, Access: access = {} }) => {
+      if (orgUnitTypeId && orgUnit.Type?.Id !== orgUnitTypeId) return false;
+      if (typeof isActive === 'boolean' && access.IsActive !== isActive) return false;
+      if (typeof canAccess === 'boolean' && access.CanAccess !== canAccess) return false;
+
+      if (roleNames.length > 0 && !roleNames.includes((access.ClasslistRoleName || '').toLowerCase())) {
+        return false;
+      }
+
+      if (searchTerm) {
+        const haystack = `${orgUnit.Name || ''} ${orgUnit.Code || ''}`.toLowerCase();
+        if (!haystack.includes(searchTerm)) return false;
+      }
+
+      // Keep offerings whose access window overlaps the requested range; missing dates are open-ended
+      const courseStart = access.StartDate ? new Date(access.StartDate).getTime() : null;
+      const courseEnd = access.EndDate ? new Date(access.EndDate).getTime() : null;
+      if (rangeStart !== null && courseEnd !== null && courseEnd < rangeStart) return false;
+      if (rangeEnd !== null && courseStart !== null && courseStart > rangeEnd) return false;
+
+      return true;
+    });
+  }
+
+  async getCourses(filters = {}) {
+    const orgUnitTypeId = filters.orgUnitTypeId === undefined ? COURSE_OFFERING_TYPE_ID : filters.orgUnitTypeId;
+    const enrollments = await this.getEnrollments({ orgUnitTypeId });
+    return this.filterEnrollments(enrollments, { ...filters, orgUnitTypeId });
   }
 
   // ==========================================
@@ -176,131 +457,204 @@ class BrightspaceContentCreator {
     
     // Test if user can read news items (basic permission check)
     try {
-      const url = `${this.apiBaseUrl}/le/1.0/${courseId}/news/`;
-      const response = await axios({
-        method: 'GET',
-        url,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
+      const newsItems = await this.getNewsItems(courseId);
       
       console.log('✅ User can READ news items - basic permission OK');
-      console.log('📋 Existing news items count:', response.data.length);
+      console.log('📋 Existing news items count:', newsItems.length);
       return {
         canRead: true,
-        newsCount: response.data.length,
-        data: response.data
+        newsCount: newsItems.length,
+        data: newsItems
       };
     } catch (error) {
-      console.error('❌ Cannot read news items:', error.response?.data || error.message);
+      if (error instanceof BrightspaceAuthError) throw error;
+      console.error('❌ Cannot read news items:', error.message);
       
-      if (error.response?.status === 403) {
+      if (error.code === 'PERMISSION_DENIED') {
         console.error('🔒 PERMISSION DENIED: User lacks basic news read permissions');
       }
       
       return {
         canRead: false,
-        error: error.response?.data || error.message
+        error: error.message
       };
     }
   }
 
-  async getExistingNews(courseId) {
-    const url = `${this.apiBaseUrl}/le/1.0/${courseId}/news/`;
-    
-    try {
-      const response = await axios({
-        method: 'GET',
-        url,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      console.log('Existing news items:', JSON.stringify(response.data, null, 2));
-      return response.data;
-    } catch (error) {
-      console.error('Failed to get existing news:', error.response?.data || error.message);
-      throw error;
-    }
+  getNewsUrl(courseId, newsItemId = null) {
+    const base = `${this.apiBaseUrl}/le/1.0/${courseId}/news/`;
+    return newsItemId ? `${base}${newsItemId}` : base;
   }
 
-  async createNewsItem(orgUnitId, newsData) {
-    // News API requires multipart/mixed format according to documentation
-    const boundary = `----formdata-brightspace-${Date.now()}`;
-    const jsonPart = JSON.stringify(newsData);
-    
-    const multipartBody = [
-      `--${boundary}`,
-      'Content-Type: application/json',
-      '',
-      jsonPart,
-      `--${boundary}--`
-    ].join('\r\n');
+  async getNewsItems(courseId) {
+    const response = await this.request({
+      method: 'GET',
+      url: this.getNewsUrl(courseId)
+    });
+
+    return response.data;
+  }
+
+  async getNewsItem(courseId, newsItemId) {
+    const response = await this.request({
+      method: 'GET',
+      url: this.getNewsUrl(courseId, newsItemId)
+    });
+
+    return response.data;
+  }
+
+  // PUT replaces the whole item, so newsData must be a complete NewsItemData
+  async updateNewsItem(courseId, newsItemId, newsData) {
+    const response = await this.request({
+      method: 'PUT',
+      url: this.getNewsUrl(courseId, newsItemId),
+      data: newsData
+    });
+
+    return response.data;
+  }
+
+  // Publishes a draft news item
+  async publishNewsItem(courseId, newsItemId) {
+    const response = await this.request({
+      method: 'POST',
+      url: `${this.getNewsUrl(courseId, newsItemId)}/publish`
+    });
+
+    return response.data;
+  }
+
+  async deleteNewsItem(courseId, newsItemId) {
+    await this.request({
+      method: 'DELETE',
+      url: this.getNewsUrl(courseId, newsItemId)
+    });
+  }
+
+  /**
+   * Create a news item. The News API takes multipart/mixed: the NewsItemData JSON
+   * as the first part, then one part per attachment.
+   * attachments: [{ buffer, fileName, contentType }]
+   */
+  async createNewsItem(orgUnitId, newsData, attachments = []) {
+    const boundary = `----brightspace-news-${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [
+      Buffer.from(`--${boundary}\r\nContent-Type: application/json\r\n\r\n${JSON.stringify(newsData)}\r\n`)
+    ];
+
+    attachments.forEach(attachment => {
+      // Quotes or line breaks in a filename would corrupt the part headers
+      const fileName = attachment.fileName.replace(/["\r\n]/g, '_');
+      parts.push(
+        Buffer.from(
+          `--${boundary}\r\n` +
+          `Content-Disposition: form-data; name=""; filename="${fileName}"\r\n` +
+          `Content-Type: ${attachment.contentType || 'application/octet-stream'}\r\n\r\n`
+        ),
+        attachment.buffer,
+        Buffer.from('\r\n')
+      );
+    });
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
 
     const url = `${this.apiBaseUrl}/le/1.0/${orgUnitId}/news/`;
-    
-    console.log(`🌐 Making multipart API call to: ${url}`);
-    console.log(`📦 Multipart body:`, multipartBody);
+    console.log(`📦 News item "${newsData.Title}" with ${attachments.length} attachment(s)`);
 
-    try {
-      const response = await axios({
-        method: 'POST',
-        url,
-        data: multipartBody,
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': `multipart/mixed; boundary=${boundary}`,
-          'Accept': 'application/json'
-        },
-        timeout: 30000
-      });
-      
-      console.log(`✅ Multipart API call successful`);
-      return response.data;
-    } catch (error) {
-      console.error(`API Error [POST ${url}]:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message
-      });
-      throw error;
-    }
+    const response = await this.request({
+      method: 'POST',
+      url,
+      data: Buffer.concat(parts),
+      headers: {
+        'Content-Type': `multipart/mixed; boundary=${boundary}`
+      }
+    });
+
+    return response.data;
   }
 
   // ==========================================
   // CONTENT MODULES (NEW)
   // ==========================================
 
-  async createContentModule(orgUnitId, moduleData) {
+  // The whole content tree; ignoreDateRestrictions includes items students can't see yet
+  async getTableOfContents(orgUnitId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `${this.apiBaseUrl}/le/1.0/${orgUnitId}/content/toc`,
+      params: { ignoreDateRestrictions: true }
+    });
+
+    return response.data;
+  }
+
+  // The stored file behind a file or HTML topic, as text
+  async getContentTopicFile(orgUnitId, topicId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `${this.apiBaseUrl}/le/1.0/${orgUnitId}/content/topics/${topicId}/file`,
+      headers: { Accept: '*/*' },
+      responseType: 'text'
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Create a module at the top of the course's table of contents, or inside
+   * parentModuleId. Items are appended, so creation order is display order.
+   */
+  async createContentModule(orgUnitId, moduleData, parentModuleId = null) {
     const completeModuleData = {
       Title: moduleData.Title,
-      Description: moduleData.Description || { Text: '', Html: '' },
+      ShortTitle: moduleData.ShortTitle || '',
+      Type: 0,
+      ModuleStartDate: moduleData.ModuleStartDate || null,
+      ModuleEndDate: moduleData.ModuleEndDate || null,
+      ModuleDueDate: moduleData.ModuleDueDate || null,
       IsHidden: moduleData.IsHidden || false,
-      IsLocked: moduleData.IsLocked || false
+      IsLocked: moduleData.IsLocked || false,
+      Description: moduleData.Description || { Text: '', Html: '' }
     };
-    
-    const url = `${this.apiBaseUrl}/le/1.0/${orgUnitId}/content/modules/`;
-    
-    try {
-      const response = await axios({
-        method: 'POST',
-        url,
-        data: completeModuleData,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`API Error [POST ${url}]:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message
-      });
-      throw error;
-    }
+
+    const contentUrl = `${this.apiBaseUrl}/le/1.0/${orgUnitId}/content`;
+
+    const response = await this.request({
+      method: 'POST',
+      url: parentModuleId ? `${contentUrl}/modules/${parentModuleId}/structure/` : `${contentUrl}/root/`,
+      data: completeModuleData
+    });
+
+    return response.data;
+  }
+
+  // Link topics point at topicData.Url; file and HTML topics at a file uploaded with uploadFileToCourse
+  async createContentTopic(orgUnitId, moduleId, topicData) {
+    const completeTopicData = {
+      Title: topicData.Title,
+      ShortTitle: topicData.ShortTitle || '',
+      Type: 1,
+      TopicType: topicData.TopicType,
+      Url: topicData.Url,
+      StartDate: topicData.StartDate || null,
+      EndDate: topicData.EndDate || null,
+      DueDate: topicData.DueDate || null,
+      IsHidden: topicData.IsHidden || false,
+      IsLocked: topicData.IsLocked || false,
+      OpenAsExternalResource: topicData.OpenAsExternalResource || false,
+      Description: topicData.Description || { Text: '', Html: '' },
+      MajorUpdate: false,
+      MajorUpdateText: '',
+      ResetCompletionTracking: false
+    };
+
+    const response = await this.request({
+      method: 'POST',
+      url: `${this.apiBaseUrl}/le/1.0/${orgUnitId}/content/modules/${moduleId}/structure/`,
+      data: completeTopicData
+    });
+
+    return response.data;
   }
 
   // ==========================================
@@ -316,49 +670,94 @@ class BrightspaceContentCreator {
       AllowAnonymous: forumData.AllowAnonymous || false,
       IsLocked: forumData.IsLocked || false,
       IsHidden: forumData.IsHidden || false,
-      RequiresApproval: false,
+      RequiresApproval: forumData.RequiresApproval || false,
+      StartDate: forumData.StartDate || null,
+      EndDate: forumData.EndDate || null,
       IsActive: true
     };
     
-    try {
-      const response = await axios({
-        method: 'POST',
-        url,
-        data: completeForumData,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error('Discussion forum creation failed:', error.response?.data || error.message);
-      throw error;
-    }
+    const response = await this.request({
+      method: 'POST',
+      url,
+      data: completeForumData
+    });
+
+    return response.data;
+  }
+
+  async getDiscussionForums(courseId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `${this.apiBaseUrl}/le/1.0/${courseId}/discussions/forums/`
+    });
+
+    return response.data;
+  }
+
+  async getDiscussionTopics(courseId, forumId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `${this.apiBaseUrl}/le/1.0/${courseId}/discussions/forums/${forumId}/topics/`
+    });
+
+    return response.data;
+  }
+
+  async getDiscussionTopic(courseId, forumId, topicId) {
+    const response = await this.request({
+      method: 'GET',
+      url: `${this.apiBaseUrl}/le/1.0/${courseId}/discussions/forums/${forumId}/topics/${topicId}`
+    });
+
+    return response.data;
   }
 
   async createDiscussionTopic(courseId, forumId, topicData) {
     const url = `${this.apiBaseUrl}/le/1.0/${courseId}/discussions/forums/${forumId}/topics/`;
     
-    try {
-      const response = await axios({
-        method: 'POST',
-        url,
-        data: topicData,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error('Discussion topic creation failed:', error.response?.data || error.message);
-      throw error;
-    }
+    const response = await this.request({
+      method: 'POST',
+      url,
+      data: topicData
+    });
+
+    return response.data;
+  }
+
+  // PUT replaces the topic, so topicData must be complete (see buildTopicUpdatePayload)
+  async updateDiscussionTopic(courseId, forumId, topicId, topicData) {
+    const response = await this.request({
+      method: 'PUT',
+      url: `${this.apiBaseUrl}/le/1.0/${courseId}/discussions/forums/${forumId}/topics/${topicId}`,
+      data: topicData
+    });
+
+    return response.data;
   }
 
   // ==========================================
   // SURVEYS
   // ==========================================
 
+  // Surveys come back in pages; each page links to the next until there are no more
+  async getSurveys(orgUnitId) {
+    const surveys = [];
+    let url = `${this.apiBaseUrl}/le/1.0/${orgUnitId}/surveys/`;
+
+    for (let page = 0; page < MAX_SURVEY_PAGES && url; page++) {
+      const response = await this.request({
+        method: 'GET',
+        url
+      });
+
+      const data = response.data || {};
+      surveys.push(...(Array.isArray(data) ? data : data.Objects || []));
+      url = Array.isArray(data) ? null : data.Next;
+    }
+
+    return surveys;
+  }
+
   async createSurvey(orgUnitId, surveyData) {
     const url = `${this.apiBaseUrl}/le/1.0/${orgUnitId}/surveys/`;
     
@@ -370,28 +769,41 @@ class BrightspaceContentCreator {
       SortOrder: surveyData.SortOrder || 0,
       IsAnonymous: surveyData.IsAnonymous !== undefined ? surveyData.IsAnonymous : false,
       IsHidden: surveyData.IsHidden !== undefined ? surveyData.IsHidden : false,
-      ShowResults: surveyData.ShowResults !== undefined ? surveyData.ShowResults : false
+      ShowResults: surveyData.ShowResults !== undefined ? surveyData.ShowResults : false,
+      StartDate: surveyData.StartDate || null,
+      EndDate: surveyData.EndDate || null
     };
     
-    try {
-      const response = await axios({
-        method: 'POST',
-        url,
-        data: completeSurveyData,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`API Error [POST ${url}]:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message
-      });
-      throw error;
-    }
+    const response = await this.request({
+      method: 'POST',
+      url,
+      data: completeSurveyData
+    });
+
+    return response.data;
+  }
+
+  async createSurveySection(orgUnitId, surveyId, sectionData) {
+    const response = await this.request({
+      method: 'POST',
+      url: `${this.apiBaseUrl}/le/1.0/${orgUnitId}/surveys/${surveyId}/sections/`,
+      data: sectionData
+    });
+
+    return response.data;
+  }
+
+  // Without a sectionId the question is added at the top level of the survey
+  async createSurveyQuestion(orgUnitId, surveyId, questionData, sectionId = null) {
+    const surveyUrl = `${this.apiBaseUrl}/le/1.0/${orgUnitId}/surveys/${surveyId}`;
+
+    const response = await this.request({
+      method: 'POST',
+      url: sectionId ? `${surveyUrl}/sections/${sectionId}/questions/` : `${surveyUrl}/questions/`,
+      data: questionData
+    });
+
+    return response.data;
   }
 
   // ==========================================
@@ -419,92 +831,94 @@ class BrightspaceContentCreator {
       AttemptsAllowed: quizData.AttemptsAllowed || 0
     };
     
-    try {
-      const response = await axios({
-        method: 'POST',
-        url,
-        data: completeQuizData,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`API Error [POST ${url}]:`, {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message
-      });
-      throw error;
-    }
+    const response = await this.request({
+      method: 'POST',
+      url,
+      data: completeQuizData
+    });
+
+    return response.data;
+  }
+
+  async createQuizQuestion(orgUnitId, quizId, questionData) {
+    const response = await this.request({
+      method: 'POST',
+      url: `${this.apiBaseUrl}/le/1.0/${orgUnitId}/quizzes/${quizId}/questions/`,
+      data: questionData
+    });
+
+    return response.data;
   }
 
   // ==========================================
   // FILE MANAGEMENT
   // ==========================================
 
-  async uploadFileToCourse(courseId, fileBuffer, fileName, fileType) {
+  /**
+   * `file` is a Buffer or { path, size } for a file on disk (see chunked-upload.js).
+   * options:
+   * - onProgress(sentBytes, totalBytes) and signal: passed to the transfer
+   * - state: an object kept between attempts. It remembers the upload location, so
+   *   calling again with the same state resumes an interrupted transfer
+   */
+  async uploadFileToCourse(courseId, file, fileName, fileType, { onProgress, signal, state = {} } = {}) {
     // Brightspace file upload uses a 3-step process:
     // 1. Create upload location
-    // 2. PUT file to upload location
+    // 2. PUT file to upload location, in chunks when it is large
     // 3. Finalize upload
     
     const uploadEndpoint = `${this.apiBaseUrl}/le/1.0/${courseId}/managefiles/upload/`;
+    const resume = Boolean(state.location);
     
-    try {
-      // Step 1: Request an upload location
-      const response = await axios({
+    // Step 1: Request an upload location, unless an earlier attempt already has one
+    if (!resume) {
+      const response = await this.request({
         method: 'POST',
         url: uploadEndpoint,
-        headers: this.getAuthHeaders(),
         data: {
           FileName: fileName,
-          FileSize: fileBuffer.length
-        },
-        timeout: 30000
-      });
-      
-      const uploadLocation = response.data;
-      
-      // Step 2: Upload the file to the provided location
-      await axios({
-        method: 'PUT',
-        url: uploadLocation.UploadUrl || uploadLocation.uploadUrl,
-        data: fileBuffer,
-        headers: {
-          'Content-Type': fileType || 'application/octet-stream',
-          'Content-Length': fileBuffer.length.toString()
-        },
-        timeout: 60000
+          FileSize: getSourceSize(file)
+        }
       });
-      
-      // Step 3: Finalize the upload
-      const fileId = uploadLocation.FileId || uploadLocation.fileId || uploadLocation.Id;
-      const finalizeUrl = uploadEndpoint.replace('/upload/', `/${fileId}/finalize/`);
-      
-      const finalizeResponse = await axios({
-        method: 'POST',
-        url: finalizeUrl,
-        headers: this.getAuthHeaders(),
-        timeout: 30000
-      });
-
-      return finalizeResponse.data;
-      
+      state.location = response.data;
+    }
+    
+    const uploadLocation = state.location;
+    
+    // Step 2: Upload the file to the provided location
+    try {
+      await this.transferFile(uploadLocation.UploadUrl || uploadLocation.uploadUrl, file, fileType, { onProgress, signal, resume });
     } catch (error) {
-      console.error('File upload error:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message,
-        url: error.config?.url
-      });
-      
+      // An expired location can't be resumed; start over with a new one
+      if (resume && [404, 410].includes(error.upstreamStatus)) {
+        state.location = null;
+        return this.uploadFileToCourse(courseId, file, fileName, fileType, { onProgress, signal, state });
+      }
       throw error;
     }
+    
+    // Step 3: Finalize the upload
+    const fileId = uploadLocation.FileId || uploadLocation.fileId || uploadLocation.Id;
+    const finalizeUrl = uploadEndpoint.replace('/upload/', `/${fileId}/finalize/`);
+    
+    const finalizeResponse = await this.request({
+      method: 'POST',
+      url: finalizeUrl
+    });
+    state.location = null;
+
+    return finalizeResponse.data;
   }
 
+  // The upload location is pre-signed, so the file goes without the auth header
+  async transferFile(uploadUrl, file, fileType, options = {}) {
+    try {
+      await transferInChunks(uploadUrl, file, fileType, options);
+    } catch (error) {
+      if (error.code === 'UPLOAD_CANCELLED') throw error;
+      throw fromAxiosError(error, 'File transfer failed');
+    }
+  }
 
   // ==========================================
   // UTILITY METHODS
@@ -526,4 +940,6 @@ class BrightspaceContentCreator {
   }
 }
 
+BrightspaceContentCreator.COURSE_OFFERING_TYPE_ID = COURSE_OFFERING_TYPE_ID;
+
 module.exports = BrightspaceContentCreator;
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Brightspace Errors
+ *
+ * Typed errors raised by BrightspaceContentCreator. Each kind carries a
+ * stable `code` and the HTTP status the API should answer with, so routes
+ * and the frontend can tell a permission problem from a validation problem
+ * or an outage.
+ *
+ * HIERARCHY:
+ * - BrightspaceApiError           UPSTREAM_ERROR     502 (base class)
+ *   - BrightspaceAuthError        AUTH_REQUIRED      401
+ *   - BrightspacePermissionError  PERMISSION_DENIED  403
+ *   - BrightspaceNotFoundError    NOT_FOUND          404
+ *   - BrightspaceValidationError  VALIDATION_FAILED  400
+ *   - BrightspaceRateLimitError   RATE_LIMITED       429
+ *   - BrightspaceUpstreamError    UPSTREAM_ERROR     502
+ */
+
+class BrightspaceApiError extends Error {
+  constructor(message, { code = 'UPSTREAM_ERROR', httpStatus = 502, upstreamStatus = null, details = null, requestId = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.upstreamStatus = upstreamStatus;
+    this.details = details;
+    this.requestId = requestId;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      details: this.details || undefined,
+      requestId: this.requestId || undefined
+    };
+  }
+}
+
+class BrightspaceAuthError extends BrightspaceApiError {
+  constructor(message = 'Not authenticated. Please connect to Brightspace.', options = {}) {
+    super(message, { code: 'AUTH_REQUIRED', ...options, httpStatus: 401 });
+  }
+}
+
+class BrightspacePermissionError extends BrightspaceApiError {
+  constructor(message = 'You do not have permission to perform this action in Brightspace.', options = {}) {
+    super(message, { code: 'PERMISSION_DENIED', ...options, httpStatus: 403 });
+  }
+}
+
+class BrightspaceNotFoundError extends BrightspaceApiError {
+  constructor(message = 'The requested Brightspace resource was not found.', options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options, httpStatus: 404 });
+  }
+}
+
+class BrightspaceValidationError extends BrightspaceApiError {
+  constructor(message = 'Brightspace rejected the request as invalid.', options = {}) {
+    super(message, { code: 'VALIDATION_FAILED', ...options, httpStatus: 400 });
+  }
+}
+
+class BrightspaceRateLimitError extends BrightspaceApiError {
+  constructor(message = 'Brightspace is throttling requests. Please try again shortly.', { retryAfterSeconds = null, ...options } = {}) {
+    super(message, { code: 'RATE_LIMITED', ...options, httpStatus: 429 });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfterSeconds: this.retryAfterSeconds || undefined };
+  }
+}
+
+class BrightspaceUpstreamError extends BrightspaceApiError {
+  constructor(message = 'Brightspace is unavailable or returned an unexpected error.', options = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', ...options, httpStatus: 502 });
+  }
+}
+
+// Valence error bodies are either plain text or JSON with a Detail/Message field
+function describeUpstreamBody(data) {
+  if (!data) return null;
+  if (typeof data === 'string') return data.slice(0, 500);
+  return data.Detail || data.Message || data.message || data.Title || data;
+}
+
+/**
+ * Convert an axios error (or anything thrown while calling Brightspace) into
+ * the matching BrightspaceApiError subclass. Already-typed errors pass through.
+ */
+function fromAxiosError(error, context = '') {
+  if (error instanceof BrightspaceApiError) return error;
+
+  const status = error.response?.status;
+  const details = describeUpstreamBody(error.response?.data);
+  const options = { upstreamStatus: status || null, details, requestId: error.requestId || null, cause: error };
+  const prefix = context ? `${context}: ` : '';
+
+  if (!status) {
+    return new BrightspaceUpstreamError(`${prefix}Could not reach Brightspace (${error.code || error.message})`, options);
+  }
+
+  switch (status) {
+    case 400:
+    case 409:
+    case 422:
+      return new BrightspaceValidationError(`${prefix}Brightspace rejected the request${typeof details === 'string' ? ` - ${details}` : ''}`, options);
+    case 401:
+      return new BrightspaceAuthError(`${prefix}Brightspace session is no longer valid. Please reconnect.`, options);
+    case 403:
+      return new BrightspacePermissionError(`${prefix}You do not have permission to do this in Brightspace`, options);
+    case 404:
+      return new BrightspaceNotFoundError(`${prefix}Brightspace resource not found`, options);
+    case 429: {
+      const retryAfter = Number(error.response?.headers?.['retry-after']);
+      return new BrightspaceRateLimitError(`${prefix}Brightspace is throttling requests. Please try again shortly.`, {
+        ...options,
+        retryAfterSeconds: Number.isNaN(retryAfter) ? null : retryAfter
+      });
+    }
+    default:
+      return new BrightspaceUpstreamError(`${prefix}Brightspace returned an error (HTTP ${status})`, options);
+  }
+}
+
+module.exports = {
+  BrightspaceApiError,
+  BrightspaceAuthError,
+  BrightspacePermissionError,
+  BrightspaceNotFoundError,
+  BrightspaceValidationError,
+  BrightspaceRateLimitError,
+  BrightspaceUpstreamError,
+  fromAxiosError
+};
@@ -0,0 +1,90 @@
+/**
+ * Bulk Publisher
+ *
+ * Runs one create operation - an announcement, forum, survey or file built
+ * once from a validated payload - against several course offerings and
+ * reports a result per course. Courses are worked through a few at a time
+ * (BULK_MAX_CONCURRENCY, default 3) on top of the HTTP pipeline's own
+ * per-host limit, so one bulk request can't crowd out every other session.
+ *
+ * A course that fails doesn't stop the others; only a lost session does,
+ * since no remaining course could succeed without it. Courses already under
+ * way finish, the ones not yet started are reported as skipped.
+ */
+
+const { BrightspaceAuthError } = require('./brightspace-errors');
+const { HostLimiter } = require('./valence-http');
+
+const MAX_BULK_COURSES = 50;
+const BULK_CONCURRENCY = Number(process.env.BULK_MAX_CONCURRENCY) || 3;
+
+function checkUniqueCourses(courseIds) {
+  return new Set(courseIds).size === (courseIds || []).length ? null : 'Each course can only be listed once';
+}
+
+const bulkCoursesSchema = {
+  courseIds: {
+    type: 'array',
+    label: 'Courses',
+    required: true,
+    minLength: 1,
+    maxLength: MAX_BULK_COURSES,
+    items: { type: 'integer', label: 'Course ID', required: true, min: 1 },
+    check: checkUniqueCourses
+  }
+};
+
+/**
+ * Run publish(courseId) for every course. publish resolves with details to
+ * report for that course (e.g. { id }), which may override `success`.
+ * Resolves with { success, partial, results: [{ courseId, success, ... }] }
+ * in the order of courseIds. If the session is lost, the result also has the
+ * auth error's `error` and `code`, and unstarted courses have `skipped: true`.
+ */
+async function publishToCourses(courseIds, publish, { concurrency = BULK_CONCURRENCY } = {}) {
+  const limiter = new HostLimiter(concurrency);
+  let authError = null;
+
+  const results = await Promise.all(courseIds.map(courseId => limiter.run(async () => {
+    if (authError) {
+      return { courseId, success: false, skipped: true, error: 'Not attempted: the Brightspace session was lost', code: 'SKIPPED' };
+    }
+
+    try {
+      const result = { courseId, success: true, ...await publish(courseId) };
+      console.log(`${result.success ? '✅' : '⚠️'} Bulk publish to course ${courseId} ${result.success ? 'succeeded' : 'partly failed'}`);
+      return result;
+    } catch (error) {
+      if (error instanceof BrightspaceAuthError) authError = authError || error;
+
+      console.error(`❌ Bulk publish to course ${courseId} failed:`, error.message);
+      return { courseId, success: false, error: error.message, code: error.code };
+    }
+  })));
+
+  const failed = results.filter(result => !result.success);
+
+  return {
+    success: failed.length === 0,
+    partial: failed.length > 0 && failed.length < results.length,
+    ...(authError && { error: authError.message, code: authError.code }),
+    results
+  };
+}
+
+// One background job task per course (see job-queue.js)
+function getCourseTasks(courseIds, publish) {
+  return courseIds.map(courseId => ({
+    key: courseId,
+    title: `Course ${courseId}`,
+    run: (signal, reportProgress) => publish(courseId, signal, reportProgress)
+  }));
+}
+
+module.exports = {
+  BULK_CONCURRENCY,
+  MAX_BULK_COURSES,
+  getCourseTasks,
+  bulkCoursesSchema,
+  publishToCourses
+};
@@ -0,0 +1,146 @@
+/**
+ * Chunked Uploads
+ *
+ * Sends a file to a Brightspace upload location without holding the whole
+ * file in memory. A file source is either a Buffer or `{ path, size }` for a
+ * file on disk (see the disk-backed intake in server.js).
+ *
+ * - Files up to UPLOAD_CHUNK_MB (default 8) go in a single PUT
+ * - Larger files go in chunks, each a PUT with `Content-Range: bytes start-end/total`.
+ *   The location answers 308 Resume Incomplete, with a `Range` header for what it
+ *   has so far (none means nothing yet), until the last chunk completes the upload
+ * - When a chunk fails after the pipeline's own retries, the location is asked how
+ *   much it received (an empty PUT whose Content-Range gives only the total) and
+ *   the transfer carries on from there, up to MAX_RESUME_ATTEMPTS times in a row
+ * - `resume: true` starts with that question, so a retried job picks up an
+ *   interrupted upload where it stopped instead of sending it all again
+ */
+
+const fs = require('fs').promises;
+const { valenceHttp } = require('./valence-http');
+
+const UPLOAD_CHUNK_BYTES = Math.floor((Number(process.env.UPLOAD_CHUNK_MB) || 8) * 1024 * 1024);
+const CHUNK_TIMEOUT_MS = 120000;
+const MAX_RESUME_ATTEMPTS = 3;
+
+// 308 is how a resumable upload location says "keep going"; it is not a redirect
+const CHUNK_REQUEST_OPTIONS = {
+  maxRedirects: 0,
+  validateStatus: status => (status >= 200 && status < 300) || status === 308
+};
+
+function getSourceSize(source) {
+  return Buffer.isBuffer(source) ? source.length : source.size;
+}
+
+// Bytes [start, end) of the source
+async function readRange(source, start, end) {
+  if (Buffer.isBuffer(source)) return source.subarray(start, end);
+
+  const handle = await fs.open(source.path, 'r');
+  try {
+    const buffer = Buffer.alloc(end - start);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// `Range: bytes=0-1048575` means the first 1048576 bytes have arrived
+function parseReceivedBytes(rangeHeader) {
+  const match = /bytes=(\d+)-(\d+)/.exec(rangeHeader || '');
+  return match ? Number(match[2]) + 1 : 0;
+}
+
+function abortError() {
+  const error = new Error('Upload cancelled');
+  error.code = 'UPLOAD_CANCELLED';
+  return error;
+}
+
+// How many bytes the upload location already has
+async function getReceivedBytes(uploadUrl, size) {
+  const response = await valenceHttp.request({
+    ...CHUNK_REQUEST_OPTIONS,
+    method: 'PUT',
+    url: uploadUrl,
+    headers: { 'Content-Range': `bytes */${size}`, 'Content-Length': '0' }
+  });
+  return response.status === 308 ? parseReceivedBytes(response.headers.range) : size;
+}
+
+/**
+ * Send the source to uploadUrl. options:
+ * - onProgress(sentBytes, totalBytes): called after every chunk
+ * - signal: an AbortSignal; the transfer stops between chunks once it fires
+ * - resume: ask the location how much it has before sending anything
+ */
+async function transferInChunks(uploadUrl, source, fileType, { onProgress, signal, resume = false } = {}) {
+  const size = getSourceSize(source);
+  const contentType = fileType || 'application/octet-stream';
+
+  if (size <= UPLOAD_CHUNK_BYTES && !resume) {
+    const data = await readRange(source, 0, size);
+    await valenceHttp.request({
+      method: 'PUT',
+      url: uploadUrl,
+      data,
+      headers: { 'Content-Type': contentType, 'Content-Length': String(size) },
+      timeout: CHUNK_TIMEOUT_MS
+    });
+    if (onProgress) onProgress(size, size);
+    return;
+  }
+
+  let offset = resume ? await getReceivedBytes(uploadUrl, size) : 0;
+  let failuresInRow = 0;
+  if (onProgress) onProgress(offset, size);
+
+  while (offset < size) {
+    if (signal?.aborted) throw abortError();
+
+    const end = Math.min(offset + UPLOAD_CHUNK_BYTES, size);
+    const data = await readRange(source, offset, end);
+
+    try {
+      const response = await valenceHttp.request({
+        ...CHUNK_REQUEST_OPTIONS,
+        method: 'PUT',
+        url: uploadUrl,
+        data,
+        headers: {
+          'Content-Type': contentType,
+          'Content-Length': String(data.length),
+          'Content-Range': `bytes ${offset}-${end - 1}/${size}`
+        },
+        timeout: CHUNK_TIMEOUT_MS
+      });
+
+      // A 308 without Range means the location has kept nothing yet, so start over
+      // from its count; a location that never moves forward counts as failing
+      const received = response.status === 308 ? parseReceivedBytes(response.headers.range) : size;
+      if (received <= offset) {
+        failuresInRow++;
+        if (failuresInRow > MAX_RESUME_ATTEMPTS) throw new Error(`Upload location kept nothing past byte ${offset}`);
+      } else {
+        failuresInRow = 0;
+      }
+      offset = received;
+    } catch (error) {
+      failuresInRow++;
+      if (failuresInRow > MAX_RESUME_ATTEMPTS || (error.response && error.response.status < 500)) throw error;
+
+      console.warn(`⚠️ Chunk at byte ${offset} failed (${error.message}), checking what the upload location received`);
+      offset = await getReceivedBytes(uploadUrl, size);
+    }
+
+    if (onProgress) onProgress(offset, size);
+  }
+}
+
+module.exports = {
+  UPLOAD_CHUNK_BYTES,
+  getSourceSize,
+  transferInChunks
+};
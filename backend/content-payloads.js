@@ -0,0 +1,342 @@
+/**
+ * Content Payloads
+ *
+ * Schemas for the instructor-authored create routes and builders that turn
+ * a validated request body into the Valence data each API expects.
+ *
+ * All three composers share the same shape: courseId, title, body,
+ * bodyFormat ('text' or 'html'), visibility flags and optional start/end dates.
+ * Surveys build on `baseFields` in survey-payloads.js, which adds their questions.
+ * A future startDate schedules an announcement; Brightspace shows it from then on.
+ */
+
+const { escapeHtml } = require('./content-publisher');
+const { BrightspaceValidationError } = require('./brightspace-errors');
+
+const MAX_TITLE_LENGTH = 128;
+const MAX_BODY_LENGTH = 50000;
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+function checkEndDate(value, data) {
+  if (!value) return null;
+  if (new Date(value) <= new Date()) return 'End date must be in the future';
+  if (data.startDate && new Date(value) <= new Date(data.startDate)) return 'End date must be after the start date';
+  return null;
+}
+
+const baseFields = {
+  courseId: { type: 'integer', label: 'Course ID', required: true, min: 1 },
+  title: { type: 'string', label: 'Title', required: true, maxLength: MAX_TITLE_LENGTH },
+  body: { type: 'string', label: 'Body', required: true, maxLength: MAX_BODY_LENGTH },
+  bodyFormat: { type: 'string', label: 'Body format', enum: ['text', 'html'], default: 'text' },
+  startDate: { type: 'date', label: 'Start date' },
+  endDate: { type: 'date', label: 'End date', check: checkEndDate }
+};
+
+const announcementSchema = {
+  ...baseFields,
+  isPublished: { type: 'boolean', label: 'Published', default: true },
+  showAuthorInfo: { type: 'boolean', label: 'Show author', default: true },
+  showStartDate: { type: 'boolean', label: 'Show start date', default: true },
+  isPinned: { type: 'boolean', label: 'Pinned', default: false }
+};
+
+const discussionSchema = {
+  ...baseFields,
+  isHidden: { type: 'boolean', label: 'Hidden', default: false },
+  isLocked: { type: 'boolean', label: 'Locked', default: false },
+  allowAnonymous: { type: 'boolean', label: 'Allow anonymous posts', default: false },
+  requiresApproval: { type: 'boolean', label: 'Requires approval', default: false }
+};
+
+// Route params for /api/courses/:courseId/... endpoints
+const courseParamsSchema = {
+  courseId: { type: 'integer', label: 'Course ID', required: true, min: 1 }
+};
+
+const newsItemParamsSchema = {
+  ...courseParamsSchema,
+  newsItemId: { type: 'integer', label: 'News item ID', required: true, min: 1 }
+};
+
+const forumParamsSchema = {
+  ...courseParamsSchema,
+  forumId: { type: 'integer', label: 'Forum ID', required: true, min: 1 }
+};
+
+const topicParamsSchema = {
+  ...forumParamsSchema,
+  topicId: { type: 'integer', label: 'Topic ID', required: true, min: 1 }
+};
+
+// Edits send only the fields that change
+const newsUpdateSchema = {
+  title: { type: 'string', label: 'Title', minLength: 1, maxLength: MAX_TITLE_LENGTH },
+  body: { type: 'string', label: 'Body', maxLength: MAX_BODY_LENGTH },
+  bodyFormat: { type: 'string', label: 'Body format', enum: ['text', 'html'], default: 'html' },
+  startDate: { type: 'date', label: 'Start date' },
+  // Checked against the stored item by assertNewsUpdateDates
+  endDate: { type: 'date', label: 'End date' },
+  clearEndDate: { type: 'boolean', label: 'Clear end date', default: false },
+  isPublished: { type: 'boolean', label: 'Published' },
+  isPinned: { type: 'boolean', label: 'Pinned' },
+  showAuthorInfo: { type: 'boolean', label: 'Show author' },
+  showStartDate: { type: 'boolean', label: 'Show start date' }
+};
+
+const RATING_TYPES = ['None', 'FiveStar', 'UpVoteDownVote', 'UpVoteOnly'];
+const SCORING_TYPES = [
+  'AverageMessageScore',
+  'MaximumMessageScore',
+  'MinimumMessageScore',
+  'ModeHighestMessageScore',
+  'ModeLowestMessageScore',
+  'SumOfMessageScores'
+];
+
+// A topic is graded when scoreOutOf is set; courseId/forumId come from the route
+const topicSchema = {
+  title: baseFields.title,
+  body: { ...baseFields.body, required: false, default: '' },
+  bodyFormat: baseFields.bodyFormat,
+  startDate: baseFields.startDate,
+  endDate: baseFields.endDate,
+  isHidden: { type: 'boolean', label: 'Hidden', default: false },
+  isLocked: { type: 'boolean', label: 'Locked', default: false },
+  allowAnonymous: { type: 'boolean', label: 'Allow anonymous posts', default: false },
+  requiresApproval: { type: 'boolean', label: 'Requires approval', default: false },
+  mustPostToParticipate: { type: 'boolean', label: 'Must post to participate', default: false },
+  ratingType: { type: 'string', label: 'Rating', enum: RATING_TYPES, default: 'None' },
+  scoreOutOf: { type: 'number', label: 'Score out of', min: 0.01, max: 9999 },
+  scoringType: { type: 'string', label: 'Scoring', enum: SCORING_TYPES, default: 'AverageMessageScore' }
+};
+
+const topicUpdateSchema = {
+  isLocked: { type: 'boolean', label: 'Locked' },
+  isHidden: { type: 'boolean', label: 'Hidden' }
+};
+
+// ==========================================
+// BUILDERS
+// ==========================================
+
+function stripHtml(html) {
+  return html
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Valence rich text carries both renderings; build whichever one wasn't authored
+function toRichText(content, format) {
+  if (!content) return { Text: '', Html: '' };
+
+  if (format === 'html') {
+    return { Text: stripHtml(content), Html: content };
+  }
+
+  const paragraphs = content.split(/\n\s*\n/).map(paragraph =>
+    `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`
+  );
+  return { Text: content, Html: paragraphs.join('') };
+}
+
+function buildAnnouncementPayload(input) {
+  return {
+    Title: input.title,
+    Body: toRichText(input.body, input.bodyFormat),
+    StartDate: input.startDate || new Date().toISOString(),
+    EndDate: input.endDate || null,
+    IsGlobal: false,
+    IsPublished: input.isPublished,
+    ShowOnlyInCourseOfferings: false,
+    IsAuthorInfoShown: input.showAuthorInfo,
+    IsPinned: input.isPinned,
+    IsStartDateShown: input.showStartDate
+  };
+}
+
+// Merge an edit into the item Brightspace returned; PUT needs every NewsItemData field
+function buildNewsUpdatePayload(existing, changes) {
+  const pick = (value, fallback) => (value === undefined ? fallback : value);
+
+  return {
+    Title: pick(changes.title, existing.Title),
+    Body: changes.body === undefined
+      ? { Text: existing.Body?.Text || '', Html: existing.Body?.Html || '' }
+      : toRichText(changes.body, changes.bodyFormat),
+    StartDate: pick(changes.startDate, existing.StartDate),
+    EndDate: changes.clearEndDate ? null : pick(changes.endDate, existing.EndDate || null),
+    IsGlobal: existing.IsGlobal || false,
+    IsPublished: pick(changes.isPublished, existing.IsPublished),
+    ShowOnlyInCourseOfferings: existing.ShowOnlyInCourseOfferings || false,
+    IsAuthorInfoShown: pick(changes.showAuthorInfo, existing.IsAuthorInfoShown !== false),
+    IsPinned: pick(changes.isPinned, existing.IsPinned || false),
+    IsStartDateShown: pick(changes.showStartDate, existing.IsStartDateShown !== false)
+  };
+}
+
+// An edit may keep an end date that has already passed; only a new end date
+// has to be in the future. Either way the end must still follow the start.
+function assertNewsUpdateDates(existing, changes) {
+  const endDateChanged = Boolean(changes.endDate) &&
+    (!existing.EndDate || new Date(changes.endDate).getTime() !== new Date(existing.EndDate).getTime());
+  const startDate = changes.startDate || existing.StartDate;
+  const endDate = changes.clearEndDate ? null : changes.endDate || existing.EndDate;
+
+  let message = null;
+  if (endDateChanged && new Date(changes.endDate) <= new Date()) {
+    message = 'End date must be in the future';
+  } else if ((endDateChanged || changes.startDate) && startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+    message = 'End date must be after the start date';
+  }
+
+  if (message) {
+    throw new BrightspaceValidationError(`Invalid news item update: ${message}`, {
+      details: [{ field: 'endDate', message }]
+    });
+  }
+}
+
+// The fields the news panel needs, in the API's camelCase
+function summarizeNewsItem(item) {
+  return {
+    id: item.Id,
+    title: item.Title,
+    bodyText: item.Body?.Text || '',
+    bodyHtml: item.Body?.Html || '',
+    startDate: item.StartDate || null,
+    endDate: item.EndDate || null,
+    isPublished: Boolean(item.IsPublished),
+    isPinned: Boolean(item.IsPinned),
+    isHidden: Boolean(item.IsHidden),
+    showAuthorInfo: item.IsAuthorInfoShown !== false,
+    showStartDate: item.IsStartDateShown !== false,
+    createdDate: item.CreatedDate || null,
+    lastModifiedDate: item.LastModifiedDate || null,
+    attachments: (item.Attachments || []).map(attachment => ({
+      fileId: attachment.FileId,
+      fileName: attachment.FileName,
+      size: attachment.Size
+    }))
+  };
+}
+
+function buildDiscussionPayload(input) {
+  return {
+    Name: input.title,
+    Description: toRichText(input.body, input.bodyFormat),
+    StartDate: input.startDate || null,
+    EndDate: input.endDate || null,
+    AllowAnonymous: input.allowAnonymous,
+    IsLocked: input.isLocked,
+    IsHidden: input.isHidden,
+    RequiresApproval: input.requiresApproval
+  };
+}
+
+function buildTopicPayload(input) {
+  const isGraded = input.scoreOutOf !== undefined;
+
+  return {
+    Name: input.title,
+    Description: toRichText(input.body, input.bodyFormat),
+    AllowAnonymousPosts: input.allowAnonymous,
+    StartDate: input.startDate || null,
+    EndDate: input.endDate || null,
+    IsHidden: input.isHidden,
+    UnlockStartDate: null,
+    UnlockEndDate: null,
+    RequiresApproval: input.requiresApproval,
+    ScoreOutOf: isGraded ? input.scoreOutOf : null,
+    IsAutoScore: false,
+    IncludeNonScoredValues: false,
+    ScoringType: isGraded ? input.scoringType : null,
+    IsLocked: input.isLocked,
+    MustPostToParticipate: input.mustPostToParticipate,
+    RatingType: input.ratingType
+  };
+}
+
+// Carry every field of the existing topic through a PUT, changing only lock/hide
+function buildTopicUpdatePayload(existing, changes) {
+  return {
+    Name: existing.Name,
+    Description: { Text: existing.Description?.Text || '', Html: existing.Description?.Html || '' },
+    AllowAnonymousPosts: existing.AllowAnonymousPosts || false,
+    StartDate: existing.StartDate || null,
+    EndDate: existing.EndDate || null,
+    IsHidden: changes.isHidden === undefined ? existing.IsHidden : changes.isHidden,
+    UnlockStartDate: existing.UnlockStartDate || null,
+    UnlockEndDate: existing.UnlockEndDate || null,
+    RequiresApproval: existing.RequiresApproval || false,
+    ScoreOutOf: existing.ScoreOutOf ?? null,
+    IsAutoScore: existing.IsAutoScore || false,
+    IncludeNonScoredValues: existing.IncludeNonScoredValues || false,
+    ScoringType: existing.ScoringType ?? null,
+    IsLocked: changes.isLocked === undefined ? existing.IsLocked : changes.isLocked,
+    MustPostToParticipate: existing.MustPostToParticipate || false,
+    RatingType: existing.RatingType || 'None'
+  };
+}
+
+function summarizeForum(forum) {
+  return {
+    id: forum.ForumId,
+    name: forum.Name,
+    descriptionText: forum.Description?.Text || '',
+    startDate: forum.StartDate || null,
+    endDate: forum.EndDate || null,
+    isLocked: Boolean(forum.IsLocked),
+    isHidden: Boolean(forum.IsHidden)
+  };
+}
+
+function summarizeTopic(topic) {
+  return {
+    id: topic.TopicId,
+    forumId: topic.ForumId,
+    name: topic.Name,
+    descriptionText: topic.Description?.Text || '',
+    startDate: topic.StartDate || null,
+    endDate: topic.EndDate || null,
+    isLocked: Boolean(topic.IsLocked),
+    isHidden: Boolean(topic.IsHidden),
+    ratingType: topic.RatingType || 'None',
+    scoreOutOf: topic.ScoreOutOf ?? null
+  };
+}
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  baseFields,
+  announcementSchema,
+  discussionSchema,
+  courseParamsSchema,
+  newsItemParamsSchema,
+  newsUpdateSchema,
+  forumParamsSchema,
+  topicParamsSchema,
+  topicSchema,
+  topicUpdateSchema,
+  toRichText,
+  buildAnnouncementPayload,
+  buildNewsUpdatePayload,
+  assertNewsUpdateDates,
+  summarizeNewsItem,
+  buildDiscussionPayload,
+  buildTopicPayload,
+  buildTopicUpdatePayload,
+  summarizeForum,
+  summarizeTopic
+};
@@ -0,0 +1,195 @@
+/**
+ * Content Publisher
+ *
+ * Turns Amplify analysis results into Brightspace course content:
+ * - A content module holding the summary, topics and insights
+ * - An announcement pointing students at the new material
+ * - A discussion forum seeded with the extracted topics
+ *
+ * Each step runs independently so one failure doesn't stop the rest.
+ */
+
+const { BrightspaceAuthError } = require('./brightspace-errors');
+
+const MAX_TITLE_LENGTH = 128;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function truncate(text, length = MAX_TITLE_LENGTH) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function htmlList(items) {
+  return `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+// ==========================================
+// PAYLOAD BUILDERS
+// ==========================================
+
+function getContentTitle(amplifyResults) {
+  if (amplifyResults.title) return truncate(amplifyResults.title);
+
+  const fileNames = (amplifyResults.files || [])
+    .filter(file => !file.error)
+    .map(file => file.name.replace(/\.[^.]+$/, ''));
+
+  if (fileNames.length > 0) return truncate(fileNames.join(', '));
+  if (amplifyResults.topics && amplifyResults.topics.length > 0) return truncate(amplifyResults.topics.slice(0, 3).join(', '));
+  return 'Course Material Summary';
+}
+
+function buildModuleData(amplifyResults) {
+  const topics = amplifyResults.topics || [];
+  const insights = amplifyResults.insights || [];
+  const summary = amplifyResults.summary || '';
+
+  const html = [
+    `<h2>Summary</h2><p>${escapeHtml(summary)}</p>`,
+    topics.length > 0 ? `<h2>Key Topics</h2>${htmlList(topics)}` : '',
+    insights.length > 0 ? `<h2>Insights</h2>${htmlList(insights)}` : ''
+  ].join('');
+
+  const text = [
+    summary,
+    topics.length > 0 ? `Key Topics: ${topics.join(', ')}` : '',
+    insights.length > 0 ? `Insights: ${insights.join('; ')}` : ''
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    Title: getContentTitle(amplifyResults),
+    Description: { Text: text, Html: html },
+    IsHidden: false,
+    IsLocked: false
+  };
+}
+
+function buildNewsData(amplifyResults) {
+  const title = getContentTitle(amplifyResults);
+  const topics = amplifyResults.topics || [];
+  const summary = amplifyResults.summary || '';
+
+  return {
+    Title: truncate(`New material: ${title}`),
+    Body: {
+      Text: [summary, topics.length > 0 ? `Topics covered: ${topics.join(', ')}` : ''].filter(Boolean).join('\n\n'),
+      Html: `<p>${escapeHtml(summary)}</p>` + (topics.length > 0 ? `<p><strong>Topics covered:</strong></p>${htmlList(topics)}` : '')
+    },
+    StartDate: new Date().toISOString(),
+    EndDate: null,
+    IsGlobal: false,
+    IsPublished: true,
+    ShowOnlyInCourseOfferings: false,
+    IsAuthorInfoShown: true,
+    IsPinned: false,
+    IsStartDateShown: true
+  };
+}
+
+function buildForumData(amplifyResults) {
+  const title = getContentTitle(amplifyResults);
+  const topics = amplifyResults.topics || [];
+  const intro = 'Use this forum to ask questions and discuss the new course material.';
+
+  return {
+    Name: truncate(`Discussion: ${title}`),
+    Description: {
+      Text: [intro, topics.length > 0 ? `Suggested topics: ${topics.join(', ')}` : ''].filter(Boolean).join('\n\n'),
+      Html: `<p>${intro}</p>` + (topics.length > 0 ? `<p><strong>Suggested topics:</strong></p>${htmlList(topics)}` : '')
+    },
+    AllowAnonymous: false,
+    IsLocked: false,
+    IsHidden: false
+  };
+}
+
+// ==========================================
+// PUBLISHING
+// ==========================================
+
+async function runStep(step, type, title, action, getId) {
+  try {
+    const data = await action();
+    console.log(`✅ Publish step ${step} succeeded`);
+    return { step, type, title, success: true, id: getId(data), data };
+  } catch (error) {
+    // Without a session none of the remaining steps can succeed either
+    if (error instanceof BrightspaceAuthError) throw error;
+
+    console.error(`❌ Publish step ${step} failed:`, error.message);
+    return {
+      step,
+      type,
+      title,
+      success: false,
+      error: error.message,
+      code: error.code
+    };
+  }
+}
+
+// The three creates behind a publish, as { step, type, title, action, getId }, so they
+// can run here in one go or as separate tasks of a background job
+function getAmplifyPublishSteps(client, courseId, amplifyResults) {
+  const moduleData = buildModuleData(amplifyResults);
+  const newsData = buildNewsData(amplifyResults);
+  const forumData = buildForumData(amplifyResults);
+
+  return [
+    {
+      step: 'module',
+      type: 'ContentModule',
+      title: moduleData.Title,
+      action: () => client.createContentModule(courseId, moduleData),
+      getId: data => data?.Id
+    },
+    {
+      step: 'announcement',
+      type: 'NewsItem',
+      title: newsData.Title,
+      action: () => client.createNewsItem(courseId, newsData),
+      getId: data => data?.Id
+    },
+    {
+      step: 'discussion',
+      type: 'DiscussionForum',
+      title: forumData.Name,
+      action: () => client.createDiscussionForum(courseId, forumData),
+      getId: data => data?.ForumId
+    }
+  ];
+}
+
+async function publishAmplifyResults(client, courseId, amplifyResults) {
+  const steps = [];
+
+  for (const { step, type, title, action, getId } of getAmplifyPublishSteps(client, courseId, amplifyResults)) {
+    steps.push(await runStep(step, type, title, action, getId));
+  }
+
+  const succeeded = steps.filter(step => step.success);
+
+  return {
+    success: succeeded.length === steps.length,
+    partial: succeeded.length > 0 && succeeded.length < steps.length,
+    created: succeeded.map(({ type, id, title }) => ({ type, id, title })),
+    steps: steps.map(({ data, ...step }) => step)
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  buildModuleData,
+  buildNewsData,
+  buildForumData,
+  runStep,
+  getAmplifyPublishSteps,
+  publishAmplifyResults
+};
@@ -0,0 +1,218 @@
+/**
+ * Content Tree Payloads
+ *
+ * Schema for building a unit of course content in one request, the
+ * builders for the Valence module and topic data, and the summary of a
+ * course's existing table of contents.
+ *
+ * A tree is a list of `items`. Each item has a `type`:
+ * - module  sub-module with `description` and nested `children`
+ * - html    HTML page topic from `body` (uploaded as a course file)
+ * - link    link topic to `url`
+ * - file    topic for an uploaded file, matched by `fileName`
+ *
+ * Every item takes `title`, `isHidden`, `isLocked` and `startDate` / `endDate`
+ * / `dueDate` release dates. Children are created in order, so their position
+ * in the list is their position in the course.
+ */
+
+const { escapeHtml } = require('./content-publisher');
+const { toRichText } = require('./content-payloads');
+
+const MAX_TITLE_LENGTH = 128;
+const MAX_BODY_LENGTH = 500000;
+const MAX_ITEMS = 300;
+const MAX_DEPTH = 5;
+
+const ITEM_TYPES = ['module', 'html', 'link', 'file'];
+
+// Valence TopicType values
+const TOPIC_TYPE_FILE = 1;
+const TOPIC_TYPE_LINK = 3;
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+function checkItem(item) {
+  if (!item || !item.type) return null;
+
+  if (item.startDate && item.endDate && new Date(item.endDate) <= new Date(item.startDate)) {
+    return 'End date must be after the start date';
+  }
+
+  switch (item.type) {
+    case 'html':
+      return item.body ? null : 'HTML pages need a body';
+    case 'link':
+      return item.url ? null : 'Links need a url';
+    case 'file':
+      return item.fileName ? null : 'File topics need a fileName';
+    default:
+      return null;
+  }
+}
+
+function checkUrl(value) {
+  return /^https?:\/\//i.test(value) ? null : 'URL must start with http:// or https://';
+}
+
+function countItems(items, depth = 1) {
+  return (items || []).reduce((result, item) => {
+    const children = item && item.type === 'module' ? countItems(item.children, depth + 1) : { count: 0, depth };
+    return { count: result.count + 1 + children.count, depth: Math.max(result.depth, children.depth) };
+  }, { count: 0, depth });
+}
+
+function checkTree(items, data) {
+  const { count, depth } = countItems(items);
+  if (count > MAX_ITEMS) return `Content trees can have at most ${MAX_ITEMS} items`;
+  if (depth > MAX_DEPTH) return `Modules can be nested at most ${MAX_DEPTH} levels deep`;
+  if (!data.parentModuleId && (items || []).some(item => item && item.type && item.type !== 'module')) {
+    return 'Top-level items must be modules unless parentModuleId is given';
+  }
+  return null;
+}
+
+const itemSchema = {
+  type: { type: 'string', label: 'Item type', required: true, enum: ITEM_TYPES },
+  title: { type: 'string', label: 'Title', required: true, maxLength: MAX_TITLE_LENGTH },
+  description: { type: 'string', label: 'Description', maxLength: 50000, default: '' },
+  body: { type: 'string', label: 'Body', maxLength: MAX_BODY_LENGTH },
+  bodyFormat: { type: 'string', label: 'Body format', enum: ['text', 'html'], default: 'html' },
+  url: { type: 'string', label: 'URL', maxLength: 2000, check: checkUrl },
+  openInNewWindow: { type: 'boolean', label: 'Open in new window', default: true },
+  fileName: { type: 'string', label: 'File name', maxLength: 255 },
+  isHidden: { type: 'boolean', label: 'Hidden', default: false },
+  isLocked: { type: 'boolean', label: 'Locked', default: false },
+  startDate: { type: 'date', label: 'Start date' },
+  endDate: { type: 'date', label: 'End date' },
+  dueDate: { type: 'date', label: 'Due date' }
+};
+
+const itemRule = { type: 'object', label: 'Item', properties: itemSchema, check: checkItem };
+
+// Modules hold more items
+itemSchema.children = { type: 'array', label: 'Children', default: [], items: itemRule };
+
+const contentTreeSchema = {
+  courseId: { type: 'integer', label: 'Course ID', required: true, min: 1 },
+  parentModuleId: { type: 'integer', label: 'Parent module ID', min: 1 },
+  items: { type: 'array', label: 'Items', required: true, minLength: 1, items: itemRule, check: checkTree }
+};
+
+// Fields of `file` items, with where they are in the tree: [{ field, fileName }]
+function getFileReferences(items, prefix = 'items') {
+  return items.flatMap((item, index) => {
+    const field = `${prefix}[${index}]`;
+    if (item.type === 'module') return getFileReferences(item.children, `${field}.children`);
+    return item.type === 'file' ? [{ field: `${field}.fileName`, fileName: item.fileName }] : [];
+  });
+}
+
+// ==========================================
+// BUILDERS
+// ==========================================
+
+function buildModulePayload(item) {
+  return {
+    Title: item.title,
+    Description: toRichText(item.description, item.bodyFormat),
+    ModuleStartDate: item.startDate || null,
+    ModuleEndDate: item.endDate || null,
+    ModuleDueDate: item.dueDate || null,
+    IsHidden: item.isHidden,
+    IsLocked: item.isLocked
+  };
+}
+
+function buildTopicPayload(item, url) {
+  return {
+    Title: item.title,
+    TopicType: item.type === 'link' ? TOPIC_TYPE_LINK : TOPIC_TYPE_FILE,
+    Url: url,
+    StartDate: item.startDate || null,
+    EndDate: item.endDate || null,
+    DueDate: item.dueDate || null,
+    IsHidden: item.isHidden,
+    IsLocked: item.isLocked,
+    OpenAsExternalResource: item.type === 'link' && item.openInNewWindow
+  };
+}
+
+// A standalone page for an html item; text bodies are escaped into paragraphs
+function buildHtmlPage(item) {
+  const { Html } = toRichText(item.body, item.bodyFormat);
+  return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${escapeHtml(item.title)}</title>\n</head>\n<body>\n${Html}\n</body>\n</html>\n`;
+}
+
+// "Week 1: Intro!" -> "week-1-intro.html"
+function getHtmlFileName(item) {
+  const slug = item.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'page'}.html`;
+}
+
+// ==========================================
+// TABLE OF CONTENTS
+// ==========================================
+
+// Release details shared by TOC modules and topics
+function summarizeRelease(item) {
+  return {
+    startDate: item.StartDateTime || null,
+    endDate: item.EndDateTime || null,
+    dueDate: item.DueDateTime || null,
+    isHidden: Boolean(item.IsHidden),
+    isLocked: Boolean(item.IsLocked),
+    hasReleaseConditions: Boolean(item.HasReleaseCondition)
+  };
+}
+
+function summarizeTocTopic(topic) {
+  return {
+    id: topic.TopicId,
+    title: topic.Title,
+    type: topic.TypeIdentifier || null,
+    url: topic.Url || null,
+    sortOrder: topic.SortOrder ?? 0,
+    ...summarizeRelease(topic)
+  };
+}
+
+function summarizeTocModule(module) {
+  const bySortOrder = (a, b) => a.sortOrder - b.sortOrder;
+
+  return {
+    id: module.ModuleId,
+    title: module.Title,
+    descriptionText: module.Description?.Text || '',
+    sortOrder: module.SortOrder ?? 0,
+    ...summarizeRelease(module),
+    modules: (module.Modules || []).map(summarizeTocModule).sort(bySortOrder),
+    topics: (module.Topics || []).map(summarizeTocTopic).sort(bySortOrder)
+  };
+}
+
+// { modules, moduleCount, topicCount } from a Valence TableOfContents
+function summarizeToc(toc) {
+  const modules = (toc?.Modules || []).map(summarizeTocModule).sort((a, b) => a.sortOrder - b.sortOrder);
+  const count = list => list.reduce((totals, module) => {
+    const nested = count(module.modules);
+    return {
+      moduleCount: totals.moduleCount + 1 + nested.moduleCount,
+      topicCount: totals.topicCount + module.topics.length + nested.topicCount
+    };
+  }, { moduleCount: 0, topicCount: 0 });
+
+  return { modules, ...count(modules) };
+}
+
+module.exports = {
+  contentTreeSchema,
+  getFileReferences,
+  buildModulePayload,
+  buildTopicPayload,
+  buildHtmlPage,
+  getHtmlFileName,
+  summarizeToc
+};
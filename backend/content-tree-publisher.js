@@ -0,0 +1,91 @@
+/**
+ * Content Tree Publisher
+ *
+ * Walks a validated content tree (see content-tree-payloads.js) depth first,
+ * creating each module before its children so items keep their order. A
+ * module that fails takes its children with it: they are reported as failed
+ * steps instead of being created somewhere else.
+ */
+
+const { runStep } = require('./content-publisher');
+const { buildModulePayload, buildTopicPayload, buildHtmlPage, getHtmlFileName } = require('./content-tree-payloads');
+
+// The finalized upload tells us where the file lives in the course
+function getUploadedFileUrl(uploaded, fileName) {
+  const url = uploaded?.Path || uploaded?.Url || uploaded?.FileUrl;
+  if (!url) throw new Error(`Upload of ${fileName} did not return a file location`);
+  return url;
+}
+
+async function uploadTopicFile(client, courseId, item, files) {
+  if (item.type === 'html') {
+    const fileName = getHtmlFileName(item);
+    const uploaded = await client.uploadFileToCourse(courseId, Buffer.from(buildHtmlPage(item), 'utf8'), fileName, 'text/html');
+    return getUploadedFileUrl(uploaded, fileName);
+  }
+
+  // Items name files as the browser sent them; originalname is the sanitized name
+  const file = files.find(candidate => candidate.clientName === item.fileName);
+  const uploaded = await client.uploadFileToCourse(courseId, file.buffer, file.originalname, file.mimetype);
+  return getUploadedFileUrl(uploaded, file.originalname);
+}
+
+function skipItems(items, path, reason, steps) {
+  items.forEach((item, index) => {
+    const step = `${path}.${index + 1}`;
+    steps.push({
+      step,
+      type: item.type === 'module' ? 'ContentModule' : 'ContentTopic',
+      title: item.title,
+      success: false,
+      error: reason
+    });
+    if (item.type === 'module') skipItems(item.children, step, reason, steps);
+  });
+}
+
+async function publishItems(client, courseId, parentModuleId, items, files, pathPrefix, steps) {
+  for (const [index, item] of items.entries()) {
+    const path = pathPrefix ? `${pathPrefix}.${index + 1}` : String(index + 1);
+
+    if (item.type === 'module') {
+      const moduleStep = await runStep(path, 'ContentModule', item.title,
+        () => client.createContentModule(courseId, buildModulePayload(item), parentModuleId),
+        data => data?.Id);
+      steps.push(moduleStep);
+
+      if (moduleStep.success) {
+        await publishItems(client, courseId, moduleStep.id, item.children, files, path, steps);
+      } else {
+        skipItems(item.children, path, `Module "${item.title}" could not be created`, steps);
+      }
+      continue;
+    }
+
+    steps.push(await runStep(path, 'ContentTopic', item.title, async () => {
+      const url = item.type === 'link' ? item.url : await uploadTopicFile(client, courseId, item, files);
+      return client.createContentTopic(courseId, parentModuleId, buildTopicPayload(item, url));
+    }, data => data?.Id));
+  }
+}
+
+/**
+ * Create input.items under input.parentModuleId (or at the top of the course).
+ * files: multer files that `file` items refer to by fileName.
+ */
+async function publishContentTree(client, courseId, input, files = []) {
+  const steps = [];
+  await publishItems(client, courseId, input.parentModuleId || null, input.items, files, '', steps);
+
+  const failed = steps.filter(step => !step.success);
+
+  return {
+    success: failed.length === 0,
+    partial: failed.length > 0 && failed.length < steps.length,
+    steps: steps.map(({ data, ...step }) => step)
+  };
+}
+
+module.exports = {
+  publishContentTree
+};
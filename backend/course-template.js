@@ -0,0 +1,406 @@
+/**
+ * Course Templates
+ *
+ * Exports a course's structure - content modules and topics, discussion
+ * forums and topics, announcements and surveys - as a versioned JSON template,
+ * and applies a template to another course with every date shifted by
+ * `dateOffsetDays`.
+ *
+ * TEMPLATE (version 1):
+ * - format: 'brightspace-course-template', version, exportedAt, sourceCourseId
+ * - content: content tree items (see content-tree-payloads.js); HTML pages carry
+ *   their page body, other file topics only their url
+ * - forums: discussion fields plus `topics`
+ * - news: announcement fields
+ * - surveys: survey fields (questions are not readable through the API)
+ *
+ * Each section is created with the same builders as the create routes. Items
+ * that can't be recreated (file topics, announcement attachments) are listed
+ * in `skipped` rather than failing the whole operation.
+ */
+
+const { BrightspaceAuthError } = require('./brightspace-errors');
+const { runStep } = require('./content-publisher');
+const {
+  announcementSchema,
+  discussionSchema,
+  topicSchema,
+  buildAnnouncementPayload,
+  buildDiscussionPayload,
+  buildTopicPayload
+} = require('./content-payloads');
+const { surveySchema, buildSurveyPayload } = require('./survey-payloads');
+const { contentTreeSchema } = require('./content-tree-payloads');
+const { publishContentTree } = require('./content-tree-publisher');
+const { assertValid } = require('./payload-validator');
+
+const TEMPLATE_FORMAT = 'brightspace-course-template';
+const TEMPLATE_VERSION = 1;
+const TEMPLATE_SECTIONS = ['content', 'forums', 'news', 'surveys'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+// A create schema without the target course, for one item of a template
+function templateFields(schema) {
+  const fields = { ...schema };
+  delete fields.courseId;
+  delete fields.sections;
+
+  return {
+    ...fields,
+    body: { ...fields.body, required: false, default: '' },
+    bodyFormat: { ...fields.bodyFormat, default: 'html' },
+    // Past dates are expected here; they are shifted when the template is applied
+    endDate: { type: 'date', label: 'End date' }
+  };
+}
+
+const templateSectionRule = (label, properties) => ({
+  type: 'array',
+  label,
+  maxLength: 500,
+  default: [],
+  items: { type: 'object', label, properties }
+});
+
+const templateSchema = {
+  format: { type: 'string', label: 'Template format', required: true, enum: [TEMPLATE_FORMAT] },
+  version: { type: 'integer', label: 'Template version', required: true, min: 1, max: TEMPLATE_VERSION },
+  exportedAt: { type: 'date', label: 'Exported at' },
+  sourceCourseId: { type: 'integer', label: 'Source course ID' },
+  // Checked with contentTreeSchema once file topics are set aside
+  content: { type: 'array', label: 'Content', default: [], items: { type: 'object', label: 'Content item' } },
+  forums: templateSectionRule('Forum', {
+    ...templateFields(discussionSchema),
+    topics: templateSectionRule('Forum topic', templateFields(topicSchema))
+  }),
+  news: templateSectionRule('Announcement', templateFields(announcementSchema)),
+  surveys: templateSectionRule('Survey', templateFields(surveySchema))
+};
+
+const applyTemplateSchema = {
+  courseId: { type: 'integer', label: 'Course ID', required: true, min: 1 },
+  template: { type: 'object', label: 'Template', required: true, properties: templateSchema },
+  dateOffsetDays: { type: 'integer', label: 'Date offset (days)', min: -3650, max: 3650, default: 0 },
+  include: {
+    type: 'array',
+    label: 'Sections',
+    default: TEMPLATE_SECTIONS,
+    items: { type: 'string', label: 'Section', enum: TEMPLATE_SECTIONS }
+  }
+};
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+// A section that can't be read (e.g. no permission) is skipped, not fatal
+async function exportSection(section, skipped, load) {
+  try {
+    return await load();
+  } catch (error) {
+    if (error instanceof BrightspaceAuthError) throw error;
+    console.error(`❌ Template export of ${section} failed:`, error.message);
+    skipped.push({ section, title: null, reason: error.message });
+    return [];
+  }
+}
+
+const isHtmlPage = topic => topic.TypeIdentifier === 'File' && /\.html?$/i.test(topic.Url || '');
+
+function exportRelease(item) {
+  return {
+    isHidden: Boolean(item.IsHidden),
+    isLocked: Boolean(item.IsLocked),
+    startDate: item.StartDateTime || undefined,
+    endDate: item.EndDateTime || undefined,
+    dueDate: item.DueDateTime || undefined
+  };
+}
+
+async function exportTopic(client, courseId, topic, skipped) {
+  const base = { title: topic.Title, ...exportRelease(topic) };
+
+  if (topic.TypeIdentifier === 'Link') {
+    return { type: 'link', ...base, url: topic.Url };
+  }
+
+  if (isHtmlPage(topic)) {
+    try {
+      const page = String(await client.getContentTopicFile(courseId, topic.TopicId));
+      // Keep only what's inside <body>; the page is rebuilt around it on apply
+      const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(page);
+      return { type: 'html', ...base, body: body ? body[1].trim() : page, bodyFormat: 'html' };
+    } catch (error) {
+      if (error instanceof BrightspaceAuthError) throw error;
+      skipped.push({ section: 'content', title: topic.Title, reason: `Page could not be read: ${error.message}` });
+    }
+  }
+
+  return { type: 'file', ...base, url: topic.Url || null };
+}
+
+// Modules and topics share one sort order within their parent module
+async function exportModule(client, courseId, module, skipped) {
+  const children = [
+    ...(module.Modules || []).map(child => ({ sortOrder: child.SortOrder ?? 0, module: child })),
+    ...(module.Topics || []).map(topic => ({ sortOrder: topic.SortOrder ?? 0, topic }))
+  ].sort((a, b) => a.sortOrder - b.sortOrder);
+
+  const items = [];
+  for (const child of children) {
+    items.push(child.module
+      ? await exportModule(client, courseId, child.module, skipped)
+      : await exportTopic(client, courseId, child.topic, skipped));
+  }
+
+  return {
+    type: 'module',
+    title: module.Title,
+    description: module.Description?.Html || module.Description?.Text || '',
+    bodyFormat: 'html',
+    ...exportRelease(module),
+    children: items
+  };
+}
+
+// Brightspace can report a rating or scoring type the topic schema doesn't
+// accept (null, or one added after this was written). Leaving it out lets the
+// schema default apply instead of failing the whole template.
+function knownTopicValue(value, rule) {
+  return rule.enum.includes(value) ? value : undefined;
+}
+
+async function exportForums(client, courseId) {
+  const forums = await client.getDiscussionForums(courseId);
+  const result = [];
+
+  for (const forum of forums) {
+    const topics = await client.getDiscussionTopics(courseId, forum.ForumId);
+    result.push({
+      title: forum.Name,
+      body: forum.Description?.Html || '',
+      bodyFormat: 'html',
+      startDate: forum.StartDate || undefined,
+      endDate: forum.EndDate || undefined,
+      isHidden: Boolean(forum.IsHidden),
+      isLocked: Boolean(forum.IsLocked),
+      allowAnonymous: Boolean(forum.AllowAnonymous),
+      requiresApproval: Boolean(forum.RequiresApproval),
+      topics: topics.map(topic => ({
+        title: topic.Name,
+        body: topic.Description?.Html || '',
+        bodyFormat: 'html',
+        startDate: topic.StartDate || undefined,
+        endDate: topic.EndDate || undefined,
+        isHidden: Boolean(topic.IsHidden),
+        isLocked: Boolean(topic.IsLocked),
+        allowAnonymous: Boolean(topic.AllowAnonymousPosts),
+        requiresApproval: Boolean(topic.RequiresApproval),
+        mustPostToParticipate: Boolean(topic.MustPostToParticipate),
+        ratingType: knownTopicValue(topic.RatingType, topicSchema.ratingType),
+        scoreOutOf: topic.ScoreOutOf ?? undefined,
+        scoringType: knownTopicValue(topic.ScoringType, topicSchema.scoringType)
+      }))
+    });
+  }
+
+  return result;
+}
+
+function exportNewsItem(item, skipped) {
+  if ((item.Attachments || []).length > 0) {
+    skipped.push({ section: 'news', title: item.Title, reason: `${item.Attachments.length} attachment(s) not included` });
+  }
+
+  return {
+    title: item.Title,
+    body: item.Body?.Html || item.Body?.Text || '',
+    bodyFormat: 'html',
+    startDate: item.StartDate || undefined,
+    endDate: item.EndDate || undefined,
+    isPublished: Boolean(item.IsPublished),
+    isPinned: Boolean(item.IsPinned),
+    showAuthorInfo: item.IsAuthorInfoShown !== false,
+    showStartDate: item.IsStartDateShown !== false
+  };
+}
+
+function exportSurvey(survey) {
+  return {
+    title: survey.Name,
+    body: survey.Description?.Html || '',
+    bodyFormat: 'html',
+    instructions: survey.Instructions?.Html || '',
+    startDate: survey.StartDate || undefined,
+    endDate: survey.EndDate || undefined,
+    isActive: survey.IsActive !== false,
+    isHidden: Boolean(survey.IsHidden),
+    isAnonymous: Boolean(survey.IsAnonymous),
+    showResults: Boolean(survey.ShowResults)
+  };
+}
+
+/**
+ * Read a course into a template. Resolves with { template, skipped }, where
+ * skipped lists [{ section, title, reason }] for anything left out.
+ */
+async function exportCourseTemplate(client, courseId) {
+  const skipped = [];
+
+  const content = await exportSection('content', skipped, async () => {
+    const toc = await client.getTableOfContents(courseId);
+    const modules = [...(toc?.Modules || [])].sort((a, b) => (a.SortOrder ?? 0) - (b.SortOrder ?? 0));
+    const items = [];
+    for (const module of modules) {
+      items.push(await exportModule(client, courseId, module, skipped));
+    }
+    return items;
+  });
+  const forums = await exportSection('forums', skipped, () => exportForums(client, courseId));
+  const news = await exportSection('news', skipped,
+    async () => (await client.getNewsItems(courseId)).map(item => exportNewsItem(item, skipped)));
+  const surveys = await exportSection('surveys', skipped,
+    async () => (await client.getSurveys(courseId)).map(exportSurvey));
+
+  if (surveys.length > 0) {
+    skipped.push({ section: 'surveys', title: null, reason: 'Survey questions are not included' });
+  }
+
+  return {
+    template: {
+      format: TEMPLATE_FORMAT,
+      version: TEMPLATE_VERSION,
+      exportedAt: new Date().toISOString(),
+      sourceCourseId: courseId,
+      content,
+      forums,
+      news,
+      surveys
+    },
+    skipped
+  };
+}
+
+// ==========================================
+// APPLY
+// ==========================================
+
+function shiftDate(value, days) {
+  return value ? new Date(new Date(value).getTime() + days * DAY_MS).toISOString() : undefined;
+}
+
+function shiftDates(item, days) {
+  return {
+    ...item,
+    startDate: shiftDate(item.startDate, days),
+    endDate: shiftDate(item.endDate, days),
+    dueDate: shiftDate(item.dueDate, days)
+  };
+}
+
+// File topics point at the source course's files, so they are set aside
+function prepareContentItems(items, days, skipped) {
+  return items.flatMap(item => {
+    if (item && item.type === 'file') {
+      skipped.push({ section: 'content', title: item.title || null, reason: 'File topics are not copied between courses' });
+      return [];
+    }
+    if (item && item.type === 'module') {
+      return [{ ...shiftDates(item, days), children: prepareContentItems(item.children || [], days, skipped) }];
+    }
+    return [shiftDates(item, days)];
+  });
+}
+
+function prefixSteps(prefix, steps) {
+  return steps.map(step => ({ ...step, step: `${prefix} ${step.step}` }));
+}
+
+async function applyForums(client, courseId, forums, days) {
+  const steps = [];
+
+  for (const [index, forum] of forums.entries()) {
+    const forumStep = await runStep(`forum ${index + 1}`, 'DiscussionForum', forum.title,
+      () => client.createDiscussionForum(courseId, buildDiscussionPayload(shiftDates(forum, days))),
+      data => data?.ForumId);
+    steps.push(forumStep);
+
+    for (const [topicIndex, topic] of forum.topics.entries()) {
+      const step = `forum ${index + 1} topic ${topicIndex + 1}`;
+      if (!forumStep.success) {
+        steps.push({ step, type: 'DiscussionTopic', title: topic.title, success: false, error: `Forum "${forum.title}" could not be created` });
+        continue;
+      }
+      steps.push(await runStep(step, 'DiscussionTopic', topic.title,
+        () => client.createDiscussionTopic(courseId, forumStep.id, buildTopicPayload(shiftDates(topic, days))),
+        data => data?.TopicId));
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Recreate a template in courseId. input is validated against applyTemplateSchema.
+ * Resolves with { success, partial, steps, skipped }.
+ */
+async function applyCourseTemplate(client, input) {
+  const { courseId, template, dateOffsetDays: days, include } = input;
+  const skipped = TEMPLATE_SECTIONS
+    .filter(section => !include.includes(section) && template[section].length > 0)
+    .map(section => ({ section, title: null, reason: `${template[section].length} item(s) not included` }));
+
+  // Check the content tree up front so nothing is created from an invalid template
+  const contentItems = include.includes('content') ? prepareContentItems(template.content, days, skipped) : [];
+  const content = contentItems.length > 0
+    ? assertValid(contentTreeSchema, { courseId, items: contentItems }, 'template content')
+    : null;
+
+  const steps = [];
+
+  if (content) {
+    const result = await publishContentTree(client, courseId, content);
+    steps.push(...prefixSteps('content', result.steps));
+  }
+
+  if (include.includes('forums')) {
+    steps.push(...await applyForums(client, courseId, template.forums, days));
+  }
+
+  if (include.includes('news')) {
+    for (const [index, item] of template.news.entries()) {
+      steps.push(await runStep(`announcement ${index + 1}`, 'NewsItem', item.title,
+        () => client.createNewsItem(courseId, buildAnnouncementPayload(shiftDates(item, days))),
+        data => data?.Id));
+    }
+  }
+
+  if (include.includes('surveys')) {
+    for (const [index, survey] of template.surveys.entries()) {
+      steps.push(await runStep(`survey ${index + 1}`, 'Survey', survey.title,
+        () => client.createSurvey(courseId, buildSurveyPayload(shiftDates(survey, days))),
+        data => data?.SurveyId ?? data?.Id));
+    }
+  }
+
+  const failed = steps.filter(step => !step.success);
+
+  return {
+    success: failed.length === 0,
+    partial: failed.length > 0 && failed.length < steps.length,
+    steps: steps.map(({ data, ...step }) => step),
+    skipped
+  };
+}
+
+module.exports = {
+  TEMPLATE_FORMAT,
+  TEMPLATE_VERSION,
+  applyTemplateSchema,
+  exportCourseTemplate,
+  applyCourseTemplate
+};
@@ -0,0 +1,371 @@
+/**
+ * Document Processor
+ *
+ * Extracts plain text from uploaded course documents and builds a
+ * summary, topic list and insights from it.
+ *
+ * SUPPORTED FORMATS:
+ * - PDF (pdf-parse)
+ * - DOCX (mammoth)
+ * - PPTX (slide XML via jszip)
+ * - XLSX / CSV (xlsx)
+ * - TXT
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+// Require the library entry directly; the package index runs a debug harness when loaded
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { BrightspaceValidationError } = require('./brightspace-errors');
+
+const SUMMARY_SENTENCES = 3;
+const MAX_TOPICS = 8;
+const WORDS_PER_MINUTE = 200;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'either', 'etc', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'however', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'may', 'me', 'might', 'more', 'most', 'must', 'my',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out',
+  'over', 'own', 'per', 'please', 'same', 'shall', 'she', 'should', 'so', 'some', 'such', 'than', 'that',
+  'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'too', 'under', 'until', 'up', 'upon', 'us', 'use', 'used', 'using', 'very', 'via', 'was', 'we', 'well',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within',
+  'without', 'would', 'you', 'your', 'yours',
+  // Words that appear in nearly every course document and never make useful topics
+  'class', 'course', 'page', 'slide', 'student', 'students', 'week'
+]);
+
+const ABBREVIATIONS = /\b(Dr|Mr|Mrs|Ms|Prof|St|vs|etc|e\.g|i\.e)\.$/i;
+
+// ==========================================
+// TEXT EXTRACTION
+// ==========================================
+
+function detectFormat(fileName, mimeType) {
+  const extension = path.extname(fileName || '').toLowerCase().replace('.', '');
+  const byExtension = {
+    pdf: 'pdf',
+    docx: 'docx',
+    pptx: 'pptx',
+    xlsx: 'xlsx',
+    csv: 'csv',
+    txt: 'txt',
+    text: 'txt',
+    md: 'txt'
+  };
+
+  if (byExtension[extension]) return byExtension[extension];
+
+  const type = mimeType || '';
+  if (type.includes('pdf')) return 'pdf';
+  if (type.includes('wordprocessingml')) return 'docx';
+  if (type.includes('presentationml')) return 'pptx';
+  if (type.includes('spreadsheetml')) return 'xlsx';
+  if (type.includes('csv')) return 'csv';
+  if (type.startsWith('text/')) return 'txt';
+  return null;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+async function extractPdf(buffer) {
+  const result = await pdfParse(buffer);
+  return { text: result.text, structure: { pages: result.numpages } };
+}
+
+async function extractDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return { text: result.value, structure: {} };
+}
+
+async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideNames = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+
+  const slides = [];
+  for (const name of slideNames) {
+    const xml = await zip.file(name).async('string');
+    // Each paragraph (<a:p>) becomes one line; runs (<a:t>) inside it are joined
+    const paragraphs = xml.split('</a:p>').map(paragraph => {
+      const runs = paragraph.match(/<a:t>([^<]*)<\/a:t>/g) || [];
+      return runs.map(run => decodeXmlEntities(run.replace(/<\/?a:t>/g, ''))).join('');
+    }).filter(line => line.trim());
+    slides.push(paragraphs.join('\n'));
+  }
+
+  return { text: slides.join('\n\n'), structure: { slides: slides.length } };
+}
+
+function extractSpreadsheet(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheets = workbook.SheetNames.map(sheetName => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, blankrows: false });
+    return rows.map(row => row.filter(cell => cell !== null && cell !== undefined && cell !== '').join(' | '))
+      .filter(line => line)
+      .join('\n');
+  });
+
+  return { text: sheets.join('\n\n'), structure: { sheets: workbook.SheetNames.length } };
+}
+
+async function extractText(file) {
+  const format = detectFormat(file.originalname, file.mimetype);
+
+  switch (format) {
+    case 'pdf':
+      return { format, ...(await extractPdf(file.buffer)) };
+    case 'docx':
+      return { format, ...(await extractDocx(file.buffer)) };
+    case 'pptx':
+      return { format, ...(await extractPptx(file.buffer)) };
+    case 'xlsx':
+    case 'csv':
+      return { format, ...extractSpreadsheet(file.buffer) };
+    case 'txt':
+      return { format, text: file.buffer.toString('utf8'), structure: {} };
+    default:
+      throw new BrightspaceValidationError(`Unsupported file type: ${file.originalname}`);
+  }
+}
+
+// ==========================================
+// TEXT ANALYSIS
+// ==========================================
+
+function tokenize(text) {
+  return (text.replace(/\S+@\S+|https?:\/\/\S+/g, ' ').toLowerCase().match(/[a-z][a-z'-]*[a-z]/g) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+function isHeadingLine(line) {
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  return letters.length === 0 || letters === letters.toUpperCase() || /^[-=_*#\s]+$/.test(line);
+}
+
+function splitSentences(text) {
+  // Rejoin wrapped lines within a paragraph, dropping headings and rule lines.
+  // List items always start a new segment so they aren't merged into prose.
+  const paragraphs = [];
+  text.split(/\n\s*\n/).forEach(block => {
+    let current = '';
+    block.split('\n').map(line => line.trim()).forEach(line => {
+      if (!line || isHeadingLine(line)) return;
+      if (/^([-*•]|\d+[.)])\s/.test(line)) {
+        if (current) paragraphs.push(current);
+        current = '';
+        paragraphs.push(line.replace(/^([-*•]|\d+[.)])\s+/, ''));
+        return;
+      }
+      current = current ? `${current} ${line}` : line;
+    });
+    if (current) paragraphs.push(current);
+  });
+
+  const sentences = [];
+  paragraphs.forEach(paragraph => {
+    let current = '';
+    paragraph.split(/(?<=[.!?])\s+(?=[A-Z0-9"(])/).forEach(part => {
+      current = current ? `${current} ${part}` : part;
+      if (!ABBREVIATIONS.test(current)) {
+        sentences.push(current.trim());
+        current = '';
+      }
+    });
+    if (current) sentences.push(current.trim());
+  });
+
+  return sentences.filter(sentence => sentence.split(/\s+/).length >= 5 && sentence.length <= 400);
+}
+
+function countTerms(words) {
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+}
+
+function titleCase(phrase) {
+  return phrase.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+function extractTopics(text, limit = MAX_TOPICS) {
+  const lines = text.split(/\n+/);
+  const bigramCounts = new Map();
+
+  // Bigrams are counted within a line so headings and list items don't run together
+  lines.forEach(line => {
+    const words = tokenize(line);
+    for (let i = 0; i < words.length - 1; i++) {
+      const bigram = `${words[i]} ${words[i + 1]}`;
+      bigramCounts.set(bigram, (bigramCounts.get(bigram) || 0) + 1);
+    }
+  });
+
+  const wordCounts = countTerms(tokenize(text));
+  const topics = [];
+  const covered = new Set();
+
+  [...bigramCounts.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, Math.ceil(limit / 2))
+    .forEach(([bigram]) => {
+      topics.push(titleCase(bigram));
+      bigram.split(' ').forEach(word => covered.add(word));
+    });
+
+  [...wordCounts.entries()]
+    .filter(([word, count]) => count >= 2 && !covered.has(word))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit - topics.length)
+    .forEach(([word]) => topics.push(titleCase(word)));
+
+  return topics;
+}
+
+function summarize(text, sentenceCount = SUMMARY_SENTENCES) {
+  const sentences = splitSentences(text);
+  if (sentences.length === 0) {
+    const words = text.replace(/\s+/g, ' ').trim().split(' ');
+    return words.slice(0, 50).join(' ') + (words.length > 50 ? '…' : '');
+  }
+
+  const frequencies = countTerms(tokenize(text));
+  const scored = sentences.map((sentence, index) => {
+    const words = tokenize(sentence);
+    const score = words.reduce((sum, word) => sum + (frequencies.get(word) || 0), 0) / Math.max(words.length, 1);
+    return { sentence, index, score };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, sentenceCount)
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.sentence)
+    .join(' ');
+}
+
+function buildInsights(text, structure = {}) {
+  const insights = [];
+  const wordCount = (text.match(/\S+/g) || []).length;
+  const readingMinutes = Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE));
+
+  insights.push(`${wordCount.toLocaleString()} words (about ${readingMinutes} min reading time)`);
+
+  if (structure.pages) insights.push(`${structure.pages} page${structure.pages === 1 ? '' : 's'}`);
+  if (structure.slides) insights.push(`${structure.slides} slide${structure.slides === 1 ? '' : 's'}`);
+  if (structure.sheets) insights.push(`${structure.sheets} sheet${structure.sheets === 1 ? '' : 's'}`);
+
+  if (/learning (objectives|outcomes)|students will be able to/i.test(text)) {
+    insights.push('Contains learning objectives');
+  }
+
+  const weeks = new Set((text.match(/\bweek\s+\d+/gi) || []).map(week => week.toLowerCase()));
+  if (weeks.size > 0) {
+    insights.push(`Outlines a schedule covering ${weeks.size} week${weeks.size === 1 ? '' : 's'}`);
+  }
+
+  if (/\b(assignment|exam|quiz|midterm|final project|homework)s?\b/i.test(text)) {
+    insights.push('References graded work (assignments, exams or quizzes)');
+  }
+
+  if (/\d+\s*%/.test(text) && /grad(e|ing)/i.test(text)) {
+    insights.push('Includes a grading breakdown');
+  }
+
+  const questions = (text.match(/\?\s/g) || []).length;
+  if (questions >= 3) {
+    insights.push(`Contains ${questions} questions that could seed a quiz or discussion`);
+  }
+
+  return insights;
+}
+
+function analyzeText(text, structure) {
+  return {
+    summary: summarize(text),
+    topics: extractTopics(text),
+    insights: buildInsights(text, structure),
+    wordCount: (text.match(/\S+/g) || []).length
+  };
+}
+
+// ==========================================
+// BATCH PROCESSING
+// ==========================================
+
+async function processFile(file) {
+  try {
+    const { format, text, structure } = await extractText(file);
+    if (!text || !text.trim()) {
+      throw new BrightspaceValidationError(`No readable text found in ${file.originalname}`);
+    }
+
+    return {
+      name: file.originalname,
+      format,
+      size: file.size,
+      text,
+      ...analyzeText(text, structure)
+    };
+  } catch (error) {
+    console.error(`Document processing failed for ${file.originalname}:`, error.message);
+    return {
+      name: file.originalname,
+      size: file.size,
+      error: error.message
+    };
+  }
+}
+
+async function processFiles(files) {
+  // Extracted text stays server-side; the client only needs the analysis
+  const results = [];
+  const texts = [];
+  for (const file of files) {
+    const { text, ...result } = await processFile(file);
+    results.push(result);
+    if (text) texts.push(text);
+  }
+
+  const processed = results.filter(result => !result.error);
+  const combinedText = texts.join('\n\n');
+  const batch = processed.length > 0
+    ? analyzeText(combinedText)
+    : { summary: 'No readable content could be extracted from the uploaded files.', topics: [], insights: [], wordCount: 0 };
+
+  const insights = [`Processed ${processed.length} of ${results.length} file${results.length === 1 ? '' : 's'}`];
+  results.filter(result => result.error).forEach(result => insights.push(`Skipped ${result.name}: ${result.error}`));
+
+  return {
+    summary: batch.summary,
+    topics: batch.topics,
+    insights: [...insights, ...batch.insights],
+    wordCount: batch.wordCount,
+    files: results
+  };
+}
+
+module.exports = {
+  detectFormat,
+  decodeXmlEntities,
+  extractText,
+  analyzeText,
+  processFile,
+  processFiles
+};
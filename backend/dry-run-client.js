@@ -0,0 +1,124 @@
+/**
+ * Dry-run Client
+ *
+ * Wraps a session's BrightspaceContentCreator so that nothing is written to
+ * Brightspace. Reads still go through, so previews see the real course, but
+ * every write is recorded as { method, url, body, files } and answered with a
+ * placeholder response; file content is summarized in `files` as
+ * { fileName, contentType, size }. The publishers run unchanged on top of it,
+ * which makes the recorded requests exactly what a real run would send -
+ * except that ids and file locations from earlier steps are placeholders like
+ * `dry-run-3`.
+ */
+
+const { getSourceSize } = require('./chunked-upload');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// multipart/mixed bodies (news items) become their JSON part plus a summary of each file
+function describeMultipart(buffer, boundary) {
+  return buffer.toString('latin1')
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map(part => {
+      const separator = part.indexOf('\r\n\r\n');
+      const headers = part.slice(0, separator);
+      const content = part.slice(separator + 4, part.length - 2);
+      const fileName = /filename="([^"]*)"/i.exec(headers);
+
+      if (!fileName) {
+        return JSON.parse(Buffer.from(content, 'latin1').toString('utf8'));
+      }
+      return {
+        fileName: fileName[1],
+        contentType: (/content-type:\s*([^\r\n]+)/i.exec(headers) || [])[1] || null,
+        size: Buffer.byteLength(content, 'latin1')
+      };
+    });
+}
+
+// { body, files }: the JSON that would be sent, and a summary of any file content
+function describeRequest(config) {
+  const { data } = config;
+  if (!Buffer.isBuffer(data)) return { body: data === undefined ? null : data, files: [] };
+
+  const contentType = getHeader(config.headers, 'content-type') || '';
+  const boundary = /multipart\/[a-z]+;\s*boundary=(\S+)/i.exec(contentType);
+  if (boundary) {
+    const [body, ...files] = describeMultipart(data, boundary[1]);
+    return { body, files };
+  }
+  return { body: null, files: [{ fileName: null, contentType: contentType || null, size: data.length }] };
+}
+
+// Every id field a publisher reads back, so later steps can refer to this one
+function placeholderResponse(body, id) {
+  return {
+    ...(isPlainObject(body) ? body : {}),
+    Id: id,
+    ForumId: id,
+    TopicId: id,
+    SurveyId: id,
+    SectionId: id,
+    QuizId: id,
+    QuestionId: id,
+    FileId: id,
+    UploadUrl: `dry-run://upload/${id}`
+  };
+}
+
+/**
+ * A client that records writes instead of sending them. The recorded
+ * requests are on `.requests` in the order they would have been sent.
+ */
+function createDryRunClient(client) {
+  const dryRun = Object.create(client);
+  const uploads = new Map();
+  let nextId = 1;
+
+  dryRun.requests = [];
+
+  dryRun.request = async function (config) {
+    const method = (config.method || 'GET').toUpperCase();
+    if (READ_METHODS.includes(method)) {
+      return client.request(config);
+    }
+
+    const id = `dry-run-${nextId++}`;
+    const { body, files } = describeRequest(config);
+    this.requests.push({ method, url: config.url, body, files });
+
+    // Finalizing an upload tells the caller where the file ended up
+    const finalized = /\/managefiles\/([^/]+)\/finalize\/$/.exec(config.url);
+    if (finalized) {
+      return { status: 200, data: { Path: `dry-run://files/${uploads.get(finalized[1]) || finalized[1]}` } };
+    }
+    if (body && body.FileName) uploads.set(id, body.FileName);
+
+    return { status: 200, data: placeholderResponse(body, id) };
+  };
+
+  dryRun.transferFile = async function (uploadUrl, file, fileType) {
+    this.requests.push({
+      method: 'PUT',
+      url: uploadUrl,
+      body: null,
+      files: [{ fileName: null, contentType: fileType || 'application/octet-stream', size: getSourceSize(file) }]
+    });
+  };
+
+  return dryRun;
+}
+
+module.exports = {
+  createDryRunClient
+};
@@ -0,0 +1,271 @@
+/**
+ * Job Queue
+ *
+ * Runs long operations (publishing, bulk posting, multi-file uploads) outside
+ * the HTTP request that started them. A job is a list of tasks - one per
+ * course, file or publish step - and its progress is the state of each task.
+ *
+ * - Jobs run JOB_MAX_CONCURRENCY at a time (default 2), in the order queued;
+ *   a job's own tasks run `concurrency` at a time (default 1)
+ * - Every change is emitted as an 'update' event with the job's snapshot,
+ *   which the server streams to the browser over Server-Sent Events
+ * - cancel() stops tasks that haven't started; a running task finishes, unless
+ *   it watches the abort signal (file transfers stop between chunks)
+ * - retry() runs a failed or cancelled job again, but only the tasks that
+ *   didn't succeed, so nothing is created twice
+ * - A lost session stops the job and leaves the remaining tasks pending for
+ *   a retry after reconnecting
+ *
+ * Jobs belong to the session that started them and are kept in memory for
+ * JOB_TTL_MINUTES (default 60) after they finish.
+ *
+ * TASK STATUS: pending -> running -> succeeded | failed, or pending -> cancelled
+ * JOB STATUS: queued -> running -> succeeded | failed | cancelled
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { BrightspaceAuthError } = require('./brightspace-errors');
+const { HostLimiter } = require('./valence-http');
+
+const DEFAULT_MAX_CONCURRENCY = Number(process.env.JOB_MAX_CONCURRENCY) || 2;
+const JOB_TTL_MS = (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+  constructor({ maxConcurrency = DEFAULT_MAX_CONCURRENCY } = {}) {
+    super();
+    // One listener per open progress stream
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.limiter = new HostLimiter(maxConcurrency);
+
+    // unref() so the timer never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Queue a job. tasks: [{ key, title, run(signal, reportProgress) }], where run
+   * resolves with details to report for the task or throws, and may call
+   * reportProgress(done, total) along the way (bytes sent, for uploads). A task
+   * that resolved created something, so it counts as succeeded even if its
+   * details say `partial`. cleanup, if given, runs once the job is dropped from
+   * memory. Returns the job's snapshot straight away; the tasks run in the background.
+   */
+  enqueue({ owner, type, title, tasks, concurrency = 1, cleanup = null }) {
+    const job = {
+      id: crypto.randomUUID(),
+      owner,
+      type,
+      title,
+      status: 'queued',
+      attempt: 0,
+      concurrency,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      cleanup,
+      tasks: tasks.map(task => ({ key: String(task.key), title: task.title, run: task.run, status: 'pending', attempts: 0 }))
+    };
+
+    this.jobs.set(job.id, job);
+    console.log(`🧾 Job ${job.id} queued: ${type} "${title}" with ${tasks.length} task(s)`);
+    this.start(job);
+    return this.snapshot(job);
+  }
+
+  start(job) {
+    job.attempt++;
+    job.controller = new AbortController();
+    this.emitUpdate(job);
+
+    this.limiter.run(() => this.runJob(job)).catch(error => {
+      console.error(`❌ Job ${job.id} crashed:`, error.message);
+      this.finish(job, error.message);
+    });
+  }
+
+  async runJob(job) {
+    if (job.controller.signal.aborted) {
+      this.finish(job);
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.error = null;
+    this.emitUpdate(job);
+
+    const taskLimiter = new HostLimiter(job.concurrency);
+    const pending = job.tasks.filter(task => task.status === 'pending');
+
+    await Promise.all(pending.map(task => taskLimiter.run(() => this.runTask(job, task))));
+    this.finish(job);
+  }
+
+  async runTask(job, task) {
+    if (job.controller.signal.aborted) {
+      if (job.cancelRequested) task.status = 'cancelled';
+      return;
+    }
+
+    task.status = 'running';
+    task.attempts++;
+    task.error = undefined;
+    task.code = undefined;
+    this.emitUpdate(job);
+
+    const reportProgress = (done, total) => {
+      task.progress = { done, total };
+      this.emitUpdate(job);
+    };
+
+    try {
+      task.result = await task.run(job.controller.signal, reportProgress);
+      task.status = 'succeeded';
+    } catch (error) {
+      // A task that stopped because of cancel() was cancelled, not failed
+      if (job.cancelRequested && job.controller.signal.aborted) {
+        task.status = 'cancelled';
+        this.emitUpdate(job);
+        return;
+      }
+
+      task.status = 'failed';
+      task.error = error.message;
+      task.code = error.code;
+
+      // Nothing else can succeed without a session; leave the rest for a retry
+      if (error instanceof BrightspaceAuthError) {
+        job.error = error.message;
+        job.controller.abort();
+      }
+    }
+
+    this.emitUpdate(job);
+  }
+
+  finish(job, error = null) {
+    const counts = this.countTasks(job);
+
+    if (error) job.error = error;
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+    } else if (job.error || counts.failed > 0 || counts.pending > 0) {
+      job.status = 'failed';
+    } else {
+      job.status = 'succeeded';
+    }
+    job.finishedAt = new Date().toISOString();
+
+    console.log(`🧾 Job ${job.id} ${job.status}: ${counts.succeeded}/${job.tasks.length} task(s) succeeded`);
+    this.emitUpdate(job);
+  }
+
+  // ==========================================
+  // CONTROL
+  // ==========================================
+
+  get(id, owner) {
+    const job = this.jobs.get(id);
+    return job && job.owner === owner ? this.snapshot(job) : null;
+  }
+
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter(job => job.owner === owner)
+      .map(job => this.snapshot(job))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Returns false when the job is unknown or already finished
+  cancel(id, owner) {
+    const job = this.jobs.get(id);
+    if (!job || job.owner !== owner || FINISHED_STATUSES.includes(job.status)) return false;
+
+    job.cancelRequested = true;
+    job.controller.abort();
+    job.tasks.filter(task => task.status === 'pending').forEach(task => {
+      task.status = 'cancelled';
+    });
+    console.log(`🛑 Job ${job.id} cancelled`);
+    this.emitUpdate(job);
+    return true;
+  }
+
+  // Returns false unless the job failed or was cancelled
+  retry(id, owner) {
+    const job = this.jobs.get(id);
+    if (!job || job.owner !== owner || !['failed', 'cancelled'].includes(job.status)) return false;
+
+    job.tasks.filter(task => task.status !== 'succeeded').forEach(task => {
+      task.status = 'pending';
+    });
+    job.status = 'queued';
+    job.cancelRequested = false;
+    job.finishedAt = null;
+    console.log(`🔁 Job ${job.id} retrying ${this.countTasks(job).pending} task(s)`);
+    this.start(job);
+    return true;
+  }
+
+  // ==========================================
+  // SNAPSHOTS
+  // ==========================================
+
+  countTasks(job) {
+    const counts = { pending: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    job.tasks.forEach(task => {
+      counts[task.status]++;
+    });
+    return counts;
+  }
+
+  // What the API and progress stream see: no task functions or owner
+  snapshot(job) {
+    const counts = this.countTasks(job);
+
+    return {
+      id: job.id,
+      type: job.type,
+      title: job.title,
+      status: job.status,
+      attempt: job.attempt,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: {
+        total: job.tasks.length,
+        completed: counts.succeeded + counts.failed + counts.cancelled,
+        ...counts
+      },
+      tasks: job.tasks.map(({ key, title, status, attempts, progress, result, error, code }) => ({
+        key, title, status, attempts, progress, result, error, code
+      }))
+    };
+  }
+
+  emitUpdate(job) {
+    this.emit('update', job.owner, this.snapshot(job));
+  }
+
+  removeExpired() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+        if (job.cleanup) job.cleanup();
+      }
+    }
+  }
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  JobQueue
+};
@@ -0,0 +1,146 @@
+/**
+ * Payload Validator
+ *
+ * A small schema checker for user-authored request bodies. A schema maps
+ * each field name to a rule:
+ *
+ * - type: 'string' | 'boolean' | 'integer' | 'number' | 'date' | 'array' | 'object'
+ * - label: name used in error messages (defaults to the field name)
+ * - required, default
+ * - minLength / maxLength (strings, arrays), min / max (numbers)
+ * - enum: allowed values
+ * - items: rule for array elements; properties: schema for object fields
+ * - check(value, data): extra rule, returns an error message or null
+ *
+ * validate() never throws; it returns the cleaned value plus a list of
+ * { field, message } errors. assertValid() throws a BrightspaceValidationError
+ * carrying those errors as `details`, which the server turns into a 400.
+ */
+
+const { BrightspaceValidationError } = require('./brightspace-errors');
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function coerce(rule, value) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? { value: value.trim() } : { error: 'must be text' };
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      return { error: 'must be true or false' };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number)) return { error: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+      return { value: number };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      return typeof value === 'string' && !Number.isNaN(date.getTime())
+        ? { value: date.toISOString() }
+        : { error: 'must be a valid date' };
+    }
+
+    case 'array':
+      return Array.isArray(value) ? { value } : { error: 'must be a list' };
+
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: 'must be an object' };
+
+    default:
+      return { value };
+  }
+}
+
+function checkLimits(rule, value) {
+  const size = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+  const unit = typeof value === 'string' ? 'characters' : 'items';
+
+  if (size !== null && rule.minLength !== undefined && size < rule.minLength) return `must have at least ${rule.minLength} ${unit}`;
+  if (size !== null && rule.maxLength !== undefined && size > rule.maxLength) return `must be at most ${rule.maxLength} ${unit}`;
+  if (typeof value === 'number' && rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+  if (typeof value === 'number' && rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+  return null;
+}
+
+function validateField(rule, raw, field, data, errors) {
+  const label = rule.label || field;
+
+  if (isEmpty(raw)) {
+    if (rule.required) {
+      errors.push({ field, message: `${label} is required` });
+    } else if (typeof raw === 'string' && rule.minLength) {
+      // Optional fields may be left out, but not sent blank
+      errors.push({ field, message: `${label} cannot be empty` });
+    }
+    return rule.default !== undefined ? rule.default : undefined;
+  }
+
+  const { value, error } = coerce(rule, raw);
+  if (error) {
+    errors.push({ field, message: `${label} ${error}` });
+    return undefined;
+  }
+
+  const limitError = checkLimits(rule, value);
+  if (limitError) {
+    errors.push({ field, message: `${label} ${limitError}` });
+    return undefined;
+  }
+
+  let result = value;
+  if (rule.type === 'array' && rule.items) {
+    result = value.map((item, index) => validateField(rule.items, item, `${field}[${index}]`, data, errors));
+  } else if (rule.type === 'object' && rule.properties) {
+    result = validateObject(rule.properties, value, errors, `${field}.`);
+  }
+
+  if (rule.check) {
+    const message = rule.check(result, data);
+    if (message) errors.push({ field, message });
+  }
+
+  return result;
+}
+
+function validateObject(schema, input, errors, prefix = '') {
+  const data = input || {};
+  const value = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const fieldValue = validateField(rule, data[field], `${prefix}${field}`, data, errors);
+    if (fieldValue !== undefined) value[field] = fieldValue;
+  });
+
+  return value;
+}
+
+function validate(schema, input) {
+  const errors = [];
+  const value = validateObject(schema, input, errors);
+  return { value, errors };
+}
+
+// Throws a 400-mapped error listing every invalid field
+function assertValid(schema, input, description = 'request') {
+  const { value, errors } = validate(schema, input);
+  if (errors.length > 0) {
+    throw new BrightspaceValidationError(`Invalid ${description}: ${errors.map(error => error.message).join('; ')}`, {
+      details: errors
+    });
+  }
+  return value;
+}
+
+module.exports = {
+  validate,
+  assertValid
+};
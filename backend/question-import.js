@@ -0,0 +1,504 @@
+/**
+ * Question Import
+ *
+ * Parses question bank files into the quiz builder's question model
+ * (see quiz-payloads.js) so they can be reviewed and created as a quiz.
+ *
+ * SUPPORTED FORMATS:
+ * - GIFT (.gift, or .txt in GIFT syntax): multiple choice, multi-select (weighted
+ *   answers), true/false, short answer and missing-word questions
+ * - Aiken (.aiken, or .txt with ANSWER: lines): multiple choice
+ * - QTI 2.1 (.xml item, or .zip content package): choiceInteraction and
+ *   single-blank textEntryInteraction items
+ *
+ * Anything else (essays, numeric, matching, ordering, hotspots...) is skipped
+ * and reported in `warnings` along with questions that fail validation.
+ * Choices are either correct or not, so GIFT partial credit (`~%50%`) and
+ * penalties (`~%-25%`) are imported with a warning: any positive weight makes
+ * the choice correct, and a negative one makes it simply wrong.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { decodeXmlEntities } = require('./document-processor');
+const { validate } = require('./payload-validator');
+const { questionSchema, checkQuestion } = require('./quiz-payloads');
+const { readZipEntries } = require('./upload-policy');
+const { BrightspaceValidationError } = require('./brightspace-errors');
+
+const MAX_TITLE_LENGTH = 128;
+// QTI packages are inflated in memory, so their size is checked from the
+// central directory first
+const MAX_QTI_ENTRIES = 1000;
+const MAX_QTI_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+function detectQuestionFormat(fileName, text = '') {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.gift') return 'gift';
+  if (extension === '.aiken') return 'aiken';
+  if (extension === '.xml' || extension === '.zip') return 'qti';
+
+  if (extension === '.txt') {
+    if (/^ANSWER:\s*[A-Z]\s*$/im.test(text)) return 'aiken';
+    if (/\{[^}]*[=~][^}]*\}|\{\s*(T|F|TRUE|FALSE)\s*\}/i.test(text)) return 'gift';
+  }
+
+  return null;
+}
+
+// ==========================================
+// GIFT
+// ==========================================
+
+// Escaped control characters are swapped for placeholders while parsing, then restored
+const GIFT_ESCAPES = { '~': '\u0001', '=': '\u0002', '#': '\u0003', '{': '\u0004', '}': '\u0005', ':': '\u0006' };
+
+function protectGiftEscapes(text) {
+  return text.replace(/\\([~=#{}:])/g, (_, char) => GIFT_ESCAPES[char]);
+}
+
+function restoreGiftEscapes(text) {
+  return Object.entries(GIFT_ESCAPES)
+    .reduce((result, [char, placeholder]) => result.split(placeholder).join(char), text)
+    .replace(/\\n/g, '\n')
+    .trim();
+}
+
+// "Paris is in _____ ." -> "Paris is in _____."
+function fillBlank(text) {
+  return text.replace(/_____ (?=[.,;:?!])/g, '_____');
+}
+
+function stripTags(html) {
+  return decodeXmlEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+// "[html]<p>Text</p>" -> "Text"; other format markers are just dropped
+function giftText(text) {
+  const match = text.match(/^\s*\[(html|moodle|plain|markdown)\]/i);
+  if (!match) return restoreGiftEscapes(text);
+
+  const body = text.slice(match[0].length);
+  return match[1].toLowerCase() === 'html' ? stripTags(restoreGiftEscapes(body)) : restoreGiftEscapes(body);
+}
+
+function splitGiftFeedback(body) {
+  const [text, ...feedback] = body.split('#');
+  return { text: text.trim(), feedback: feedback.join('#').trim() };
+}
+
+function parseGiftAnswers(block) {
+  // "####" starts the general feedback for the whole question
+  const [answerText, generalFeedback = ''] = block.split('####');
+  const answers = [];
+  const pattern = /([=~])([^=~]*)/g;
+  let match;
+
+  while ((match = pattern.exec(answerText)) !== null) {
+    let body = match[2];
+    let weight = null;
+    const weightMatch = body.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      body = body.slice(weightMatch[0].length);
+    }
+
+    const { text, feedback } = splitGiftFeedback(body);
+    answers.push({ marker: match[1], weight, text: giftText(text), feedback: giftText(feedback) });
+  }
+
+  return { answers, generalFeedback: giftText(generalFeedback) };
+}
+
+function parseGiftQuestion(block) {
+  let source = protectGiftEscapes(block);
+  let title = null;
+
+  const titleMatch = source.match(/^\s*::([\s\S]*?)::/);
+  if (titleMatch) {
+    title = restoreGiftEscapes(titleMatch[1]).slice(0, MAX_TITLE_LENGTH);
+    source = source.slice(titleMatch[0].length);
+  }
+
+  const open = source.indexOf('{');
+  const close = source.indexOf('}', open);
+  if (open === -1 || close === -1) {
+    return { error: 'description item without answers is not supported' };
+  }
+
+  const before = source.slice(0, open).trim();
+  const after = source.slice(close + 1).trim();
+  const answerBlock = source.slice(open + 1, close).trim();
+  // Missing-word format puts the answers in the middle of the sentence
+  const text = after ? fillBlank(giftText(`${before} _____ ${after}`)) : giftText(before);
+
+  if (answerBlock === '' || answerBlock.startsWith('####')) return { error: 'essay questions are not supported' };
+  if (answerBlock.startsWith('#')) return { error: 'numeric questions are not supported' };
+  if (answerBlock.includes('->')) return { error: 'matching questions are not supported' };
+
+  const trueFalse = answerBlock.match(/^(T|TRUE|F|FALSE)\b([\s\S]*)$/i);
+  if (trueFalse) {
+    const generalFeedback = trueFalse[2].split('####')[1] || '';
+    return {
+      question: {
+        type: 'true_false',
+        title,
+        text,
+        answer: trueFalse[1].toUpperCase().startsWith('T'),
+        feedback: giftText(generalFeedback)
+      }
+    };
+  }
+
+  const { answers, generalFeedback } = parseGiftAnswers(answerBlock);
+  if (answers.length === 0) return { error: 'no answers found' };
+
+  const base = { title, text, feedback: generalFeedback };
+
+  if (answers.every(answer => answer.marker === '=')) {
+    return { question: { ...base, type: 'short_answer', acceptedAnswers: answers.map(answer => answer.text) } };
+  }
+
+  const isCorrect = answer => answer.marker === '=' || (answer.weight !== null && answer.weight > 0);
+  const choices = answers.map(answer => ({ text: answer.text, correct: isCorrect(answer), feedback: answer.feedback }));
+  const correctCount = choices.filter(choice => choice.correct).length;
+
+  const warnings = [];
+  answers.forEach(answer => {
+    if (answer.weight === null || answer.weight === 0 || answer.weight >= 100) return;
+    warnings.push(answer.weight > 0
+      ? `Partial credit (${answer.weight}%) for "${answer.text}" imported as a fully correct choice`
+      : `Penalty (${answer.weight}%) for "${answer.text}" dropped; the choice is imported as incorrect`);
+  });
+
+  return { question: { ...base, type: correctCount === 1 ? 'multiple_choice' : 'multi_select', choices }, warnings };
+}
+
+function parseGift(text) {
+  const questions = [];
+  const warnings = [];
+
+  const cleaned = text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('//'))
+    .join('\n');
+
+  cleaned.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).forEach((block, index) => {
+    const location = `question ${index + 1}`;
+
+    if (block.startsWith('$CATEGORY:')) {
+      warnings.push({ location, message: `Category "${block.slice(10).trim()}" ignored` });
+      return;
+    }
+
+    const { question, error, warnings: questionWarnings = [] } = parseGiftQuestion(block);
+    if (error) {
+      warnings.push({ location, message: `Skipped: ${error}` });
+    } else {
+      questions.push({ ...question, location });
+      questionWarnings.forEach(message => warnings.push({ location, message }));
+    }
+  });
+
+  return { questions, warnings };
+}
+
+// ==========================================
+// AIKEN
+// ==========================================
+
+function parseAiken(text) {
+  const questions = [];
+  const warnings = [];
+  let current = null;
+  let count = 0;
+
+  const startQuestion = line => {
+    count++;
+    current = { location: `question ${count}`, lines: [line], choices: [] };
+  };
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const choice = line.match(/^([A-Z])[.)]\s+(.+)$/);
+    const answer = line.match(/^ANSWER:\s*([A-Z])\s*$/i);
+
+    if (!current) {
+      startQuestion(line);
+    } else if (answer) {
+      const letter = answer[1].toUpperCase();
+      const correctIndex = current.choices.findIndex(item => item.letter === letter);
+
+      if (current.choices.length < 2) {
+        warnings.push({ location: current.location, message: 'Skipped: needs at least 2 choices' });
+      } else if (correctIndex === -1) {
+        warnings.push({ location: current.location, message: `Skipped: ANSWER ${letter} does not match a choice` });
+      } else {
+        questions.push({
+          type: 'multiple_choice',
+          text: current.lines.join('\n'),
+          choices: current.choices.map((item, index) => ({ text: item.text, correct: index === correctIndex })),
+          location: current.location
+        });
+      }
+      current = null;
+    } else if (choice && current.lines.length > 0) {
+      current.choices.push({ letter: choice[1], text: choice[2].trim() });
+    } else if (current.choices.length > 0) {
+      // Text after the choices without an ANSWER line: the previous question was never closed
+      warnings.push({ location: current.location, message: 'Skipped: missing ANSWER line' });
+      startQuestion(line);
+    } else {
+      current.lines.push(line);
+    }
+  });
+
+  if (current) {
+    warnings.push({ location: current.location, message: 'Skipped: missing ANSWER line' });
+  }
+
+  return { questions, warnings };
+}
+
+// ==========================================
+// QTI 2.1
+// ==========================================
+
+const SUPPORTED_INTERACTIONS = new Set(['choiceInteraction', 'textEntryInteraction']);
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+function getValues(xml) {
+  return (xml.match(/<value\b[^>]*>([\s\S]*?)<\/value>/g) || [])
+    .map(value => decodeXmlEntities(value.replace(/<\/?value\b[^>]*>/g, '')).trim());
+}
+
+function getMaxScore(xml) {
+  const declaration = xml.match(/<outcomeDeclaration\b[^>]*identifier="MAXSCORE"[^>]*>([\s\S]*?)<\/outcomeDeclaration>/);
+  const value = declaration ? Number(getValues(declaration[1])[0]) : NaN;
+  return Number.isNaN(value) || value < 0 ? 1 : value;
+}
+
+function parseQtiItem(xml) {
+  const itemMatch = xml.match(/<assessmentItem\b([^>]*)>/);
+  if (!itemMatch) return { error: 'no assessmentItem found' };
+
+  const title = getAttribute(itemMatch[1], 'title');
+  const interactions = [...new Set((xml.match(/<(\w+Interaction)\b/g) || []).map(tag => tag.slice(1)))];
+  const unsupported = interactions.filter(name => !SUPPORTED_INTERACTIONS.has(name));
+
+  if (interactions.length === 0) return { error: 'no interaction found' };
+  if (unsupported.length > 0) return { error: `${unsupported.join(', ')} is not supported` };
+  if (interactions.length > 1) return { error: 'items with several interactions are not supported' };
+
+  const responseMatch = xml.match(/<responseDeclaration\b([^>]*)>([\s\S]*?)<\/responseDeclaration>/);
+  const correctMatch = responseMatch && responseMatch[2].match(/<correctResponse>([\s\S]*?)<\/correctResponse>/);
+  const correctValues = correctMatch ? getValues(correctMatch[1]) : [];
+  const mappedValues = responseMatch
+    ? [...responseMatch[2].matchAll(/<mapEntry\b[^>]*mapKey="([^"]*)"[^>]*mappedValue="([^"]*)"/g)]
+      .filter(entry => Number(entry[2]) > 0)
+      .map(entry => decodeXmlEntities(entry[1]))
+    : [];
+
+  const bodyMatch = xml.match(/<itemBody\b[^>]*>([\s\S]*?)<\/itemBody>/);
+  const body = bodyMatch ? bodyMatch[1] : '';
+  const modalFeedback = xml.match(/<modalFeedback\b[^>]*>([\s\S]*?)<\/modalFeedback>/);
+
+  const base = {
+    title: title ? title.slice(0, MAX_TITLE_LENGTH) : null,
+    points: getMaxScore(xml),
+    feedback: modalFeedback ? stripTags(modalFeedback[1]) : ''
+  };
+
+  if (interactions[0] === 'textEntryInteraction') {
+    if ((body.match(/<textEntryInteraction\b/g) || []).length > 1) {
+      return { error: 'text entry items with several blanks are not supported' };
+    }
+
+    const text = fillBlank(stripTags(body.replace(/<textEntryInteraction\b[^>]*\/>|<textEntryInteraction\b[\s\S]*?<\/textEntryInteraction>/, ' _____ ')));
+    const acceptedAnswers = [...new Set([...correctValues, ...mappedValues])];
+    return { question: { ...base, type: 'short_answer', text, acceptedAnswers } };
+  }
+
+  const interaction = body.match(/<choiceInteraction\b([^>]*)>([\s\S]*?)<\/choiceInteraction>/);
+  if (!interaction) return { error: 'malformed choiceInteraction' };
+
+  const maxChoices = Number(getAttribute(interaction[1], 'maxChoices') || 1);
+  const prompt = interaction[2].match(/<prompt\b[^>]*>([\s\S]*?)<\/prompt>/);
+  const stem = body.replace(interaction[0], '');
+  const text = [stripTags(stem), prompt ? stripTags(prompt[1]) : ''].filter(Boolean).join('\n');
+
+  const choices = [...interaction[2].matchAll(/<simpleChoice\b([^>]*)>([\s\S]*?)<\/simpleChoice>/g)].map(match => {
+    const identifier = getAttribute(match[1], 'identifier');
+    const feedback = match[2].match(/<feedbackInline\b[^>]*>([\s\S]*?)<\/feedbackInline>/);
+    return {
+      text: stripTags(match[2].replace(/<feedbackInline\b[\s\S]*?<\/feedbackInline>/g, '')),
+      correct: correctValues.includes(identifier) || mappedValues.includes(identifier),
+      feedback: feedback ? stripTags(feedback[1]) : ''
+    };
+  });
+
+  // A two-choice True/False item maps onto Brightspace's native true/false type
+  const labels = choices.map(choice => choice.text.toLowerCase());
+  if (maxChoices === 1 && labels.length === 2 && labels.includes('true') && labels.includes('false')) {
+    const trueChoice = choices[labels.indexOf('true')];
+    return { question: { ...base, type: 'true_false', text, answer: trueChoice.correct } };
+  }
+
+  return { question: { ...base, type: maxChoices === 1 ? 'multiple_choice' : 'multi_select', text, choices } };
+}
+
+function parseQtiDocuments(documents) {
+  const questions = [];
+  const warnings = [];
+
+  documents.forEach(({ name, xml }) => {
+    if (!/<assessmentItem\b/.test(xml)) {
+      if (/<assessmentTest\b/.test(xml)) {
+        warnings.push({ location: name, message: 'Skipped: assessmentTest only references items; upload the full .zip package' });
+      }
+      return;
+    }
+
+    const { question, error } = parseQtiItem(xml);
+    if (error) {
+      warnings.push({ location: name, message: `Skipped: ${error}` });
+    } else {
+      questions.push({ ...question, location: name });
+    }
+  });
+
+  return { questions, warnings };
+}
+
+async function parseQti(buffer, fileName) {
+  if (path.extname(fileName).toLowerCase() !== '.zip') {
+    return parseQtiDocuments([{ name: fileName, xml: buffer.toString('utf8') }]);
+  }
+
+  const directory = await readZipEntries({ buffer, size: buffer.length });
+  if (!directory) {
+    return { questions: [], warnings: [{ location: fileName, message: 'Skipped: not a readable zip package' }] };
+  }
+
+  const uncompressedBytes = directory.entries.reduce((total, entry) => total + entry.size, 0);
+  if (directory.entryCount > MAX_QTI_ENTRIES || directory.entries.length > MAX_QTI_ENTRIES ||
+      uncompressedBytes > MAX_QTI_UNCOMPRESSED_BYTES) {
+    throw new BrightspaceValidationError(
+      `${fileName} is too large to import: at most ${MAX_QTI_ENTRIES} files and ${MAX_QTI_UNCOMPRESSED_BYTES / 1024 / 1024} MB uncompressed`,
+      { code: 'FILE_REJECTED', details: [{ field: 'files', fileName, code: 'PACKAGE_TOO_LARGE', message: 'Package too large to unpack' }] }
+    );
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    return { questions: [], warnings: [{ location: fileName, message: `Skipped: not a readable zip package (${error.message})` }] };
+  }
+
+  const names = Object.keys(zip.files)
+    .filter(name => name.toLowerCase().endsWith('.xml') && !name.toLowerCase().endsWith('imsmanifest.xml') && !zip.files[name].dir)
+    .sort();
+
+  const documents = [];
+  for (const name of names) {
+    documents.push({ name, xml: await zip.file(name).async('string') });
+  }
+
+  const result = parseQtiDocuments(documents);
+  if (documents.length === 0) {
+    result.warnings.push({ location: fileName, message: 'No QTI item files found in the package' });
+  }
+  return result;
+}
+
+// ==========================================
+// PIPELINE
+// ==========================================
+
+// Keep only questions that would pass /api/create-quiz; report the rest
+function validateQuestions(questions, warnings) {
+  return questions.flatMap(({ location, ...question }) => {
+    const { value, errors } = validate(questionSchema, question);
+    const problem = errors[0]?.message || checkQuestion(value);
+
+    if (problem) {
+      warnings.push({ location, message: `Skipped: ${problem}` });
+      return [];
+    }
+    return [value];
+  });
+}
+
+/**
+ * Parse one uploaded file (multer shape: { originalname, buffer }).
+ * Resolves with { fileName, format, questions, warnings }.
+ */
+async function importQuestionFile(file) {
+  const fileName = file.originalname;
+  const isZip = path.extname(fileName).toLowerCase() === '.zip';
+  const text = isZip ? '' : file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const format = detectQuestionFormat(fileName, text);
+
+  let parsed;
+  switch (format) {
+    case 'gift':
+      parsed = parseGift(text);
+      break;
+    case 'aiken':
+      parsed = parseAiken(text);
+      break;
+    case 'qti':
+      parsed = await parseQti(file.buffer, fileName);
+      break;
+    default:
+      return {
+        fileName,
+        format: null,
+        questions: [],
+        warnings: [{ location: fileName, message: 'Not a recognized question format (GIFT, Aiken or QTI 2.1)' }]
+      };
+  }
+
+  const locate = location => (location === fileName ? fileName : `${fileName}: ${location}`);
+  const warnings = parsed.warnings.map(warning => ({ ...warning, location: locate(warning.location) }));
+  const questions = validateQuestions(
+    parsed.questions.map(question => ({ ...question, location: locate(question.location) })),
+    warnings
+  );
+
+  return { fileName, format, questions, warnings };
+}
+
+async function importQuestionFiles(files) {
+  const results = [];
+  for (const file of files) {
+    results.push(await importQuestionFile(file));
+  }
+
+  return {
+    questions: results.flatMap(result => result.questions),
+    warnings: results.flatMap(result => result.warnings),
+    files: results.map(({ fileName, format, questions }) => ({ fileName, format, questionCount: questions.length }))
+  };
+}
+
+module.exports = {
+  detectQuestionFormat,
+  parseGift,
+  parseAiken,
+  parseQti,
+  importQuestionFile,
+  importQuestionFiles
+};
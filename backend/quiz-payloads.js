@@ -0,0 +1,186 @@
+/**
+ * Quiz Payloads
+ *
+ * Schema for the quiz builder and the builders that turn it into Valence
+ * quiz and question data.
+ *
+ * QUESTION TYPES (type -> Valence QuestionTypeId):
+ * - multiple_choice  1  exactly one correct choice
+ * - true_false       2  `answer` is the correct value
+ * - multi_select     4  one or more correct choices
+ * - short_answer     8  `acceptedAnswers` are the strings marked correct
+ */
+
+const { toRichText } = require('./content-payloads');
+
+const MAX_QUESTIONS = 200;
+
+const QUESTION_TYPE_IDS = {
+  multiple_choice: 1,
+  true_false: 2,
+  multi_select: 4,
+  short_answer: 8
+};
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+function checkQuestion(question) {
+  if (!question || !question.type) return null;
+
+  const choices = question.choices || [];
+  const correct = choices.filter(choice => choice && choice.correct).length;
+
+  switch (question.type) {
+    case 'multiple_choice':
+      if (choices.length < 2) return 'Multiple choice questions need at least 2 choices';
+      if (correct !== 1) return 'Multiple choice questions need exactly one correct choice';
+      return null;
+    case 'multi_select':
+      if (choices.length < 2) return 'Multi-select questions need at least 2 choices';
+      if (correct < 1) return 'Multi-select questions need at least one correct choice';
+      return null;
+    case 'true_false':
+      return typeof question.answer === 'boolean' ? null : 'True/false questions need an answer';
+    case 'short_answer':
+      return (question.acceptedAnswers || []).length > 0 ? null : 'Short answer questions need at least one accepted answer';
+    default:
+      return null;
+  }
+}
+
+const choiceSchema = {
+  text: { type: 'string', label: 'Choice text', required: true, maxLength: 2000 },
+  correct: { type: 'boolean', label: 'Correct', default: false },
+  feedback: { type: 'string', label: 'Choice feedback', maxLength: 2000, default: '' }
+};
+
+const questionSchema = {
+  type: { type: 'string', label: 'Question type', required: true, enum: Object.keys(QUESTION_TYPE_IDS) },
+  title: { type: 'string', label: 'Question title', maxLength: 128 },
+  text: { type: 'string', label: 'Question text', required: true, maxLength: 10000 },
+  points: { type: 'number', label: 'Points', min: 0, max: 1000, default: 1 },
+  feedback: { type: 'string', label: 'Feedback', maxLength: 10000, default: '' },
+  choices: {
+    type: 'array',
+    label: 'Choices',
+    maxLength: 26,
+    default: [],
+    items: { type: 'object', label: 'Choice', properties: choiceSchema }
+  },
+  answer: { type: 'boolean', label: 'Answer' },
+  acceptedAnswers: {
+    type: 'array',
+    label: 'Accepted answers',
+    maxLength: 20,
+    default: [],
+    items: { type: 'string', label: 'Accepted answer', required: true, maxLength: 500 }
+  }
+};
+
+const quizSchema = {
+  courseId: { type: 'integer', label: 'Course ID', required: true, min: 1 },
+  title: { type: 'string', label: 'Title', required: true, maxLength: 128 },
+  description: { type: 'string', label: 'Description', maxLength: 50000, default: '' },
+  instructions: { type: 'string', label: 'Instructions', maxLength: 50000, default: '' },
+  bodyFormat: { type: 'string', label: 'Body format', enum: ['text', 'html'], default: 'text' },
+  timeLimitMinutes: { type: 'integer', label: 'Time limit', min: 1, max: 10080 },
+  attemptsAllowed: { type: 'integer', label: 'Attempts allowed', min: 1, max: 100 },
+  shuffleQuestions: { type: 'boolean', label: 'Shuffle questions', default: false },
+  shuffleAnswers: { type: 'boolean', label: 'Shuffle answers', default: false },
+  isActive: { type: 'boolean', label: 'Active', default: false },
+  questions: {
+    type: 'array',
+    label: 'Questions',
+    maxLength: MAX_QUESTIONS,
+    default: [],
+    items: { type: 'object', label: 'Question', properties: questionSchema, check: checkQuestion }
+  }
+};
+
+// ==========================================
+// BUILDERS
+// ==========================================
+
+function getTotalPoints(questions) {
+  return questions.reduce((sum, question) => sum + question.points, 0);
+}
+
+// No time limit / attempts limit when the fields are left out
+function buildQuizPayload(input) {
+  return {
+    Name: input.title,
+    Description: toRichText(input.description, input.bodyFormat),
+    Instructions: toRichText(input.instructions, input.bodyFormat),
+    IsActive: input.isActive,
+    GradeOutOf: getTotalPoints(input.questions),
+    HasTimeLimit: input.timeLimitMinutes !== undefined,
+    TimeLimitValue: input.timeLimitMinutes || 0,
+    IsShuffleQuestions: input.shuffleQuestions,
+    IsShuffleAnswers: input.shuffleAnswers,
+    HasAttemptsLimit: input.attemptsAllowed !== undefined,
+    AttemptsAllowed: input.attemptsAllowed || 0
+  };
+}
+
+function buildChoiceAnswers(question, includeWeights) {
+  return question.choices.map((choice, index) => ({
+    PartId: index + 1,
+    Answer: toRichText(choice.text, 'text'),
+    AnswerFeedback: toRichText(choice.feedback, 'text'),
+    ...(includeWeights ? { Weight: choice.correct ? 100 : 0 } : { IsCorrect: choice.correct })
+  }));
+}
+
+function buildQuestionInfo(question, shuffleAnswers) {
+  switch (question.type) {
+    case 'multiple_choice':
+      return { Answers: buildChoiceAnswers(question, true), Randomize: shuffleAnswers, Enumeration: 'Letters' };
+    case 'multi_select':
+      return { Answers: buildChoiceAnswers(question, false), Randomize: shuffleAnswers, Enumeration: 'Letters', GradingType: 'RightAnswers' };
+    case 'true_false':
+      return {
+        TruePartId: 1,
+        TrueWeight: question.answer ? 100 : 0,
+        TrueFeedback: toRichText('', 'text'),
+        FalsePartId: 2,
+        FalseWeight: question.answer ? 0 : 100,
+        FalseFeedback: toRichText('', 'text'),
+        Enumeration: 'TrueFalse'
+      };
+    case 'short_answer':
+      return {
+        PartId: 1,
+        Rows: 1,
+        Columns: 40,
+        Answers: question.acceptedAnswers.map(text => ({ Text: text, Weight: 100, EvaluationType: 'CaseInsensitive' }))
+      };
+    default:
+      return {};
+  }
+}
+
+function buildQuestionPayload(question, index, { shuffleAnswers = false } = {}) {
+  return {
+    QuestionTypeId: QUESTION_TYPE_IDS[question.type],
+    Name: question.title || `Question ${index + 1}`,
+    QuestionText: toRichText(question.text, 'text'),
+    Points: question.points,
+    Difficulty: 1,
+    Bonus: false,
+    Mandatory: false,
+    Hint: toRichText('', 'text'),
+    Feedback: toRichText(question.feedback, 'text'),
+    QuestionInfo: buildQuestionInfo(question, shuffleAnswers)
+  };
+}
+
+module.exports = {
+  QUESTION_TYPE_IDS,
+  questionSchema,
+  quizSchema,
+  checkQuestion,
+  buildQuizPayload,
+  buildQuestionPayload
+};
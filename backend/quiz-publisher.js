@@ -0,0 +1,49 @@
+/**
+ * Quiz Publisher
+ *
+ * Creates a quiz and then adds its questions one by one. A question that
+ * Brightspace rejects is reported without undoing the quiz or the other
+ * questions, the same way content-publisher.js reports its steps.
+ *
+ * `partial` means the quiz exists but some of its questions don't. If the
+ * quiz itself isn't created there is nothing partial about it: the whole
+ * request fails.
+ */
+
+const { runStep } = require('./content-publisher');
+const { BrightspaceUpstreamError } = require('./brightspace-errors');
+const { buildQuizPayload, buildQuestionPayload } = require('./quiz-payloads');
+
+async function publishQuiz(client, courseId, input) {
+  const quizData = buildQuizPayload(input);
+
+  // Without the quiz there is nothing to add questions to, so this step throws
+  const quiz = await client.createQuiz(courseId, quizData);
+  const quizId = quiz?.QuizId ?? quiz?.Id;
+  if (quizId === undefined || quizId === null) {
+    throw new BrightspaceUpstreamError(`Brightspace did not return an id for quiz "${quizData.Name}"`);
+  }
+  console.log(`✅ Quiz "${quizData.Name}" created (ID ${quizId})`);
+
+  const steps = [];
+  for (const [index, question] of input.questions.entries()) {
+    const questionData = buildQuestionPayload(question, index, { shuffleAnswers: input.shuffleAnswers });
+    steps.push(await runStep(`question ${index + 1}`, 'QuizQuestion', questionData.Name,
+      () => client.createQuizQuestion(courseId, quizId, questionData),
+      data => data?.QuestionId));
+  }
+
+  const failed = steps.filter(step => !step.success);
+
+  return {
+    success: failed.length === 0,
+    // The quiz exists by now, so any failed question leaves it partly built
+    partial: failed.length > 0,
+    quiz: { id: quizId, name: quizData.Name, gradeOutOf: quizData.GradeOutOf },
+    steps: steps.map(({ data, ...step }) => step)
+  };
+}
+
+module.exports = {
+  publishQuiz
+};
@@ -10,29 +10,227 @@
  * - OAuth authentication
  */
 
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const fs = require('fs').promises;
 const https = require('https');
+const os = require('os');
+const path = require('path');
 const multer = require('multer');
 
 const BrightspaceContentCreator = require('./brightspace-content-creator');
-
-require('dotenv').config();
+const SessionManager = require('./session-manager');
+const { createTokenStore } = require('./token-store');
+const { processFiles, extractText } = require('./document-processor');
+const { parseSyllabus } = require('./syllabus-parser');
+const { getAmplifyPublishSteps, publishAmplifyResults } = require('./content-publisher');
+const { quizSchema } = require('./quiz-payloads');
+const { publishQuiz } = require('./quiz-publisher');
+const { surveySchema } = require('./survey-payloads');
+const { publishSurvey } = require('./survey-publisher');
+const { importQuestionFiles } = require('./question-import');
+const { contentTreeSchema, getFileReferences, summarizeToc } = require('./content-tree-payloads');
+const { publishContentTree } = require('./content-tree-publisher');
+const { applyTemplateSchema, exportCourseTemplate, applyCourseTemplate } = require('./course-template');
+const { createDryRunClient } = require('./dry-run-client');
+const { BULK_CONCURRENCY, bulkCoursesSchema, getCourseTasks, publishToCourses } = require('./bulk-publisher');
+const { FINISHED_STATUSES, JobQueue } = require('./job-queue');
+const { assertUploadsAllowed } = require('./upload-policy');
+const { BrightspaceApiError, BrightspaceAuthError, BrightspaceValidationError } = require('./brightspace-errors');
+const { assertValid } = require('./payload-validator');
+const {
+  announcementSchema,
+  discussionSchema,
+  courseParamsSchema,
+  newsItemParamsSchema,
+  newsUpdateSchema,
+  buildAnnouncementPayload,
+  buildNewsUpdatePayload,
+  assertNewsUpdateDates,
+  summarizeNewsItem,
+  buildDiscussionPayload,
+  forumParamsSchema,
+  topicParamsSchema,
+  topicSchema,
+  topicUpdateSchema,
+  buildTopicPayload,
+  buildTopicUpdatePayload,
+  summarizeForum,
+  summarizeTopic
+} = require('./content-payloads');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Brightspace client
-const brightspaceClient = new BrightspaceContentCreator();
+// Each browser session gets its own Brightspace client
+const sessions = new SessionManager({ tokenStore: createTokenStore() });
+
+// Background jobs for long operations, owned by the session that started them
+const jobs = new JobQueue();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(sessions.middleware());
+
+// Configure multer for file uploads (memory storage) - documents, templates and
+// question files, which are read whole
+const MAX_DOCUMENT_BYTES = Math.floor((Number(process.env.DOCUMENT_MAX_FILE_MB) || 50) * 1024 * 1024);
+const MAX_DOCUMENT_FILES = 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_DOCUMENT_FILES, fileSize: MAX_DOCUMENT_BYTES }
+});
 
-// Configure multer for file uploads (memory storage)
-const upload = multer({ storage: multer.memoryStorage() });
+// Announcement attachments travel inside the News API request, so keep them bounded
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { files: MAX_ATTACHMENTS, fileSize: MAX_ATTACHMENT_BYTES }
+});
+
+// Files for content tree topics are held in memory until each one is uploaded
+const MAX_CONTENT_FILES = 50;
+const contentFileUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { files: MAX_CONTENT_FILES, fileSize: MAX_ATTACHMENT_BYTES }
+});
+
+// Files bound for Brightspace's file area can be lecture videos: they are written to
+// disk as they arrive and sent on in chunks (see chunked-upload.js), never held in memory
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'brightspace-uploads');
+const MAX_UPLOAD_BYTES = Math.floor((Number(process.env.UPLOAD_MAX_FILE_MB) || 2048) * 1024 * 1024);
+const MAX_UPLOAD_FILES = 20;
+const fileUpload = multer({
+  dest: UPLOAD_TMP_DIR,
+  defParamCharset: 'utf8',
+  limits: { files: MAX_UPLOAD_FILES, fileSize: MAX_UPLOAD_BYTES }
+});
+
+function getUploadedFiles(req) {
+  return req.files || (req.file ? [req.file] : []);
+}
+
+function removeUploadedFiles(files) {
+  return Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+}
+
+// Temp files go once the response is sent, unless a background job still needs them
+function removeUploadsAfterResponse(req, res, next) {
+  res.on('close', () => {
+    if (!req.keepUploads) removeUploadedFiles(getUploadedFiles(req));
+  });
+  next();
+}
+
+// Files that end up in a course are checked by content, not by what the browser
+// claims (see upload-policy.js); accepted files get a safe name and the detected type
+async function checkUploads(req, res, next) {
+  try {
+    await assertUploadsAllowed(getUploadedFiles(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// What uploadFileToCourse takes for a file on disk
+function toFileSource(file) {
+  return { path: file.path, size: file.size };
+}
+
+// A task that uploads one file. Its state outlives a failed attempt, so a retry
+// resumes the transfer; progress is reported in bytes.
+function uploadTask(client, courseId, file, { key, title }) {
+  const state = {};
+  return {
+    key,
+    title,
+    run: async (signal, reportProgress) => {
+      const uploaded = await client.uploadFileToCourse(courseId, toFileSource(file), file.originalname, file.mimetype, {
+        signal,
+        onProgress: reportProgress,
+        state
+      });
+      return { path: uploaded?.Path || uploaded?.Url || uploaded?.FileUrl || null };
+    }
+  };
+}
+
+// Routes that talk to Brightspace need a connected session
+function requireAuth(req, res, next) {
+  if (!req.session.client.isAuthenticated()) {
+    return next(new BrightspaceAuthError());
+  }
+  next();
+}
+
+// Routes that write to Brightspace accept `dryRun` (body or query string) and use
+// req.client. In a dry run the route runs as usual, validation included, against a
+// client that records each write instead of sending it; a successful response
+// gets `dryRun: true` and the recorded `requests`.
+function allowDryRun(req, res, next) {
+  if (!isFlagSet(req, 'dryRun')) {
+    req.client = req.session.client;
+    return next();
+  }
+
+  const client = createDryRunClient(req.session.client);
+  const json = res.json.bind(res);
+  req.client = client;
+  res.json = body => {
+    if (res.statusCode >= 400) return json(body);
+    console.log(`👁️ Dry run of ${req.path}: ${client.requests.length} request(s) recorded`);
+    return json({
+      ...body,
+      dryRun: true,
+      requests: client.requests,
+      message: `Preview only: ${client.requests.length} request(s) would be sent to Brightspace`
+    });
+  };
+  next();
+}
+
+// Request options like dryRun come in the body (JSON or multipart) or the query string
+function isFlagSet(req, name) {
+  const flag = req.body?.[name] ?? req.query[name];
+  return flag === true || flag === 'true';
+}
+
+// Routes that can run as a job take `background`; a dry run always runs inline
+function wantsBackground(req) {
+  return isFlagSet(req, 'background') && req.client === req.session.client;
+}
+
+// Answers 202 with the queued job; progress is at /api/jobs/:jobId/events
+// Uploaded files are kept until the job is dropped, so a retry can still read them.
+function startJob(req, res, { type, title, tasks, concurrency }) {
+  const files = getUploadedFiles(req);
+  req.keepUploads = files.length > 0;
+
+  const job = jobs.enqueue({
+    owner: req.session.ownerId,
+    type,
+    title,
+    tasks,
+    concurrency,
+    cleanup: req.keepUploads ? () => removeUploadedFiles(files) : null
+  });
+  res.status(202).json({ success: true, job, message: `${title} started in the background` });
+}
+
+// Multipart forms send lists as comma-separated text
+function toList(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+}
 
 // ==========================================
 // API ROUTES FOR EXISTING FRONTEND
@@ -41,20 +239,21 @@ const upload = multer({ storage: multer.memoryStorage() });
 // Auth status endpoint (matches frontend expectation)
 app.get('/api/auth-status', async (req, res) => {
   try {
-    const isAuthenticated = brightspaceClient.isAuthenticated();
-    let user = null;
-    
-    if (isAuthenticated) {
+    if (req.session.client.isAuthenticated() && !req.session.user) {
       try {
-        user = await brightspaceClient.getCurrentUser();
+        // Also refreshes an expired access token
+        req.session.user = await req.session.client.getCurrentUser();
+        sessions.persist(req.session);
       } catch (error) {
         console.error('Failed to get user info:', error);
       }
     }
     
+    // Re-check: a failed refresh while fetching the user ends the session
+    const authenticated = req.session.client.isAuthenticated();
     res.json({
-      authenticated: isAuthenticated,
-      user: user
+      authenticated,
+      user: authenticated ? req.session.user : null
     });
   } catch (error) {
     console.error('Auth status error:', error);
@@ -65,46 +264,159 @@ app.get('/api/auth-status', async (req, res) => {
   }
 });
 
+// Turns /api/courses query parameters into enrollment filters.
+// Defaults to active, accessible course offerings.
+function parseCourseFilters(query) {
+  const filters = {
+    orgUnitTypeId: BrightspaceContentCreator.COURSE_OFFERING_TYPE_ID,
+    isActive: true,
+    canAccess: true
+  };
+
+  if (query.type === 'all') {
+    filters.orgUnitTypeId = null;
+  } else if (query.type && query.type !== 'course') {
+    filters.orgUnitTypeId = Number(query.type);
+    if (!Number.isInteger(filters.orgUnitTypeId)) {
+      throw new Error(`Invalid type "${query.type}" - use "course", "all" or an org unit type id`);
+    }
+  }
+
+  if (query.active === 'false') filters.isActive = false;
+  if (query.active === 'all') filters.isActive = undefined;
+  if (query.role) filters.roles = query.role.split(',').map(role => role.trim()).filter(Boolean);
+  if (query.search) filters.search = query.search.trim();
+
+  ['startDate', 'endDate'].forEach(key => {
+    if (!query[key]) return;
+    if (Number.isNaN(new Date(query[key]).getTime())) {
+      throw new Error(`Invalid ${key} "${query[key]}"`);
+    }
+    filters[key] = query[key];
+  });
+
+  return filters;
+}
+
 // Get courses endpoint (matches frontend expectation)
-app.get('/api/courses', async (req, res) => {
+// Query: search, type (course|all|<typeId>), role, active (true|false|all), startDate, endDate, refresh
+app.get('/api/courses', requireAuth, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ error: 'Not authenticated' });
+    let filters;
+    try {
+      filters = parseCourseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message, code: 'VALIDATION_FAILED' });
     }
     
-    const courses = await brightspaceClient.getCourses();
-    res.json(courses);
+    // Enrollments are cached per session and org unit type; ?refresh=true reloads them from Brightspace
+    const cacheKey = String(filters.orgUnitTypeId);
+    if (!req.session.courses || req.session.courses.key !== cacheKey || req.query.refresh === 'true') {
+      req.session.courses = {
+        key: cacheKey,
+        items: await req.session.client.getEnrollments({ orgUnitTypeId: filters.orgUnitTypeId })
+      };
+    }
+
+    res.json(req.session.client.filterEnrollments(req.session.courses.items, filters));
   } catch (error) {
     console.error('Courses retrieval error:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get auth URL endpoint (for frontend to redirect to)
-app.get('/api/auth-url', (req, res) => {
+app.get('/api/auth-url', (req, res, next) => {
   try {
-    const authUrl = brightspaceClient.getAuthorizationUrl();
+    const authUrl = sessions.start(req, res).client.getAuthorizationUrl();
     res.json({ authUrl });
   } catch (error) {
     console.error('Error generating auth URL:', error);
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Stub endpoints for existing frontend functionality
-app.post('/api/process-files', async (req, res) => {
-  // This endpoint is expected by the frontend but may not be fully implemented
-  // Return a mock response for now
-  res.json({
-    summary: 'Files processed successfully',
-    topics: ['Sample Topic 1', 'Sample Topic 2'],
-    insights: ['Content analyzed', 'Ready for integration']
-  });
+// Extract text from uploaded documents and return a summary, topics and insights
+app.post('/api/process-files', requireAuth, upload.array('files'), async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No files provided', code: 'VALIDATION_FAILED' });
+    }
+
+    console.log(`📄 Processing ${req.files.length} file(s): ${req.files.map(file => file.originalname).join(', ')}`);
+
+    const results = await processFiles(req.files);
+    res.json(results);
+  } catch (error) {
+    console.error('File processing error:', error);
+    next(error);
+  }
 });
 
-app.post('/api/publish-to-brightspace', async (req, res) => {
-  // This endpoint is expected by the frontend but may not be fully implemented
-  res.json({ success: true, message: 'Published to Brightspace' });
+// Parse a syllabus (uploaded file or raw text) into structured course data
+app.post('/api/parse-syllabus', requireAuth, upload.single('file'), async (req, res, next) => {
+  try {
+    let text = req.body.text;
+    let fileName = null;
+
+    if (req.file) {
+      fileName = req.file.originalname;
+      text = (await extractText(req.file)).text;
+    }
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'Syllabus file or text required', code: 'VALIDATION_FAILED' });
+    }
+
+    console.log(`📑 Parsing syllabus${fileName ? ` from ${fileName}` : ''}`);
+
+    const syllabus = parseSyllabus(text);
+    res.json({
+      success: true,
+      fileName,
+      syllabus
+    });
+  } catch (error) {
+    console.error('Syllabus parsing error:', error);
+    next(error);
+  }
+});
+
+// Publish Amplify results as a content module, announcement and discussion forum
+app.post('/api/publish-to-brightspace', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const { courseId, amplifyResults } = req.body;
+    if (!courseId) {
+      return res.status(400).json({ success: false, error: 'Course ID required', code: 'VALIDATION_FAILED' });
+    }
+    if (!amplifyResults || !amplifyResults.summary) {
+      return res.status(400).json({ success: false, error: 'Amplify results required - process files first', code: 'VALIDATION_FAILED' });
+    }
+
+    if (wantsBackground(req)) {
+      const tasks = getAmplifyPublishSteps(req.client, courseId, amplifyResults).map(({ step, type, title, action, getId }) => ({
+        key: step,
+        title: `${type} "${title}"`,
+        run: async () => ({ type, id: getId(await action()) })
+      }));
+      return startJob(req, res, { type: 'publish', title: `Publish to course ${courseId}`, tasks });
+    }
+
+    console.log(`🚀 Publishing Amplify results to course ${courseId}`);
+
+    const result = await publishAmplifyResults(req.client, courseId, amplifyResults);
+    const failedSteps = result.steps.filter(step => !step.success).map(step => step.step);
+
+    res.status(result.created.length === 0 ? 502 : 200).json({
+      ...result,
+      message: result.success
+        ? 'Published to Brightspace'
+        : `Publishing failed for: ${failedSteps.join(', ')}`
+    });
+  } catch (error) {
+    console.error('Publish error:', error);
+    next(error);
+  }
 });
 
 // ==========================================
@@ -113,32 +425,58 @@ app.post('/api/publish-to-brightspace', async (req, res) => {
 
 // OAuth route for existing frontend (matches frontend expectation)
 app.get('/auth', (req, res) => {
-  const authUrl = brightspaceClient.getAuthorizationUrl();
+  const authUrl = sessions.start(req, res).client.getAuthorizationUrl();
   res.redirect(authUrl);
 });
 
 // OAuth callback (supports both routes for compatibility)
 app.get('/auth/brightspace', (req, res) => {
-  const authUrl = brightspaceClient.getAuthorizationUrl();
+  const authUrl = sessions.start(req, res).client.getAuthorizationUrl();
   res.redirect(authUrl);
 });
 
 app.get('/auth/brightspace/callback', async (req, res) => {
+  // Frontend runs on port 5173, backend runs on port 3000
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
   try {
-    const { code } = req.query;
+    const { code, state, error: oauthError, error_description: errorDescription } = req.query;
+
+    // Reject forged or replayed callbacks before doing anything with the code
+    const codeVerifier = req.session.client.consumeAuthorizationState(state);
+
+    if (oauthError) {
+      throw new Error(errorDescription || `Authorization failed: ${oauthError}`);
+    }
     if (!code) {
       throw new Error('No authorization code received');
     }
     
-    await brightspaceClient.exchangeCodeForToken(code);
+    await req.session.client.exchangeCodeForToken(code, codeVerifier);
+
+    // New identity: drop anything cached for the previous user and issue a fresh session id
+    req.session.user = null;
+    req.session.courses = null;
+    sessions.rotate(req.session, res);
+
     // Redirect to frontend after successful auth
-    // Frontend runs on port 5173, backend runs on port 3000
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     res.redirect(`${frontendUrl}?auth=success`);
   } catch (error) {
-    console.error('OAuth callback error:', error);
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    res.redirect(`${frontendUrl}?auth=error&message=` + encodeURIComponent(error.message));
+    console.error('OAuth callback error:', error.message);
+    const reason = error.code === 'INVALID_OAUTH_STATE' ? 'invalid_state' : 'auth_failed';
+    res.redirect(`${frontendUrl}?auth=error&reason=${reason}&message=` + encodeURIComponent(error.message));
+  }
+});
+
+// Revoke this browser's tokens and end its session
+app.post('/api/logout', async (req, res, next) => {
+  try {
+    await sessions.destroy(req.session.id);
+    sessions.clearCookie(res);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    next(error);
   }
 });
 
@@ -149,41 +487,25 @@ app.get('/auth/brightspace/callback', async (req, res) => {
 // Legacy status endpoint (for backward compatibility)
 app.get('/status', (req, res) => {
   res.json({
-    authenticated: brightspaceClient.isAuthenticated(),
-    scopes: brightspaceClient.getTokenScopes()
+    authenticated: req.session.client.isAuthenticated(),
+    scopes: req.session.client.getTokenScopes()
   });
 });
 
 // Create announcement endpoint
-app.post('/api/create-announcement', async (req, res) => {
+// Body (JSON or multipart): courseId, title, body, bodyFormat (text|html), startDate, endDate,
+// isPublished, showAuthorInfo, showStartDate, isPinned; multipart may add `attachments` files
+app.post('/api/create-announcement', requireAuth, attachmentUpload.array('attachments'), checkUploads, allowDryRun, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-    
-    const { courseId } = req.body;
-    if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
-    }
-    
-    // Auto-generate announcement data (no user input)
-    const announcementData = {
-      Title: 'API Test Announcement',
-      Body: { 
-        Text: 'This announcement was created via API test at ' + new Date().toLocaleString(),
-        Html: '<p>This announcement was created via API test at ' + new Date().toLocaleString() + '</p>'
-      },
-      StartDate: new Date().toISOString(),
-      EndDate: null,
-      IsGlobal: false,
-      IsPublished: true,
-      ShowOnlyInCourseOfferings: false,
-      IsAuthorInfoShown: true,
-      IsPinned: false,
-      IsStartDateShown: true
-    };
-    
-    const result = await brightspaceClient.createNewsItem(courseId, announcementData);
+    const input = assertValid(announcementSchema, req.body, 'announcement');
+    const attachments = (req.files || []).map(file => ({
+      buffer: file.buffer,
+      fileName: file.originalname,
+      contentType: file.mimetype
+    }));
+    console.log(`📰 Creating announcement "${input.title}" in course ${input.courseId}${input.startDate ? ` starting ${input.startDate}` : ''}`);
+
+    const result = await req.client.createNewsItem(input.courseId, buildAnnouncementPayload(input), attachments);
     
     res.json({
       success: true,
@@ -192,36 +514,81 @@ app.post('/api/create-announcement', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Announcement creation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Announcement creation error:', error.message);
+    next(error);
   }
 });
 
-// Create discussion forum endpoint
-app.post('/api/create-discussion', async (req, res) => {
+// List a course's news items, newest first
+app.get('/api/courses/:courseId/news', requireAuth, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-    
-    const { courseId } = req.body;
-    if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
+    const { courseId } = assertValid(courseParamsSchema, req.params, 'course');
+    const newsItems = await req.session.client.getNewsItems(courseId);
+
+    const items = newsItems
+      .map(summarizeNewsItem)
+      .sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0));
+
+    res.json({ success: true, items });
+  } catch (error) {
+    console.error('News listing error:', error.message);
+    next(error);
+  }
+});
+
+// Edit a news item. Body: any of title, body, bodyFormat, startDate, endDate, clearEndDate,
+// isPublished, isPinned, showAuthorInfo, showStartDate
+app.patch('/api/courses/:courseId/news/:newsItemId', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId, newsItemId } = assertValid(newsItemParamsSchema, req.params, 'news item');
+    const changes = assertValid(newsUpdateSchema, req.body, 'news item update');
+
+    const existing = await req.session.client.getNewsItem(courseId, newsItemId);
+    assertNewsUpdateDates(existing, changes);
+    const newsData = buildNewsUpdatePayload(existing, changes);
+
+    console.log(`✏️ Updating news item ${newsItemId} in course ${courseId}`);
+    await req.session.client.updateNewsItem(courseId, newsItemId, newsData);
+
+    // Drafts only go live through the publish action
+    if (newsData.IsPublished && !existing.IsPublished) {
+      await req.session.client.publishNewsItem(courseId, newsItemId);
     }
-    
-    // Auto-generate forum data (no user input)
-    const forumData = {
-      Name: 'API Test Discussion Forum',
-      Description: {
-        Html: '<p>This discussion forum was created via API test at ' + new Date().toLocaleString() + '</p>',
-        Text: 'This discussion forum was created via API test at ' + new Date().toLocaleString()
-      },
-      AllowAnonymous: false,
-      IsLocked: false,
-      IsHidden: false
-    };
-    
-    const result = await brightspaceClient.createDiscussionForum(courseId, forumData);
+
+    const updated = await req.session.client.getNewsItem(courseId, newsItemId);
+    res.json({
+      success: true,
+      message: 'Announcement updated',
+      item: summarizeNewsItem(updated)
+    });
+  } catch (error) {
+    console.error('News update error:', error.message);
+    next(error);
+  }
+});
+
+app.delete('/api/courses/:courseId/news/:newsItemId', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId, newsItemId } = assertValid(newsItemParamsSchema, req.params, 'news item');
+
+    console.log(`🗑️ Deleting news item ${newsItemId} in course ${courseId}`);
+    await req.session.client.deleteNewsItem(courseId, newsItemId);
+
+    res.json({ success: true, message: 'Announcement deleted' });
+  } catch (error) {
+    console.error('News deletion error:', error.message);
+    next(error);
+  }
+});
+
+// Create discussion forum endpoint
+// Body: courseId, title, body, bodyFormat, startDate, endDate, isHidden, isLocked, allowAnonymous, requiresApproval
+app.post('/api/create-discussion', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const input = assertValid(discussionSchema, req.body, 'discussion forum');
+    console.log(`💬 Creating discussion forum "${input.title}" in course ${input.courseId}`);
+
+    const result = await req.client.createDiscussionForum(input.courseId, buildDiscussionPayload(input));
     
     res.json({
       success: true,
@@ -230,79 +597,309 @@ app.post('/api/create-discussion', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Discussion creation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Discussion creation error:', error.message);
+    next(error);
   }
 });
 
-// Create survey endpoint
-app.post('/api/create-survey', async (req, res) => {
+// List a course's discussion forums
+app.get('/api/courses/:courseId/forums', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId } = assertValid(courseParamsSchema, req.params, 'course');
+    const forums = await req.session.client.getDiscussionForums(courseId);
+
+    res.json({ success: true, forums: forums.map(summarizeForum) });
+  } catch (error) {
+    console.error('Forum listing error:', error.message);
+    next(error);
+  }
+});
+
+// List the topics in a forum
+app.get('/api/courses/:courseId/forums/:forumId/topics', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId, forumId } = assertValid(forumParamsSchema, req.params, 'forum');
+    const topics = await req.session.client.getDiscussionTopics(courseId, forumId);
+
+    res.json({ success: true, topics: topics.map(summarizeTopic) });
+  } catch (error) {
+    console.error('Topic listing error:', error.message);
+    next(error);
+  }
+});
+
+// Create a topic in a forum. Body: title, body, bodyFormat, startDate, endDate, isHidden, isLocked,
+// allowAnonymous, requiresApproval, mustPostToParticipate, ratingType, scoreOutOf, scoringType
+app.post('/api/courses/:courseId/forums/:forumId/topics', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const { courseId, forumId } = assertValid(forumParamsSchema, req.params, 'forum');
+    const input = assertValid(topicSchema, req.body, 'discussion topic');
+
+    console.log(`💬 Creating topic "${input.title}" in forum ${forumId} (course ${courseId})`);
+    const topic = await req.client.createDiscussionTopic(courseId, forumId, buildTopicPayload(input));
+
+    res.json({
+      success: true,
+      message: 'Discussion topic created successfully',
+      topic: summarizeTopic(topic)
+    });
+  } catch (error) {
+    console.error('Topic creation error:', error.message);
+    next(error);
+  }
+});
+
+// Lock/unlock or hide/show a topic. Body: isLocked, isHidden
+app.patch('/api/courses/:courseId/forums/:forumId/topics/:topicId', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId, forumId, topicId } = assertValid(topicParamsSchema, req.params, 'topic');
+    const changes = assertValid(topicUpdateSchema, req.body, 'topic update');
+
+    const existing = await req.session.client.getDiscussionTopic(courseId, forumId, topicId);
+    console.log(`✏️ Updating topic ${topicId} in forum ${forumId} (course ${courseId})`);
+    const topic = await req.session.client.updateDiscussionTopic(courseId, forumId, topicId, buildTopicUpdatePayload(existing, changes));
+
+    res.json({
+      success: true,
+      message: 'Discussion topic updated',
+      topic: summarizeTopic(topic)
+    });
+  } catch (error) {
+    console.error('Topic update error:', error.message);
+    next(error);
+  }
+});
+
+// A course's table of contents: modules, sub-modules and topics with visibility and release dates
+app.get('/api/courses/:courseId/content', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId } = assertValid(courseParamsSchema, req.params, 'course');
+    const toc = await req.session.client.getTableOfContents(courseId);
+
+    res.json({ success: true, ...summarizeToc(toc) });
+  } catch (error) {
+    console.error('Table of contents error:', error.message);
+    next(error);
+  }
+});
+
+// Create modules, sub-modules and topics from a tree in one request
+// Body: courseId, parentModuleId, items[] (see content-tree-payloads.js). To include file
+// topics, send multipart/form-data with `items` as a JSON string and the files as `files`.
+app.post('/api/create-content', requireAuth, contentFileUpload.array('files'), checkUploads, allowDryRun, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    let { items } = req.body;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: 'items must be valid JSON', code: 'VALIDATION_FAILED' });
+      }
     }
-    
-    const { courseId } = req.body;
-    if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
+
+    const input = assertValid(contentTreeSchema, { ...req.body, items }, 'content tree');
+    const files = req.files || [];
+
+    const missing = getFileReferences(input.items)
+      .filter(reference => !files.some(file => file.clientName === reference.fileName))
+      .map(reference => ({ field: reference.field, message: `File "${reference.fileName}" was not uploaded` }));
+    if (missing.length > 0) {
+      throw new BrightspaceValidationError(`Invalid content tree: ${missing.map(error => error.message).join('; ')}`, {
+        details: missing
+      });
     }
-    
-    // Auto-generate survey data (no user input)
-    const surveyData = {
-      Name: 'API Test Survey',
-      Description: {
-        Html: '<p>This survey was created via API test at ' + new Date().toLocaleString() + '</p>',
-        Text: 'This survey was created via API test at ' + new Date().toLocaleString()
-      },
-      Instructions: {
-        Html: '<p>Please complete this test survey.</p>',
-        Text: 'Please complete this test survey.'
-      },
-      IsActive: true,
-      IsAnonymous: false,
-      IsHidden: false,
-      ShowResults: false
-    };
-    
-    const result = await brightspaceClient.createSurvey(courseId, surveyData);
-    
+
+    console.log(`📚 Creating content tree with ${input.items.length} top-level item(s) in course ${input.courseId}`);
+    const result = await publishContentTree(req.client, input.courseId, input, files);
+    const failed = result.steps.filter(step => !step.success).length;
+
     res.json({
-      success: true,
-      message: 'Survey created successfully',
-      data: result
+      ...result,
+      message: failed === 0
+        ? `Created ${result.steps.length} module(s) and topic(s)`
+        : `${failed} of ${result.steps.length} module(s) and topic(s) could not be created`
     });
-    
   } catch (error) {
-    console.error('Survey creation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Content tree creation error:', error.message);
+    next(error);
+  }
+});
+
+// Export a course's modules, topics, forums, announcements and surveys as a JSON template
+app.get('/api/courses/:courseId/template', requireAuth, async (req, res, next) => {
+  try {
+    const { courseId } = assertValid(courseParamsSchema, req.params, 'course');
+    console.log(`📦 Exporting course ${courseId} as a template`);
+
+    const { template, skipped } = await exportCourseTemplate(req.session.client, courseId);
+    res.json({ success: true, template, skipped });
+  } catch (error) {
+    console.error('Template export error:', error.message);
+    next(error);
   }
 });
 
-// Upload file to Brightspace endpoint
-app.post('/api/upload-file-to-brightspace', upload.single('file'), async (req, res) => {
+// Recreate a template in another course
+// Body: courseId, template (object, or a JSON file as `template` in multipart/form-data),
+// dateOffsetDays, include[] of content, forums, news, surveys (see course-template.js)
+app.post('/api/apply-template', requireAuth, upload.single('template'), allowDryRun, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    let template = req.file ? req.file.buffer.toString('utf8') : req.body.template;
+    if (typeof template === 'string') {
+      try {
+        template = JSON.parse(template);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: 'template must be valid JSON', code: 'VALIDATION_FAILED' });
+      }
     }
-    
+
+    const input = assertValid(applyTemplateSchema, { ...req.body, template, include: toList(req.body.include) }, 'template');
+
+    console.log(`📦 Applying template to course ${input.courseId} (${input.include.join(', ')}), dates shifted ${input.dateOffsetDays} day(s)`);
+    const result = await applyCourseTemplate(req.client, input);
+    const failed = result.steps.filter(step => !step.success).length;
+
+    res.json({
+      ...result,
+      message: failed === 0
+        ? `Created ${result.steps.length} item(s), skipped ${result.skipped.length}`
+        : `${failed} of ${result.steps.length} item(s) could not be created, skipped ${result.skipped.length}`
+    });
+  } catch (error) {
+    console.error('Template apply error:', error.message);
+    next(error);
+  }
+});
+
+// Create survey endpoint
+// Body: courseId, title, body, bodyFormat, instructions, startDate, endDate, isActive, isHidden, isAnonymous, showResults,
+// sections[] of { title, description, questions[] } (see survey-payloads.js)
+app.post('/api/create-survey', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const input = assertValid(surveySchema, req.body, 'survey');
+    const questionCount = input.sections.reduce((sum, section) => sum + section.questions.length, 0);
+    console.log(`📋 Creating survey "${input.title}" with ${questionCount} question(s) in course ${input.courseId}`);
+
+    const result = await publishSurvey(req.client, input.courseId, input);
+    const failed = result.steps.filter(step => !step.success).length;
+
+    res.json({
+      ...result,
+      message: failed === 0
+        ? `Survey created with ${questionCount} question(s)`
+        : `Survey created, but ${failed} of ${result.steps.length} section(s) and question(s) could not be added`
+    });
+  } catch (error) {
+    console.error('Survey creation error:', error.message);
+    next(error);
+  }
+});
+
+// Create a quiz and its questions
+// Body: courseId, title, description, instructions, bodyFormat, timeLimitMinutes, attemptsAllowed,
+// shuffleQuestions, shuffleAnswers, isActive, questions[] (see quiz-payloads.js)
+app.post('/api/create-quiz', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const input = assertValid(quizSchema, req.body, 'quiz');
+    console.log(`❓ Creating quiz "${input.title}" with ${input.questions.length} question(s) in course ${input.courseId}`);
+
+    const result = await publishQuiz(req.client, input.courseId, input);
+    const failed = result.steps.filter(step => !step.success).length;
+
+    res.json({
+      ...result,
+      message: failed === 0
+        ? `Quiz created with ${result.steps.length} question(s)`
+        : `Quiz created, but ${failed} of ${result.steps.length} question(s) could not be added`
+    });
+  } catch (error) {
+    console.error('Quiz creation error:', error.message);
+    next(error);
+  }
+});
+
+// Parse GIFT, Aiken or QTI question files for review in the quiz builder
+app.post('/api/parse-questions', requireAuth, upload.array('files'), async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No question files uploaded', code: 'VALIDATION_FAILED' });
+    }
+
+    console.log(`📥 Parsing ${req.files.length} question file(s)`);
+    const result = await importQuestionFiles(req.files);
+    console.log(`✅ Parsed ${result.questions.length} question(s), ${result.warnings.length} warning(s)`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Question import error:', error.message);
+    next(error);
+  }
+});
+
+// Create a quiz straight from question files
+// Multipart: files[] plus the /api/create-quiz fields except questions
+app.post('/api/import-quiz', requireAuth, upload.array('files'), allowDryRun, async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No question files uploaded', code: 'VALIDATION_FAILED' });
+    }
+
+    const imported = await importQuestionFiles(req.files);
+    if (imported.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No supported questions found in the uploaded files',
+        code: 'VALIDATION_FAILED',
+        details: imported.warnings
+      });
+    }
+
+    const input = assertValid(quizSchema, { ...req.body, questions: imported.questions }, 'quiz');
+    console.log(`❓ Importing quiz "${input.title}" with ${input.questions.length} question(s) into course ${input.courseId}`);
+
+    const result = await publishQuiz(req.client, input.courseId, input);
+    const failed = result.steps.filter(step => !step.success).length;
+
+    res.json({
+      ...result,
+      warnings: imported.warnings,
+      files: imported.files,
+      message: failed === 0
+        ? `Quiz imported with ${result.steps.length} question(s)`
+        : `Quiz imported, but ${failed} of ${result.steps.length} question(s) could not be added`
+    });
+  } catch (error) {
+    console.error('Quiz import error:', error.message);
+    next(error);
+  }
+});
+
+// Upload file to Brightspace endpoint. With background: true the upload is a job whose
+// task reports bytes sent, for a progress bar on large files
+app.post('/api/upload-file-to-brightspace', requireAuth, fileUpload.single('file'), removeUploadsAfterResponse, checkUploads, allowDryRun, async (req, res, next) => {
+  try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file provided' });
+      return res.status(400).json({ success: false, error: 'No file provided', code: 'VALIDATION_FAILED' });
     }
     
     const { courseId } = req.body;
     if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
+      return res.status(400).json({ success: false, error: 'Course ID required', code: 'VALIDATION_FAILED' });
     }
     
-    const fileBuffer = req.file.buffer;
     const fileName = req.file.originalname;
     const fileType = req.file.mimetype;
+
+    if (wantsBackground(req)) {
+      const task = uploadTask(req.client, courseId, req.file, { key: 1, title: fileName });
+      return startJob(req, res, { type: 'upload', title: `Upload ${fileName} to course ${courseId}`, tasks: [task] });
+    }
     
-    console.log(`📤 Uploading file ${fileName} (${fileBuffer.length} bytes) to course ${courseId}`);
+    console.log(`📤 Uploading file ${fileName} (${req.file.size} bytes) to course ${courseId}`);
     
-    const result = await brightspaceClient.uploadFileToCourse(
+    const result = await req.client.uploadFileToCourse(
       courseId,
-      fileBuffer,
+      toFileSource(req.file),
       fileName,
       fileType
     );
@@ -315,28 +912,269 @@ app.post('/api/upload-file-to-brightspace', upload.single('file'), async (req, r
     
   } catch (error) {
     console.error('File upload error:', error);
-    const statusCode = error.response?.status || 500;
-    res.status(statusCode).json({ 
-      success: false, 
-      error: error.message || 'File upload failed',
-      details: error.response?.data || error.response?.statusText,
-      status: error.response?.status,
-      url: error.config?.url
+    next(error);
+  }
+});
+
+// Several files into one course, one after another. One failed file doesn't stop the rest.
+// Response: { success, partial, results: [{ fileName, success, path | error }] }, or 202 { job }
+// with background: true
+app.post('/api/upload-files-to-brightspace', requireAuth, fileUpload.array('files'), removeUploadsAfterResponse, checkUploads, allowDryRun, async (req, res, next) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No files provided', code: 'VALIDATION_FAILED' });
+    }
+
+    const { courseId } = req.body;
+    if (!courseId) {
+      return res.status(400).json({ success: false, error: 'Course ID required', code: 'VALIDATION_FAILED' });
+    }
+
+    const tasks = files.map((file, index) => uploadTask(req.client, courseId, file, { key: index + 1, title: file.originalname }));
+
+    if (wantsBackground(req)) {
+      return startJob(req, res, { type: 'upload', title: `Upload ${files.length} file(s) to course ${courseId}`, tasks });
+    }
+
+    console.log(`📤 Uploading ${files.length} file(s) to course ${courseId}`);
+    const results = [];
+    for (const task of tasks) {
+      try {
+        results.push({ fileName: task.title, success: true, ...(await task.run()) });
+      } catch (error) {
+        if (error instanceof BrightspaceAuthError) throw error;
+        results.push({ fileName: task.title, success: false, error: error.message, code: error.code });
+      }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    res.json({
+      success: failed === 0,
+      partial: failed > 0 && failed < results.length,
+      results,
+      message: failed === 0
+        ? `${results.length} file(s) uploaded`
+        : `${failed} of ${results.length} file(s) failed to upload`
+    });
+  } catch (error) {
+    console.error('File upload error:', error.message);
+    next(error);
+  }
+});
+
+// ==========================================
+// BULK PUBLISHING API ROUTES
+// ==========================================
+
+// The same announcement, forum, survey or file in several course offerings. Each
+// route takes its single-course fields with `courseIds` (a list, or comma separated
+// in multipart) in place of courseId. The payload is validated and built once, then
+// created course by course (see bulk-publisher.js).
+// Response: { success, partial, results: [{ courseId, success, id | error, skipped? }] }
+// With background: true it answers 202 { job } and each course is a task of the job.
+
+function getBulkCourseIds(req) {
+  return assertValid(bulkCoursesSchema, { courseIds: toList(req.body.courseIds) }, 'courses').courseIds;
+}
+
+function bulkMessage(noun, result, verb = 'created') {
+  const failed = result.results.filter(course => !course.success && !course.skipped).length;
+  const skipped = result.results.filter(course => course.skipped).length;
+  if (failed === 0 && skipped === 0) return `${noun} ${verb} in ${result.results.length} course(s)`;
+
+  const message = `${noun} failed in ${failed} of ${result.results.length} course(s)`;
+  return skipped > 0 ? `${message}; ${skipped} not attempted after the Brightspace session was lost` : message;
+}
+
+async function respondBulk(req, res, { type, noun, verb, courseIds, publish }) {
+  if (wantsBackground(req)) {
+    const tasks = getCourseTasks(courseIds, publish);
+    return startJob(req, res, { type, title: `${noun} in ${courseIds.length} course(s)`, tasks, concurrency: BULK_CONCURRENCY });
+  }
+
+  // A lost session still answers 401, with what happened in each course
+  const result = await publishToCourses(courseIds, publish);
+  res.status(result.code === 'AUTH_REQUIRED' ? 401 : 200).json({ ...result, message: bulkMessage(noun, result, verb) });
+}
+
+app.post('/api/bulk/create-announcement', requireAuth, attachmentUpload.array('attachments'), checkUploads, allowDryRun, async (req, res, next) => {
+  try {
+    const courseIds = getBulkCourseIds(req);
+    const input = assertValid(announcementSchema, { ...req.body, courseId: courseIds[0] }, 'announcement');
+    const payload = buildAnnouncementPayload(input);
+    const attachments = (req.files || []).map(file => ({
+      buffer: file.buffer,
+      fileName: file.originalname,
+      contentType: file.mimetype
+    }));
+
+    console.log(`📰 Creating announcement "${input.title}" in ${courseIds.length} course(s)`);
+    await respondBulk(req, res, {
+      type: 'bulk-announcement',
+      noun: 'Announcement',
+      courseIds,
+      publish: async courseId => {
+        const item = await req.client.createNewsItem(courseId, payload, attachments);
+        return { id: item?.Id };
+      }
+    });
+  } catch (error) {
+    console.error('Bulk announcement error:', error.message);
+    next(error);
+  }
+});
+
+app.post('/api/bulk/create-discussion', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const courseIds = getBulkCourseIds(req);
+    const input = assertValid(discussionSchema, { ...req.body, courseId: courseIds[0] }, 'discussion forum');
+    const payload = buildDiscussionPayload(input);
+
+    console.log(`💬 Creating discussion forum "${input.title}" in ${courseIds.length} course(s)`);
+    await respondBulk(req, res, {
+      type: 'bulk-discussion',
+      noun: 'Discussion forum',
+      courseIds,
+      publish: async courseId => {
+        const forum = await req.client.createDiscussionForum(courseId, payload);
+        return { id: forum?.ForumId };
+      }
+    });
+  } catch (error) {
+    console.error('Bulk discussion error:', error.message);
+    next(error);
+  }
+});
+
+// A course whose survey was created but lost some questions reports partial: true and its steps
+app.post('/api/bulk/create-survey', requireAuth, allowDryRun, async (req, res, next) => {
+  try {
+    const courseIds = getBulkCourseIds(req);
+    const input = assertValid(surveySchema, { ...req.body, courseId: courseIds[0] }, 'survey');
+
+    console.log(`📋 Creating survey "${input.title}" in ${courseIds.length} course(s)`);
+    await respondBulk(req, res, {
+      type: 'bulk-survey',
+      noun: 'Survey',
+      courseIds,
+      publish: async courseId => {
+        const survey = await publishSurvey(req.client, courseId, input);
+        return { success: survey.success, partial: survey.partial, id: survey.survey.id, steps: survey.steps };
+      }
+    });
+  } catch (error) {
+    console.error('Bulk survey error:', error.message);
+    next(error);
+  }
+});
+
+app.post('/api/bulk/upload-file', requireAuth, fileUpload.single('file'), removeUploadsAfterResponse, checkUploads, allowDryRun, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file provided', code: 'VALIDATION_FAILED' });
+    }
+    const courseIds = getBulkCourseIds(req);
+    const { originalname, size } = req.file;
+    const uploads = new Map(courseIds.map(courseId => [courseId, uploadTask(req.client, courseId, req.file, { key: courseId })]));
+
+    console.log(`📤 Uploading file ${originalname} (${size} bytes) to ${courseIds.length} course(s)`);
+    await respondBulk(req, res, {
+      type: 'bulk-upload',
+      noun: `File ${originalname}`,
+      verb: 'uploaded',
+      courseIds,
+      publish: (courseId, signal, reportProgress) => uploads.get(courseId).run(signal, reportProgress)
     });
+  } catch (error) {
+    console.error('Bulk upload error:', error.message);
+    next(error);
   }
 });
 
+// ==========================================
+// BACKGROUND JOB API ROUTES
+// ==========================================
+
+// Jobs started with background: true (see job-queue.js). Each session sees only
+// its own jobs. Reading progress and cancelling work without a Brightspace
+// connection, so the page can still show what happened after a session is lost.
+
+const KEEP_ALIVE_MS = 15000;
+
+function jobNotFound(res) {
+  return res.status(404).json({ success: false, error: 'Job not found', code: 'NOT_FOUND' });
+}
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, jobs: jobs.list(req.session.ownerId) });
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobs.get(req.params.jobId, req.session.ownerId);
+  if (!job) return jobNotFound(res);
+  res.json({ success: true, job });
+});
+
+// Server-Sent Events: a `progress` event with the job snapshot now and after every
+// change. The stream ends once the job has finished; a retry needs a new stream.
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const owner = req.session.ownerId;
+  const job = jobs.get(req.params.jobId, owner);
+  if (!job) return jobNotFound(res);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = snapshot => {
+    res.write(`event: progress\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (FINISHED_STATUSES.includes(snapshot.status)) {
+      stop();
+      res.end();
+    }
+  };
+  const onUpdate = (jobOwner, snapshot) => {
+    if (jobOwner === owner && snapshot.id === job.id) send(snapshot);
+  };
+  // Comments keep proxies from closing a quiet stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  const stop = () => {
+    clearInterval(keepAlive);
+    jobs.off('update', onUpdate);
+  };
+
+  jobs.on('update', onUpdate);
+  req.on('close', stop);
+  send(job);
+});
+
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+  if (!jobs.get(req.params.jobId, req.session.ownerId)) return jobNotFound(res);
+  if (!jobs.cancel(req.params.jobId, req.session.ownerId)) {
+    return res.status(409).json({ success: false, error: 'Job has already finished', code: 'JOB_FINISHED' });
+  }
+  res.json({ success: true, job: jobs.get(req.params.jobId, req.session.ownerId), message: 'Job cancelled' });
+});
+
+// Runs the tasks that failed or were cancelled; tasks that succeeded are not repeated
+app.post('/api/jobs/:jobId/retry', requireAuth, (req, res) => {
+  if (!jobs.get(req.params.jobId, req.session.ownerId)) return jobNotFound(res);
+  if (!jobs.retry(req.params.jobId, req.session.ownerId)) {
+    return res.status(409).json({ success: false, error: 'Only failed or cancelled jobs can be retried', code: 'JOB_NOT_RETRYABLE' });
+  }
+  res.json({ success: true, job: jobs.get(req.params.jobId, req.session.ownerId), message: 'Job restarted' });
+});
+
 // Legacy endpoints for backward compatibility
 // These call the same API endpoints internally
-app.post('/create-announcement', async (req, res) => {
+app.post('/create-announcement', requireAuth, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-    
     const { courseId } = req.body;
     if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
+      return res.status(400).json({ success: false, error: 'Course ID required', code: 'VALIDATION_FAILED' });
     }
     
     const announcementData = {
@@ -355,7 +1193,7 @@ app.post('/create-announcement', async (req, res) => {
       IsStartDateShown: true
     };
     
-    const result = await brightspaceClient.createNewsItem(courseId, announcementData);
+    const result = await req.session.client.createNewsItem(courseId, announcementData);
     
     res.json({
       success: true,
@@ -365,19 +1203,15 @@ app.post('/create-announcement', async (req, res) => {
     
   } catch (error) {
     console.error('Announcement creation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-app.post('/create-discussion', async (req, res) => {
+app.post('/create-discussion', requireAuth, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-    
     const { courseId } = req.body;
     if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
+      return res.status(400).json({ success: false, error: 'Course ID required', code: 'VALIDATION_FAILED' });
     }
     
     const forumData = {
@@ -391,7 +1225,7 @@ app.post('/create-discussion', async (req, res) => {
       IsHidden: false
     };
     
-    const result = await brightspaceClient.createDiscussionForum(courseId, forumData);
+    const result = await req.session.client.createDiscussionForum(courseId, forumData);
     
     res.json({
       success: true,
@@ -401,19 +1235,15 @@ app.post('/create-discussion', async (req, res) => {
     
   } catch (error) {
     console.error('Discussion creation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-app.post('/create-survey', async (req, res) => {
+app.post('/create-survey', requireAuth, async (req, res, next) => {
   try {
-    if (!brightspaceClient.isAuthenticated()) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-    
     const { courseId } = req.body;
     if (!courseId) {
-      return res.status(400).json({ success: false, error: 'Course ID required' });
+      return res.status(400).json({ success: false, error: 'Course ID required', code: 'VALIDATION_FAILED' });
     }
     
     const surveyData = {
@@ -432,7 +1262,7 @@ app.post('/create-survey', async (req, res) => {
       ShowResults: false
     };
     
-    const result = await brightspaceClient.createSurvey(courseId, surveyData);
+    const result = await req.session.client.createSurvey(courseId, surveyData);
     
     res.json({
       success: true,
@@ -442,8 +1272,31 @@ app.post('/create-survey', async (req, res) => {
     
   } catch (error) {
     console.error('Survey creation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
+  }
+});
+
+// ==========================================
+// ERROR HANDLING
+// ==========================================
+
+// Every route hands failures to next(); this maps them to a status and a stable error code
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof BrightspaceApiError) {
+    return res.status(error.httpStatus).json(error.toJSON());
+  }
+
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ success: false, error: `${error.message} (${error.field})`, code: 'FILE_TOO_LARGE' });
   }
+
+  if (error instanceof multer.MulterError || error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: error.message, code: 'VALIDATION_FAILED' });
+  }
+
+  res.status(500).json({ success: false, error: error.message || 'Internal server error', code: 'INTERNAL_ERROR' });
 });
 
 // ==========================================
@@ -451,6 +1304,16 @@ app.post('/create-survey', async (req, res) => {
 // ==========================================
 
 async function startServer() {
+  try {
+    const restoredSessions = await sessions.loadFromStore();
+    if (restoredSessions > 0) {
+      console.log(`🔑 Restored ${restoredSessions} session(s) from the token store`);
+    }
+  } catch (error) {
+    console.error('Failed to load the token store:', error.message);
+    process.exit(1);
+  }
+
   try {
     // Check for SSL certificates
     const certPath = './certs/localhost-cert.pem';
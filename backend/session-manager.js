@@ -0,0 +1,229 @@
+/**
+ * Session Manager
+ *
+ * Keeps one BrightspaceContentCreator per browser so every instructor acts
+ * with their own tokens, user profile and course list. Sessions are keyed
+ * by a random id stored in an HTTP-only, secure cookie.
+ *
+ * A session (and its cookie) is only created when the browser starts signing
+ * in (see start). Until then requests share a read-only null session whose
+ * client is never authenticated, so anonymous traffic costs no memory.
+ *
+ * Authenticated sessions are written to a token store (see token-store.js)
+ * whenever their tokens change, and restored from it at startup.
+ *
+ * The cookie id changes on login (see rotate), so anything that must follow
+ * the browser across a reconnect, like background jobs, is keyed on
+ * `session.ownerId` instead. It stays the same for the session's lifetime.
+ */
+
+const crypto = require('crypto');
+const BrightspaceContentCreator = require('./brightspace-content-creator');
+
+const SESSION_COOKIE = 'bs_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+// How stale the stored lastSeen may get before a request writes it again
+const LAST_SEEN_PERSIST_MS = 5 * 60 * 1000;
+
+class SessionManager {
+  constructor({ tokenStore } = {}) {
+    this.sessions = new Map();
+    this.tokenStore = tokenStore || null;
+    this.nullSession = Object.freeze({
+      id: null,
+      ownerId: null,
+      client: new BrightspaceContentCreator(),
+      user: null,
+      courses: null
+    });
+
+    // Drop idle sessions; unref() so the timer never keeps the process alive
+    this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  create() {
+    const id = crypto.randomBytes(32).toString('hex');
+    const session = {
+      id,
+      ownerId: crypto.randomBytes(16).toString('hex'),
+      client: new BrightspaceContentCreator(),
+      user: null,
+      courses: null,
+      createdAt: Date.now(),
+      lastSeen: Date.now()
+    };
+
+    this.watchTokens(session);
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  watchTokens(session) {
+    session.client.onTokensChanged = () => {
+      this.persist(session);
+    };
+  }
+
+  // ==========================================
+  // PERSISTENCE
+  // ==========================================
+
+  async loadFromStore() {
+    if (!this.tokenStore) return 0;
+
+    const records = await this.tokenStore.load();
+    const now = Date.now();
+    let restored = 0;
+
+    records.forEach(record => {
+      // Records written before lastSeen was stored count from their creation
+      const lastSeen = record.lastSeen || record.createdAt || 0;
+      if (now - lastSeen > SESSION_TTL_MS) {
+        this.unpersist(record.sessionId);
+        return;
+      }
+
+      const session = {
+        id: record.sessionId,
+        ownerId: record.ownerId || crypto.randomBytes(16).toString('hex'),
+        client: new BrightspaceContentCreator(),
+        user: record.user || null,
+        courses: null,
+        createdAt: record.createdAt,
+        lastSeen,
+        persistedLastSeen: lastSeen
+      };
+
+      session.client.restoreTokens(record.tokens);
+      this.watchTokens(session);
+      this.sessions.set(session.id, session);
+      restored++;
+    });
+
+    return restored;
+  }
+
+  persist(session) {
+    if (!this.tokenStore) return;
+
+    session.persistedLastSeen = session.lastSeen;
+
+    // Only sessions that can still talk to Brightspace are worth keeping
+    const write = session.client.isAuthenticated()
+      ? this.tokenStore.save(session.id, {
+        sessionId: session.id,
+        ownerId: session.ownerId,
+        tokens: session.client.getTokenState(),
+        user: session.user,
+        createdAt: session.createdAt,
+        lastSeen: session.lastSeen
+      })
+      : this.tokenStore.remove(session.id);
+
+    Promise.resolve(write).catch(error => {
+      console.error('Failed to persist session tokens:', error.message);
+    });
+  }
+
+  unpersist(id) {
+    if (!this.tokenStore) return;
+
+    Promise.resolve(this.tokenStore.remove(id)).catch(error => {
+      console.error('Failed to remove persisted session:', error.message);
+    });
+  }
+
+  get(id) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) return null;
+
+    if (Date.now() - session.lastSeen > SESSION_TTL_MS) {
+      this.sessions.delete(id);
+      this.unpersist(id);
+      return null;
+    }
+
+    session.lastSeen = Date.now();
+    // Keep the stored idle time close enough that a restart expires it on time
+    if (session.lastSeen - (session.persistedLastSeen || 0) > LAST_SEEN_PERSIST_MS && session.client.isAuthenticated()) {
+      this.persist(session);
+    }
+    return session;
+  }
+
+  // Move a session to a new id (e.g. after login) so a pre-login id can't be reused.
+  // ownerId is kept, so the browser's background jobs stay reachable.
+  rotate(session, res) {
+    this.sessions.delete(session.id);
+    this.unpersist(session.id);
+    session.id = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(session.id, session);
+    this.setCookie(res, session);
+    this.persist(session);
+  }
+
+  async destroy(id) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+
+    this.sessions.delete(id);
+    // Detach first so revoking doesn't re-persist the session
+    session.client.onTokensChanged = null;
+    this.unpersist(id);
+    await session.client.revokeTokens();
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastSeen > SESSION_TTL_MS) {
+        this.sessions.delete(id);
+        this.unpersist(id);
+      }
+    }
+  }
+
+  setCookie(res, session) {
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      secure: true,
+      // Lax so the cookie comes back on the top-level redirect from Brightspace's OAuth page
+      sameSite: 'lax',
+      maxAge: SESSION_TTL_MS,
+      path: '/'
+    });
+  }
+
+  clearCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, secure: true, sameSite: 'lax', path: '/' });
+  }
+
+  // Give a request on the null session a real one, with its cookie; call before
+  // anything that writes to the session, like starting the OAuth flow
+  start(req, res) {
+    if (req.session === this.nullSession) {
+      req.session = this.create();
+      this.setCookie(res, req.session);
+    }
+    return req.session;
+  }
+
+  // Express middleware: attaches req.session, or the null session when the
+  // request has no live session cookie
+  middleware() {
+    return (req, res, next) => {
+      const session = this.get(req.cookies?.[SESSION_COOKIE]);
+
+      if (session) {
+        // Refresh the cookie so its expiry slides with activity
+        this.setCookie(res, session);
+      }
+      req.session = session || this.nullSession;
+      next();
+    };
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,222 @@
+/**
+ * Survey Payloads
+ *
+ * Schema for the survey composer and the builders that turn it into Valence
+ * survey, section and question data.
+ *
+ * Questions are grouped in `sections`, created in order. A section without a
+ * title holds questions that go straight into the survey, so a simple survey
+ * is one untitled section.
+ *
+ * QUESTION TYPES (type -> Valence QuestionTypeId):
+ * - likert           9  `statements` rated on a `scale` (agreement, satisfaction...)
+ * - multiple_choice  1  `choices`; 4 (multi-select) with `allowMultiple`
+ * - rating           1  1..`scaleMax`, with optional `lowLabel` / `highLabel`
+ * - text             7  free text (long answer)
+ */
+
+const { MAX_BODY_LENGTH, baseFields, toRichText } = require('./content-payloads');
+
+const MAX_QUESTIONS = 200;
+
+const SURVEY_QUESTION_TYPES = ['likert', 'multiple_choice', 'rating', 'text'];
+
+// Scale names -> Valence Likert scale
+const LIKERT_SCALES = {
+  agreement: 'Agreement',
+  satisfaction: 'Satisfaction',
+  frequency: 'Frequency',
+  importance: 'Importance'
+};
+
+// ==========================================
+// SCHEMAS
+// ==========================================
+
+function checkSurveyQuestion(question) {
+  if (!question || !question.type) return null;
+
+  switch (question.type) {
+    case 'likert':
+      return (question.statements || []).length > 0 ? null : 'Likert questions need at least one statement';
+    case 'multiple_choice':
+      return (question.choices || []).length >= 2 ? null : 'Multiple choice questions need at least 2 choices';
+    default:
+      return null;
+  }
+}
+
+function checkSection(section) {
+  if (!section) return null;
+  return (section.questions || []).length > 0 ? null : 'Sections need at least one question';
+}
+
+function checkQuestionCount(sections) {
+  const count = (sections || []).reduce((sum, section) => sum + ((section && section.questions) || []).length, 0);
+  return count > MAX_QUESTIONS ? `Surveys can have at most ${MAX_QUESTIONS} questions` : null;
+}
+
+const surveyQuestionSchema = {
+  type: { type: 'string', label: 'Question type', required: true, enum: SURVEY_QUESTION_TYPES },
+  text: { type: 'string', label: 'Question text', required: true, maxLength: 10000 },
+  mandatory: { type: 'boolean', label: 'Mandatory', default: false },
+  statements: {
+    type: 'array',
+    label: 'Statements',
+    maxLength: 20,
+    default: [],
+    items: { type: 'string', label: 'Statement', required: true, maxLength: 2000 }
+  },
+  scale: { type: 'string', label: 'Scale', enum: Object.keys(LIKERT_SCALES), default: 'agreement' },
+  includeNotApplicable: { type: 'boolean', label: 'Not applicable option', default: false },
+  choices: {
+    type: 'array',
+    label: 'Choices',
+    maxLength: 26,
+    default: [],
+    items: { type: 'string', label: 'Choice', required: true, maxLength: 2000 }
+  },
+  allowMultiple: { type: 'boolean', label: 'Allow multiple', default: false },
+  scaleMax: { type: 'integer', label: 'Scale maximum', min: 2, max: 10, default: 5 },
+  lowLabel: { type: 'string', label: 'Low label', maxLength: 100, default: '' },
+  highLabel: { type: 'string', label: 'High label', maxLength: 100, default: '' }
+};
+
+const sectionSchema = {
+  title: { type: 'string', label: 'Section title', maxLength: 128 },
+  description: { type: 'string', label: 'Section description', maxLength: 10000, default: '' },
+  questions: {
+    type: 'array',
+    label: 'Questions',
+    default: [],
+    items: { type: 'object', label: 'Question', properties: surveyQuestionSchema, check: checkSurveyQuestion }
+  }
+};
+
+const surveySchema = {
+  ...baseFields,
+  instructions: { type: 'string', label: 'Instructions', maxLength: MAX_BODY_LENGTH, default: '' },
+  isActive: { type: 'boolean', label: 'Active', default: true },
+  isHidden: { type: 'boolean', label: 'Hidden', default: false },
+  isAnonymous: { type: 'boolean', label: 'Anonymous', default: false },
+  showResults: { type: 'boolean', label: 'Show results', default: false },
+  sections: {
+    type: 'array',
+    label: 'Sections',
+    maxLength: 50,
+    default: [],
+    items: { type: 'object', label: 'Section', properties: sectionSchema, check: checkSection },
+    check: checkQuestionCount
+  }
+};
+
+// ==========================================
+// BUILDERS
+// ==========================================
+
+function buildSurveyPayload(input) {
+  return {
+    Name: input.title,
+    Description: toRichText(input.body, input.bodyFormat),
+    Instructions: toRichText(input.instructions, input.bodyFormat),
+    StartDate: input.startDate || null,
+    EndDate: input.endDate || null,
+    IsActive: input.isActive,
+    IsAnonymous: input.isAnonymous,
+    IsHidden: input.isHidden,
+    ShowResults: input.showResults
+  };
+}
+
+function buildSectionPayload(section) {
+  return {
+    Name: section.title,
+    Description: toRichText(section.description, 'text')
+  };
+}
+
+// Survey answers are never right or wrong
+function buildOptionAnswers(options, includeWeights) {
+  return options.map((text, index) => ({
+    PartId: index + 1,
+    Answer: toRichText(text, 'text'),
+    AnswerFeedback: toRichText('', 'text'),
+    ...(includeWeights ? { Weight: 0 } : { IsCorrect: false })
+  }));
+}
+
+// "1 - Poor", "2", "3", "4", "5 - Excellent"
+function getRatingOptions(question) {
+  return Array.from({ length: question.scaleMax }, (_, index) => {
+    const value = index + 1;
+    if (value === 1 && question.lowLabel) return `${value} - ${question.lowLabel}`;
+    if (value === question.scaleMax && question.highLabel) return `${value} - ${question.highLabel}`;
+    return String(value);
+  });
+}
+
+function getQuestionTypeId(question) {
+  switch (question.type) {
+    case 'likert':
+      return 9;
+    case 'multiple_choice':
+      return question.allowMultiple ? 4 : 1;
+    case 'text':
+      return 7;
+    default:
+      return 1;
+  }
+}
+
+function buildQuestionInfo(question) {
+  switch (question.type) {
+    case 'likert':
+      return {
+        Scale: LIKERT_SCALES[question.scale],
+        NaOption: question.includeNotApplicable,
+        Statements: question.statements.map((statement, index) => ({
+          PartId: index + 1,
+          Statement: toRichText(statement, 'text')
+        }))
+      };
+    case 'multiple_choice':
+      return question.allowMultiple
+        ? { Answers: buildOptionAnswers(question.choices, false), Randomize: false, Enumeration: 'Letters', GradingType: 'RightAnswers' }
+        : { Answers: buildOptionAnswers(question.choices, true), Randomize: false, Enumeration: 'Letters' };
+    case 'rating':
+      return { Answers: buildOptionAnswers(getRatingOptions(question), true), Randomize: false, Enumeration: 'NoEnumeration' };
+    case 'text':
+      return {
+        PartId: 1,
+        EnableStudentEditor: false,
+        InitialText: toRichText('', 'text'),
+        AnswerKey: toRichText('', 'text'),
+        EnableAttachments: false
+      };
+    default:
+      return {};
+  }
+}
+
+function buildSurveyQuestionPayload(question, index) {
+  return {
+    QuestionTypeId: getQuestionTypeId(question),
+    Name: `Question ${index + 1}`,
+    QuestionText: toRichText(question.text, 'text'),
+    Points: 0,
+    Difficulty: 1,
+    Bonus: false,
+    Mandatory: question.mandatory,
+    Hint: toRichText('', 'text'),
+    Feedback: toRichText('', 'text'),
+    QuestionInfo: buildQuestionInfo(question)
+  };
+}
+
+module.exports = {
+  LIKERT_SCALES,
+  surveySchema,
+  buildSurveyPayload,
+  buildSectionPayload,
+  buildSurveyQuestionPayload
+};
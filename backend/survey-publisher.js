@@ -0,0 +1,75 @@
+/**
+ * Survey Publisher
+ *
+ * Creates a survey, then its sections and questions in order. Like
+ * quiz-publisher.js, a rejected section or question is reported as a failed
+ * step without undoing the rest; the questions of a failed section are
+ * reported as failed too rather than being moved out of it.
+ */
+
+const { runStep } = require('./content-publisher');
+const { BrightspaceUpstreamError } = require('./brightspace-errors');
+const { buildSurveyPayload, buildSectionPayload, buildSurveyQuestionPayload } = require('./survey-payloads');
+
+async function publishSurvey(client, courseId, input) {
+  const surveyData = buildSurveyPayload(input);
+
+  // Without the survey there is nothing to add sections to, so this step throws
+  const survey = await client.createSurvey(courseId, surveyData);
+  const surveyId = survey?.SurveyId ?? survey?.Id;
+  if (surveyId === undefined || surveyId === null) {
+    throw new BrightspaceUpstreamError(`Brightspace did not return an id for survey "${surveyData.Name}"`);
+  }
+  console.log(`✅ Survey "${surveyData.Name}" created (ID ${surveyId})`);
+
+  const steps = [];
+  let questionIndex = 0;
+
+  for (const [sectionIndex, section] of input.sections.entries()) {
+    let sectionId = null;
+
+    if (section.title) {
+      const sectionData = buildSectionPayload(section);
+      const sectionStep = await runStep(`section ${sectionIndex + 1}`, 'SurveySection', sectionData.Name,
+        () => client.createSurveySection(courseId, surveyId, sectionData),
+        data => data?.SectionId ?? data?.Id);
+      steps.push(sectionStep);
+
+      if (!sectionStep.success) {
+        section.questions.forEach(() => {
+          questionIndex++;
+          steps.push({
+            step: `question ${questionIndex}`,
+            type: 'SurveyQuestion',
+            title: `Question ${questionIndex}`,
+            success: false,
+            error: `Section "${section.title}" could not be created`
+          });
+        });
+        continue;
+      }
+      sectionId = sectionStep.id;
+    }
+
+    for (const question of section.questions) {
+      const questionData = buildSurveyQuestionPayload(question, questionIndex);
+      questionIndex++;
+      steps.push(await runStep(`question ${questionIndex}`, 'SurveyQuestion', questionData.Name,
+        () => client.createSurveyQuestion(courseId, surveyId, questionData, sectionId),
+        data => data?.QuestionId));
+    }
+  }
+
+  const failed = steps.filter(step => !step.success);
+
+  return {
+    success: failed.length === 0,
+    partial: failed.length > 0,
+    survey: { id: surveyId, name: surveyData.Name, questionCount: questionIndex },
+    steps: steps.map(({ data, ...step }) => step)
+  };
+}
+
+module.exports = {
+  publishSurvey
+};
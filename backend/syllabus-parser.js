@@ -0,0 +1,352 @@
+/**
+ * Syllabus Parser
+ *
+ * Turns the plain text of a course syllabus into structured course data
+ * that can be reviewed and then used to build Brightspace content.
+ *
+ * EXTRACTED SECTIONS:
+ * - Course metadata (title, code, term, credits, description)
+ * - Instructor, contact details and office hours
+ * - Learning objectives
+ * - Required textbooks
+ * - Weekly schedule
+ * - Grading breakdown and grading scale
+ * - Course policies
+ */
+
+/**
+ * @typedef {Object} SyllabusCourse
+ * @property {string|null} title
+ * @property {string|null} code
+ * @property {string|null} term
+ * @property {number|null} credits
+ * @property {string|null} description
+ */
+
+/**
+ * @typedef {Object} SyllabusInstructor
+ * @property {string|null} name
+ * @property {string|null} email
+ * @property {string|null} office
+ * @property {string|null} officeHours
+ */
+
+/**
+ * @typedef {Object} SyllabusTextbook
+ * @property {string} title
+ * @property {string|null} author
+ * @property {string|null} isbn
+ */
+
+/**
+ * @typedef {Object} SyllabusScheduleEntry
+ * @property {number|null} week
+ * @property {string|null} date
+ * @property {string} topic
+ */
+
+/**
+ * @typedef {Object} SyllabusGradeComponent
+ * @property {string} name
+ * @property {number} weight - Percentage of the final grade
+ */
+
+/**
+ * @typedef {Object} SyllabusGradeBand
+ * @property {string} grade
+ * @property {number} min
+ * @property {number|null} max
+ */
+
+/**
+ * @typedef {Object} Syllabus
+ * @property {SyllabusCourse} course
+ * @property {SyllabusInstructor} instructor
+ * @property {string[]} learningObjectives
+ * @property {SyllabusTextbook[]} textbooks
+ * @property {SyllabusScheduleEntry[]} schedule
+ * @property {{ components: SyllabusGradeComponent[], scale: SyllabusGradeBand[] }} grading
+ * @property {string[]} policies
+ * @property {string[]} warnings - Things that could not be found or did not add up
+ */
+
+// Section headings are matched in order; the first pattern that matches wins
+const SECTION_PATTERNS = [
+  ['scale', /grading scale|grade scale|letter grades?/i],
+  ['objectives', /objectives|outcomes|goals/i],
+  ['textbooks', /textbooks?|required (readings|materials)|course materials/i],
+  ['schedule', /schedule|calendar|outline|weekly topics/i],
+  ['grading', /assignments|grading|evaluation|assessment|grade breakdown/i],
+  ['policies', /polic(y|ies)|expectations|integrity/i],
+  ['description', /description|overview/i],
+  ['contact', /contact|instructor|information/i]
+];
+
+const FIELD_PATTERNS = {
+  title: /^(course( title| name)?|title)\s*:\s*(.+)$/i,
+  code: /^(course )?(code|number)\s*:\s*(.+)$/i,
+  instructor: /^(instructor|professor|lecturer)\s*:\s*(.+)$/i,
+  email: /^e-?mail\s*:\s*(.+)$/i,
+  officeHours: /^office hours\s*:\s*(.+)$/i,
+  office: /^(office|location)\s*:\s*(.+)$/i,
+  term: /^(semester|term|session)\s*:\s*(.+)$/i,
+  credits: /^(credits?|credit hours|units)\s*:\s*(.+)$/i
+};
+
+// ==========================================
+// SECTION SPLITTING
+// ==========================================
+
+function isUnderline(line) {
+  return /^[-=_*]{3,}$/.test(line);
+}
+
+function isHeading(line, nextLine) {
+  if (!line || isUnderline(line)) return false;
+  if (/^#{1,6}\s+\S/.test(line)) return true;
+  if (nextLine && isUnderline(nextLine)) return true;
+
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  return letters.length >= 4 && letters === letters.toUpperCase() && !line.includes(':') && line.length <= 60;
+}
+
+function classifyHeading(heading) {
+  const match = SECTION_PATTERNS.find(([, pattern]) => pattern.test(heading));
+  return match ? match[0] : 'other';
+}
+
+function splitSections(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const sections = [{ key: 'header', heading: null, lines: [] }];
+
+  lines.forEach((line, index) => {
+    if (isUnderline(line)) return;
+
+    if (isHeading(line, lines[index + 1])) {
+      const heading = line.replace(/^#+\s*/, '').replace(/:$/, '');
+      sections.push({ key: classifyHeading(heading), heading, lines: [] });
+      return;
+    }
+
+    if (line) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+
+  return sections;
+}
+
+function stripListMarker(line) {
+  return line.replace(/^([-*•]|\d+[.)]|[a-z][.)])\s+/i, '').trim();
+}
+
+function isListItem(line) {
+  return /^([-*•]|\d+[.)])\s+/.test(line);
+}
+
+// ==========================================
+// FIELD PARSERS
+// ==========================================
+
+function parseFields(lines, syllabus) {
+  lines.forEach(line => {
+    let match;
+
+    if ((match = line.match(FIELD_PATTERNS.code))) {
+      syllabus.course.code = syllabus.course.code || match[3].trim();
+    } else if ((match = line.match(FIELD_PATTERNS.title))) {
+      syllabus.course.title = syllabus.course.title || match[3].trim();
+    } else if ((match = line.match(FIELD_PATTERNS.instructor))) {
+      syllabus.instructor.name = syllabus.instructor.name || match[2].trim();
+    } else if ((match = stripListMarker(line).match(FIELD_PATTERNS.email))) {
+      syllabus.instructor.email = syllabus.instructor.email || match[1].trim();
+    } else if ((match = stripListMarker(line).match(FIELD_PATTERNS.officeHours))) {
+      syllabus.instructor.officeHours = syllabus.instructor.officeHours || match[1].trim();
+    } else if ((match = stripListMarker(line).match(FIELD_PATTERNS.office))) {
+      syllabus.instructor.office = syllabus.instructor.office || match[2].trim();
+    } else if ((match = line.match(FIELD_PATTERNS.term))) {
+      syllabus.course.term = syllabus.course.term || match[2].trim();
+    } else if ((match = line.match(FIELD_PATTERNS.credits))) {
+      const credits = parseFloat(match[2]);
+      syllabus.course.credits = Number.isNaN(credits) ? syllabus.course.credits : credits;
+    }
+  });
+}
+
+function parseListItems(lines) {
+  const items = [];
+
+  lines.forEach(line => {
+    if (isListItem(line) || items.length === 0) {
+      // Skip lead-in sentences such as "Students will be able to:"
+      if (!isListItem(line) && line.endsWith(':')) return;
+      items.push(stripListMarker(line));
+    } else {
+      // Continuation of a wrapped list item
+      items[items.length - 1] += ` ${line}`;
+    }
+  });
+
+  return items.filter(item => item);
+}
+
+function parseTextbook(line) {
+  const item = stripListMarker(line);
+  const isbnMatch = item.match(/\(?ISBN(?:-1[03])?:?\s*([\dX-]{10,17})\)?/i);
+  const withoutIsbn = item.replace(isbnMatch ? isbnMatch[0] : '', '').trim().replace(/[,;]$/, '');
+
+  const quoted = withoutIsbn.match(/^["“](.+?)["”]\s*(?:,?\s*by\s+(.+))?$/i);
+  if (quoted) {
+    return { title: quoted[1].trim(), author: quoted[2] ? quoted[2].trim() : null, isbn: isbnMatch ? isbnMatch[1] : null };
+  }
+
+  const byMatch = withoutIsbn.match(/^(.+?)\s+by\s+(.+)$/i);
+  return {
+    title: (byMatch ? byMatch[1] : withoutIsbn).trim(),
+    author: byMatch ? byMatch[2].trim() : null,
+    isbn: isbnMatch ? isbnMatch[1] : null
+  };
+}
+
+function parseScheduleEntry(line) {
+  const item = stripListMarker(line);
+
+  const weekMatch = item.match(/^week\s+(\d+)\s*(?:\(([^)]+)\))?\s*[:\-–—]\s*(.+)$/i);
+  if (weekMatch) {
+    return { week: Number(weekMatch[1]), date: weekMatch[2] ? weekMatch[2].trim() : null, topic: weekMatch[3].trim() };
+  }
+
+  const dateMatch = item.match(/^((?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\s*[:\-–—]\s*(.+)$/i);
+  if (dateMatch) {
+    return { week: null, date: dateMatch[1].trim(), topic: dateMatch[2].trim() };
+  }
+
+  return null;
+}
+
+function parseGradeComponent(line) {
+  const item = stripListMarker(line);
+  const match = item.match(/^(.+?)\s*(?:[:\-–—]\s*|\(\s*)(\d+(?:\.\d+)?)\s*%\s*\)?$/);
+  if (!match) return null;
+  return { name: match[1].trim(), weight: Number(match[2]) };
+}
+
+function parseGradeBand(line) {
+  const item = stripListMarker(line);
+
+  const range = item.match(/^([A-F][+-]?)\s*[:\-–—=]\s*(\d+(?:\.\d+)?)\s*%?\s*[-–—]\s*(\d+(?:\.\d+)?)\s*%?$/i);
+  if (range) {
+    return { grade: range[1].toUpperCase(), min: Number(range[2]), max: Number(range[3]) };
+  }
+
+  const below = item.match(/^([A-F][+-]?)\s*[:\-–—=]\s*(?:below|under|less than|<)\s*(\d+(?:\.\d+)?)\s*%?$/i);
+  if (below) {
+    return { grade: below[1].toUpperCase(), min: 0, max: Number(below[2]) };
+  }
+
+  const above = item.match(/^([A-F][+-]?)\s*[:\-–—=]\s*(\d+(?:\.\d+)?)\s*%?\s*(?:and above|\+|or (?:above|higher))$/i);
+  if (above) {
+    return { grade: above[1].toUpperCase(), min: Number(above[2]), max: null };
+  }
+
+  return null;
+}
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Parse the text of a syllabus into structured course data.
+ *
+ * @param {string} text - Plain text of the syllabus document
+ * @returns {Syllabus}
+ */
+function parseSyllabus(text) {
+  /** @type {Syllabus} */
+  const syllabus = {
+    course: { title: null, code: null, term: null, credits: null, description: null },
+    instructor: { name: null, email: null, office: null, officeHours: null },
+    learningObjectives: [],
+    textbooks: [],
+    schedule: [],
+    grading: { components: [], scale: [] },
+    policies: [],
+    warnings: []
+  };
+
+  const sections = splitSections(text || '');
+
+  sections.forEach(section => {
+    // Key/value fields (instructor, email, ...) can appear under any heading
+    parseFields(section.lines, syllabus);
+
+    switch (section.key) {
+      case 'description':
+        syllabus.course.description = syllabus.course.description || section.lines.join(' ');
+        break;
+      case 'objectives':
+        syllabus.learningObjectives.push(...parseListItems(section.lines));
+        break;
+      case 'textbooks':
+        section.lines.filter(line => !line.endsWith(':')).forEach(line => syllabus.textbooks.push(parseTextbook(line)));
+        break;
+      case 'schedule':
+        section.lines.map(parseScheduleEntry).filter(Boolean).forEach(entry => syllabus.schedule.push(entry));
+        break;
+      case 'grading':
+        section.lines.forEach(line => {
+          const band = parseGradeBand(line);
+          if (band) {
+            syllabus.grading.scale.push(band);
+            return;
+          }
+          const component = parseGradeComponent(line);
+          if (component) syllabus.grading.components.push(component);
+        });
+        break;
+      case 'scale':
+        section.lines.map(parseGradeBand).filter(Boolean).forEach(band => syllabus.grading.scale.push(band));
+        break;
+      case 'policies':
+        syllabus.policies.push(...parseListItems(section.lines));
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Weekly schedules are sometimes written without a heading
+  if (syllabus.schedule.length === 0) {
+    sections.forEach(section => {
+      section.lines.filter(line => /^week\s+\d+/i.test(stripListMarker(line)))
+        .map(parseScheduleEntry)
+        .filter(Boolean)
+        .forEach(entry => syllabus.schedule.push(entry));
+    });
+  }
+
+  collectWarnings(syllabus);
+  return syllabus;
+}
+
+function collectWarnings(syllabus) {
+  if (!syllabus.course.title) syllabus.warnings.push('Course title not found');
+  if (!syllabus.course.code) syllabus.warnings.push('Course code not found');
+  if (!syllabus.instructor.name) syllabus.warnings.push('Instructor not found');
+  if (syllabus.learningObjectives.length === 0) syllabus.warnings.push('No learning objectives found');
+  if (syllabus.schedule.length === 0) syllabus.warnings.push('No weekly schedule found');
+
+  if (syllabus.grading.components.length > 0) {
+    const total = syllabus.grading.components.reduce((sum, component) => sum + component.weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      syllabus.warnings.push(`Grading weights add up to ${total}%, not 100%`);
+    }
+  } else {
+    syllabus.warnings.push('No grading breakdown found');
+  }
+}
+
+module.exports = {
+  parseSyllabus
+};
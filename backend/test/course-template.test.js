@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyTemplateSchema, exportCourseTemplate } = require('../course-template');
+const { validate } = require('../payload-validator');
+
+// Just enough of BrightspaceContentCreator for an export with one forum
+function createForumClient(topics) {
+  return {
+    getTableOfContents: async () => ({ Modules: [] }),
+    getDiscussionForums: async () => [{ ForumId: 7, Name: 'Weekly discussion', Description: { Html: '<p>Talk</p>' } }],
+    getDiscussionTopics: async () => topics,
+    getNewsItems: async () => [],
+    getSurveys: async () => []
+  };
+}
+
+test('exported topics with unknown rating or scoring types still pass apply validation', async () => {
+  const client = createForumClient([
+    { Name: 'Graded', ScoreOutOf: 10, RatingType: 'FiveStar', ScoringType: 'SumOfMessageScores' },
+    { Name: 'No rating', RatingType: null, ScoringType: null },
+    { Name: 'Newer types', ScoreOutOf: 5, RatingType: 'Emoji', ScoringType: 'MedianMessageScore' }
+  ]);
+
+  const { template } = await exportCourseTemplate(client, 1);
+  const [graded, noRating, newer] = template.forums[0].topics;
+
+  assert.strictEqual(graded.ratingType, 'FiveStar');
+  assert.strictEqual(graded.scoringType, 'SumOfMessageScores');
+  assert.strictEqual(noRating.ratingType, undefined);
+  assert.strictEqual(noRating.scoringType, undefined);
+  assert.strictEqual(newer.ratingType, undefined);
+  assert.strictEqual(newer.scoringType, undefined);
+
+  const { value, errors } = validate(applyTemplateSchema, { courseId: 2, template: JSON.parse(JSON.stringify(template)) });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(value.template.forums[0].topics[2].ratingType, 'None');
+  assert.strictEqual(value.template.forums[0].topics[2].scoringType, 'AverageMessageScore');
+});
@@ -0,0 +1,171 @@
+/**
+ * Token Store
+ *
+ * Persists session tokens so a server restart doesn't log everyone out.
+ *
+ * A token store is any object with:
+ * - load()                 -> Promise<Array<SessionRecord>>
+ * - save(sessionId, record) -> Promise<void>
+ * - remove(sessionId)       -> Promise<void>
+ *
+ * STORES:
+ * - EncryptedFileTokenStore: AES-256-GCM encrypted JSON file (default)
+ * - MemoryTokenStore: nothing survives a restart (used when no key is configured)
+ *
+ * Tokens are never written to disk in plaintext.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const FILE_VERSION = 1;
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+class MemoryTokenStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load() {
+    return [...this.records.values()];
+  }
+
+  async save(sessionId, record) {
+    this.records.set(sessionId, record);
+  }
+
+  async remove(sessionId) {
+    this.records.delete(sessionId);
+  }
+}
+
+class EncryptedFileTokenStore {
+  constructor({ filePath, secret }) {
+    if (!secret) {
+      throw new Error('EncryptedFileTokenStore requires an encryption secret');
+    }
+
+    this.filePath = filePath;
+    this.secret = secret;
+    this.records = new Map();
+    this.salt = null;
+    this.key = null;
+    // Writes are chained so concurrent saves never interleave on disk
+    this.writeChain = Promise.resolve();
+  }
+
+  deriveKey(salt) {
+    // A 64-character hex secret is used as the key directly; anything else is treated as a passphrase
+    if (/^[0-9a-f]{64}$/i.test(this.secret)) {
+      return Buffer.from(this.secret, 'hex');
+    }
+    return crypto.scryptSync(this.secret, salt, KEY_LENGTH);
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      version: FILE_VERSION,
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  async load() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // First run: start an empty store with a fresh salt
+      this.salt = crypto.randomBytes(16);
+      this.key = this.deriveKey(this.salt);
+      return [];
+    }
+
+    const envelope = JSON.parse(contents);
+    if (envelope.version !== FILE_VERSION) {
+      throw new Error(`Unsupported token store version: ${envelope.version}`);
+    }
+
+    this.salt = Buffer.from(envelope.salt, 'base64');
+    this.key = this.deriveKey(this.salt);
+
+    let records;
+    try {
+      records = JSON.parse(this.decrypt(envelope));
+    } catch (error) {
+      throw new Error('Could not decrypt token store - check TOKEN_ENCRYPTION_KEY');
+    }
+
+    this.records = new Map(records.map(record => [record.sessionId, record]));
+    return records;
+  }
+
+  async save(sessionId, record) {
+    this.records.set(sessionId, record);
+    return this.flush();
+  }
+
+  async remove(sessionId) {
+    if (!this.records.delete(sessionId)) return;
+    return this.flush();
+  }
+
+  flush() {
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        if (!this.key) {
+          this.salt = crypto.randomBytes(16);
+          this.key = this.deriveKey(this.salt);
+        }
+
+        const envelope = this.encrypt(JSON.stringify([...this.records.values()]));
+        const tempPath = `${this.filePath}.tmp`;
+
+        // Write then rename so a crash mid-write never leaves a corrupt store
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(envelope), { mode: 0o600 });
+        await fs.rename(tempPath, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
+
+function createTokenStore() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+
+  if (!secret) {
+    console.warn('⚠️ TOKEN_ENCRYPTION_KEY not set - sessions will not survive a server restart');
+    return new MemoryTokenStore();
+  }
+
+  return new EncryptedFileTokenStore({
+    filePath: process.env.TOKEN_STORE_PATH || path.join(__dirname, 'data', 'sessions.enc'),
+    secret
+  });
+}
+
+module.exports = {
+  MemoryTokenStore,
+  EncryptedFileTokenStore,
+  createTokenStore
+};
@@ -0,0 +1,450 @@
+/**
+ * Upload Policy
+ *
+ * Decides whether a file may go into a course, before anything is sent to
+ * Brightspace. The browser's mimetype and the file input's `accept` list are
+ * hints only; the type comes from the file's first bytes.
+ *
+ * - Executables and scripts (PE, ELF, Mach-O, shebang scripts, and extensions
+ *   like .exe or .js) are always rejected, whatever they are called
+ * - UPLOAD_ALLOWED_TYPES lists the types or categories allowed (default: all
+ *   below), e.g. `documents,images,mp4`
+ * - Each category has a size limit, UPLOAD_MAX_<CATEGORY>_MB
+ * - The extension has to match the content; a file without one gets the
+ *   extension of its detected type
+ * - File names are reduced to a safe base name (see sanitizeFileName)
+ *
+ * CATEGORIES: documents, text, images, audio, video, archives
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { BrightspaceValidationError } = require('./brightspace-errors');
+
+const SNIFF_BYTES = 64 * 1024;
+// A zip's end record sits in its last 22 bytes plus up to 64 KB of comment
+const ZIP_TAIL_BYTES = 22 + 65535;
+const MAX_ZIP_DIRECTORY_BYTES = 1024 * 1024;
+const MAX_FILE_NAME_LENGTH = 120;
+
+function megabytes(name, fallback) {
+  return Math.floor((Number(process.env[name]) || fallback) * 1024 * 1024);
+}
+
+const CATEGORY_LIMITS = {
+  documents: megabytes('UPLOAD_MAX_DOCUMENTS_MB', 100),
+  text: megabytes('UPLOAD_MAX_TEXT_MB', 25),
+  images: megabytes('UPLOAD_MAX_IMAGES_MB', 25),
+  audio: megabytes('UPLOAD_MAX_AUDIO_MB', 500),
+  video: megabytes('UPLOAD_MAX_VIDEO_MB', Number(process.env.UPLOAD_MAX_FILE_MB) || 2048),
+  archives: megabytes('UPLOAD_MAX_ARCHIVES_MB', 500)
+};
+
+// What each detected type is called, sent as and saved with. The first extension is the default.
+const FILE_TYPES = {
+  pdf: { label: 'a PDF document', category: 'documents', mimeType: 'application/pdf', extensions: ['.pdf'] },
+  docx: { label: 'a Word document', category: 'documents', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'] },
+  pptx: { label: 'a PowerPoint presentation', category: 'documents', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'] },
+  xlsx: { label: 'an Excel workbook', category: 'documents', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'] },
+  doc: { label: 'a Word 97-2003 document', category: 'documents', mimeType: 'application/msword', extensions: ['.doc'] },
+  xls: { label: 'an Excel 97-2003 workbook', category: 'documents', mimeType: 'application/vnd.ms-excel', extensions: ['.xls'] },
+  ppt: { label: 'a PowerPoint 97-2003 presentation', category: 'documents', mimeType: 'application/vnd.ms-powerpoint', extensions: ['.ppt'] },
+  rtf: { label: 'an RTF document', category: 'documents', mimeType: 'application/rtf', extensions: ['.rtf'] },
+  text: { label: 'a text file', category: 'text', mimeType: 'text/plain', extensions: ['.txt', '.csv', '.md', '.html', '.htm', '.json', '.xml'] },
+  png: { label: 'a PNG image', category: 'images', mimeType: 'image/png', extensions: ['.png'] },
+  jpeg: { label: 'a JPEG image', category: 'images', mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+  gif: { label: 'a GIF image', category: 'images', mimeType: 'image/gif', extensions: ['.gif'] },
+  webp: { label: 'a WebP image', category: 'images', mimeType: 'image/webp', extensions: ['.webp'] },
+  mp3: { label: 'MP3 audio', category: 'audio', mimeType: 'audio/mpeg', extensions: ['.mp3'] },
+  m4a: { label: 'M4A audio', category: 'audio', mimeType: 'audio/mp4', extensions: ['.m4a'] },
+  wav: { label: 'WAV audio', category: 'audio', mimeType: 'audio/wav', extensions: ['.wav'] },
+  ogg: { label: 'Ogg media', category: 'audio', mimeType: 'audio/ogg', extensions: ['.ogg', '.oga'] },
+  mp4: { label: 'MP4 video', category: 'video', mimeType: 'video/mp4', extensions: ['.mp4', '.m4v'] },
+  mov: { label: 'QuickTime video', category: 'video', mimeType: 'video/quicktime', extensions: ['.mov'] },
+  webm: { label: 'WebM video', category: 'video', mimeType: 'video/webm', extensions: ['.webm'] },
+  mkv: { label: 'Matroska video', category: 'video', mimeType: 'video/x-matroska', extensions: ['.mkv'] },
+  zip: { label: 'a ZIP archive', category: 'archives', mimeType: 'application/zip', extensions: ['.zip'] }
+};
+
+// Sent with the default extension's type where one detected type covers several formats
+const EXTENSION_MIME_TYPES = {
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml'
+};
+
+const BLOCKED_EXTENSIONS = new Set([
+  '.exe', '.dll', '.com', '.scr', '.msi', '.msp', '.bat', '.cmd', '.ps1', '.vbs', '.vbe', '.wsf',
+  '.js', '.jse', '.jar', '.sh', '.bash', '.app', '.apk', '.dmg', '.pkg', '.deb', '.rpm', '.lnk', '.reg', '.hta'
+]);
+
+// Device names Windows won't open as files, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+function getAllowedTypes() {
+  const configured = (process.env.UPLOAD_ALLOWED_TYPES || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  if (configured.length === 0) return new Set(Object.keys(FILE_TYPES));
+
+  return new Set(Object.keys(FILE_TYPES).filter(type => configured.includes(type) || configured.includes(FILE_TYPES[type].category)));
+}
+
+const ALLOWED_TYPES = getAllowedTypes();
+
+// ==========================================
+// TYPE DETECTION
+// ==========================================
+
+function startsWith(bytes, signature, offset = 0) {
+  return bytes.length >= offset + signature.length && signature.every((byte, index) => bytes[offset + index] === byte);
+}
+
+function ascii(bytes, start, end) {
+  return bytes.subarray(start, end).toString('latin1');
+}
+
+// Windows programs start with MZ and point at a PE header
+function isWindowsExecutable(bytes) {
+  if (ascii(bytes, 0, 2) !== 'MZ' || bytes.length < 0x40) return false;
+  const headerOffset = bytes.readUInt32LE(0x3c);
+  return ascii(bytes, headerOffset, headerOffset + 4) === 'PE\0\0';
+}
+
+function isExecutable(bytes) {
+  return isWindowsExecutable(bytes) ||
+    ascii(bytes, 0, 2) === '#!' ||
+    startsWith(bytes, [0x7f, 0x45, 0x4c, 0x46]) ||
+    [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+      .some(signature => startsWith(bytes, signature));
+}
+
+// WebM and Matroska share the EBML container; its DocType element (id 0x4282) says which
+function detectEbmlType(bytes) {
+  const header = bytes.subarray(0, 64).toString('latin1');
+  const docType = header.indexOf('\x42\x82');
+  if (docType === -1) return null;
+
+  const value = header.slice(docType + 2, docType + 2 + 12);
+  if (value.includes('webm')) return 'webm';
+  if (value.includes('matroska')) return 'mkv';
+  return null;
+}
+
+// Java and Android packages are zips too; they are programs whatever they're named
+const PROGRAM_ZIP_ENTRIES = ['META-INF/MANIFEST.MF', 'classes.dex', 'AndroidManifest.xml'];
+
+// Word, PowerPoint and Excel files are zips whose part paths give them away
+function detectZipType(entryNames) {
+  if (!entryNames) return null;
+  if (entryNames.some(name => PROGRAM_ZIP_ENTRIES.includes(name))) return 'executable';
+
+  if (entryNames.includes('[Content_Types].xml')) {
+    if (entryNames.some(name => name.startsWith('word/'))) return 'docx';
+    if (entryNames.some(name => name.startsWith('ppt/'))) return 'pptx';
+    if (entryNames.some(name => name.startsWith('xl/'))) return 'xlsx';
+  }
+  return 'zip';
+}
+
+// Root storage class ids of Compound File (OLE) documents. Installers use the
+// same container, so anything else is identified by its stream names or rejected.
+const COMPOUND_CLASS_IDS = {
+  '00020906-0000-0000-C000-000000000046': 'doc',
+  '00020900-0000-0000-C000-000000000046': 'doc',
+  '00020820-0000-0000-C000-000000000046': 'xls',
+  '00020810-0000-0000-C000-000000000046': 'xls',
+  '64818D10-4F9B-11CF-86EA-00AA00B929E8': 'ppt',
+  '000C1084-0000-0000-C000-000000000046': 'executable',
+  '000C1086-0000-0000-C000-000000000046': 'executable',
+  '000C1082-0000-0000-C000-000000000046': 'executable'
+};
+
+const COMPOUND_STREAMS = {
+  WordDocument: 'doc',
+  Workbook: 'xls',
+  Book: 'xls',
+  'PowerPoint Document': 'ppt'
+};
+
+function formatClassId(bytes) {
+  const hex = (start, end) => bytes.subarray(start, end).toString('hex');
+  return [
+    bytes.readUInt32LE(0).toString(16).padStart(8, '0'),
+    bytes.readUInt16LE(4).toString(16).padStart(4, '0'),
+    bytes.readUInt16LE(6).toString(16).padStart(4, '0'),
+    hex(8, 10),
+    hex(10, 16)
+  ].join('-').toUpperCase();
+}
+
+// directory: the first directory sector, whose first 128-byte entry is the root storage
+function detectCompoundType(directory) {
+  if (!directory || directory.length < 128) return null;
+
+  const byClassId = COMPOUND_CLASS_IDS[formatClassId(directory.subarray(0x50, 0x60))];
+  if (byClassId) return byClassId;
+
+  for (let entry = 0; entry + 128 <= directory.length; entry += 128) {
+    const nameLength = Math.min(directory.readUInt16LE(entry + 0x40), 64);
+    const name = directory.subarray(entry, entry + Math.max(0, nameLength - 2)).toString('utf16le');
+    if (COMPOUND_STREAMS[name]) return COMPOUND_STREAMS[name];
+  }
+  return null;
+}
+
+// Byte order marks. Excel and Notepad save UTF-16 text, which starts with FF FE
+// and would otherwise look like an MPEG frame
+const TEXT_BOMS = [[0xef, 0xbb, 0xbf], [0xff, 0xfe], [0xfe, 0xff]];
+
+// An MPEG audio frame header: 11 sync bits, then a valid version, layer,
+// bitrate index (not 0 or 15) and sample rate (not 3)
+function isMpegFrame(bytes) {
+  if (bytes.length < 4 || bytes[0] !== 0xff || (bytes[1] & 0xe0) !== 0xe0) return false;
+
+  const version = (bytes[1] >> 3) & 0x03;
+  const layer = (bytes[1] >> 1) & 0x03;
+  const bitrate = bytes[2] >> 4;
+  const sampleRate = (bytes[2] >> 2) & 0x03;
+  return version !== 1 && layer !== 0 && bitrate !== 0 && bitrate !== 15 && sampleRate !== 3;
+}
+
+function isUtf8(bytes) {
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Windows-1252 and Latin-1 exports: any byte is a character except the control
+// bytes, which text only uses for tabs, line breaks and form feeds
+function isSingleByteText(bytes) {
+  return bytes.every(byte => byte >= 0x20 ? byte !== 0x7f : [0x09, 0x0a, 0x0c, 0x0d].includes(byte));
+}
+
+function isText(bytes) {
+  if (bytes.includes(0)) return false;
+  return isUtf8(bytes) || isSingleByteText(bytes);
+}
+
+/**
+ * The FILE_TYPES key for the sample's content, 'executable', or null when
+ * the content matches nothing known. Zips and Compound Files come back as
+ * 'zip' and 'compound'; identifyFile() looks inside them.
+ */
+function detectFileType(bytes) {
+  if (isExecutable(bytes)) return 'executable';
+  if (TEXT_BOMS.some(bom => startsWith(bytes, bom))) return 'text';
+  if (ascii(bytes, 0, 5) === '%PDF-') return 'pdf';
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]) || startsWith(bytes, [0x50, 0x4b, 0x05, 0x06])) return 'zip';
+  if (startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'compound';
+  if (ascii(bytes, 0, 5) === '{\\rtf') return 'rtf';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (['GIF87a', 'GIF89a'].includes(ascii(bytes, 0, 6))) return 'gif';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'webp';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WAVE') return 'wav';
+  if (ascii(bytes, 0, 4) === 'OggS') return 'ogg';
+  if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) return detectEbmlType(bytes);
+  if (ascii(bytes, 4, 8) === 'ftyp') {
+    const brand = ascii(bytes, 8, 12);
+    if (brand === 'qt  ') return 'mov';
+    if (brand === 'M4A ') return 'm4a';
+    return 'mp4';
+  }
+  if (ascii(bytes, 0, 3) === 'ID3' || isMpegFrame(bytes)) return 'mp3';
+  if (bytes.length > 0 && isText(bytes)) return 'text';
+  return null;
+}
+
+// ==========================================
+// FILE NAMES
+// ==========================================
+
+/**
+ * A name that is safe on any file system: no directories, control or reserved
+ * characters, leading dots or device names, and at most MAX_FILE_NAME_LENGTH
+ * characters with the extension kept. Characters that mean something in a URL
+ * (`%`, `#`, `&`, `;`) are kept, so encodeURIComponent it before putting it
+ * in a path.
+ */
+function sanitizeFileName(fileName) {
+  const baseName = String(fileName || '').normalize('NFC').split(/[/\\]/).pop();
+  const cleaned = baseName
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  const extension = path.extname(cleaned).toLowerCase();
+  let stem = cleaned.slice(0, cleaned.length - extension.length).trim() || 'file';
+  if (RESERVED_NAMES.test(stem)) stem = `${stem}_`;
+
+  return `${stem.slice(0, MAX_FILE_NAME_LENGTH - extension.length)}${extension}`;
+}
+
+function formatLimit(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+// ==========================================
+// CHECKS
+// ==========================================
+
+// Bytes [start, end) of a multer file, in memory or on disk
+async function readBytes(file, start, end) {
+  const stop = Math.min(end, file.size);
+  if (start >= stop) return Buffer.alloc(0);
+  if (file.buffer) return file.buffer.subarray(start, stop);
+
+  const handle = await fs.open(file.path, 'r');
+  try {
+    const buffer = Buffer.alloc(stop - start);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * A zip's central directory without inflating anything: { entryCount, entries },
+ * where entryCount is the total the end record declares and each entry is
+ * { name, size } with size uncompressed (0xFFFFFFFF for Zip64 entries).
+ * Null when the directory can't be read.
+ */
+async function readZipEntries(file) {
+  const tailStart = Math.max(0, file.size - ZIP_TAIL_BYTES);
+  const tail = await readBytes(file, tailStart, file.size);
+  const endRecord = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endRecord === -1 || endRecord + 22 > tail.length) return null;
+
+  const entryCount = tail.readUInt16LE(endRecord + 10);
+  const directorySize = tail.readUInt32LE(endRecord + 12);
+  const directoryOffset = tail.readUInt32LE(endRecord + 16);
+  const directory = await readBytes(file, directoryOffset, directoryOffset + Math.min(directorySize, MAX_ZIP_DIRECTORY_BYTES));
+
+  const entries = [];
+  let at = 0;
+  while (at + 46 <= directory.length && directory.readUInt32LE(at) === 0x02014b50) {
+    const nameLength = directory.readUInt16LE(at + 28);
+    entries.push({
+      name: directory.subarray(at + 46, at + 46 + nameLength).toString('utf8'),
+      size: directory.readUInt32LE(at + 24)
+    });
+    at += 46 + nameLength + directory.readUInt16LE(at + 30) + directory.readUInt16LE(at + 32);
+  }
+  return { entryCount, entries };
+}
+
+// Exact entry paths from the zip's central directory, or null when it can't be read
+async function readZipEntryNames(file) {
+  const zip = await readZipEntries(file);
+  return zip ? zip.entries.map(entry => entry.name) : null;
+}
+
+// The first directory sector of a Compound File, located from its header
+async function readCompoundDirectory(file, header) {
+  if (header.length < 512) return null;
+
+  const sectorSize = 2 ** header.readUInt16LE(0x1e);
+  if (sectorSize !== 512 && sectorSize !== 4096) return null;
+
+  const offset = (header.readUInt32LE(0x30) + 1) * sectorSize;
+  return readBytes(file, offset, offset + sectorSize);
+}
+
+// detectFileType(), looking inside zips and Compound Files
+async function identifyFile(file) {
+  const sample = await readBytes(file, 0, SNIFF_BYTES);
+  const type = detectFileType(sample);
+
+  if (type === 'zip') return detectZipType(await readZipEntryNames(file));
+  if (type === 'compound') return detectCompoundType(await readCompoundDirectory(file, sample));
+  return type;
+}
+
+/**
+ * Check one multer file. Resolves with { fileName, mimeType, type } for an
+ * accepted file, or { code, message } explaining why it was rejected.
+ */
+async function inspectUpload(file) {
+  const fileName = sanitizeFileName(file.originalname);
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (file.size === 0) {
+    return { code: 'EMPTY_FILE', message: `${fileName} is empty` };
+  }
+  if (BLOCKED_EXTENSIONS.has(extension)) {
+    return { code: 'BLOCKED_TYPE', message: `${fileName} is a program or script, which can't be uploaded` };
+  }
+
+  const type = await identifyFile(file);
+  if (type === 'executable') {
+    return { code: 'BLOCKED_TYPE', message: `${fileName} contains a program or script, which can't be uploaded` };
+  }
+  if (!type) {
+    return { code: 'UNKNOWN_TYPE', message: `${fileName} is not a file type that can be uploaded` };
+  }
+
+  const { label, category, mimeType, extensions } = FILE_TYPES[type];
+  if (!ALLOWED_TYPES.has(type)) {
+    return { code: 'TYPE_NOT_ALLOWED', message: `${fileName} is ${label}, which isn't an allowed upload type` };
+  }
+  if (extension && !extensions.includes(extension)) {
+    return { code: 'TYPE_MISMATCH', message: `${fileName} is ${label}, not a ${extension} file` };
+  }
+  if (file.size > CATEGORY_LIMITS[category]) {
+    return { code: 'FILE_TOO_LARGE', message: `${fileName} is larger than the ${formatLimit(CATEGORY_LIMITS[category])} allowed for ${category}` };
+  }
+
+  const finalExtension = extension || extensions[0];
+  return {
+    fileName: extension ? fileName : `${fileName}${finalExtension}`,
+    mimeType: EXTENSION_MIME_TYPES[finalExtension] || mimeType,
+    type
+  };
+}
+
+/**
+ * Check every file of a request. Accepted files get the safe name as
+ * `originalname` (the browser's name moves to `clientName`) and the detected
+ * type as `mimetype`. Throws a 400 FILE_REJECTED listing each rejected file
+ * as { field, fileName, code, message }.
+ */
+async function assertUploadsAllowed(files) {
+  const rejected = [];
+
+  for (const file of files) {
+    const result = await inspectUpload(file);
+    if (result.code) {
+      rejected.push({ field: file.fieldname, fileName: file.originalname, code: result.code, message: result.message });
+      continue;
+    }
+
+    file.clientName = file.originalname;
+    file.originalname = result.fileName;
+    file.mimetype = result.mimeType;
+  }
+
+  if (rejected.length > 0) {
+    throw new BrightspaceValidationError(`Upload rejected: ${rejected.map(error => error.message).join('; ')}`, {
+      code: 'FILE_REJECTED',
+      details: rejected
+    });
+  }
+}
+
+module.exports = {
+  FILE_TYPES,
+  CATEGORY_LIMITS,
+  detectFileType,
+  identifyFile,
+  readZipEntries,
+  sanitizeFileName,
+  inspectUpload,
+  assertUploadsAllowed
+};
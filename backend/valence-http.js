@@ -0,0 +1,163 @@
+/**
+ * Valence HTTP Pipeline
+ *
+ * The single place Brightspace (Valence) HTTP calls go through:
+ * - Default timeout and consistent request/error logging
+ * - A request id on every call, attached to errors for correlation
+ * - Retries with exponential backoff and jitter, honoring Retry-After
+ * - A per-host concurrency limit so bulk operations don't trip throttling
+ *
+ * RETRY POLICY:
+ * - 429 and 503 are retried for every method (the request was not processed)
+ * - Other 5xx responses and network errors are retried for idempotent methods only,
+ *   so a POST that may have gone through is never sent twice
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = Number(process.env.VALENCE_MAX_RETRIES) || 3;
+const DEFAULT_MAX_CONCURRENCY = Number(process.env.VALENCE_MAX_CONCURRENCY) || 4;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const ALWAYS_RETRY_STATUSES = new Set([429, 503]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class HostLimiter {
+  constructor(maxConcurrency) {
+    this.maxConcurrency = maxConcurrency;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  async run(task) {
+    if (this.active >= this.maxConcurrency) {
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      const next = this.queue.shift();
+      if (next) next();
+    }
+  }
+}
+
+class ValenceHttp {
+  constructor({ maxRetries = DEFAULT_MAX_RETRIES, maxConcurrency = DEFAULT_MAX_CONCURRENCY } = {}) {
+    this.maxRetries = maxRetries;
+    this.maxConcurrency = maxConcurrency;
+    this.limiters = new Map();
+  }
+
+  getLimiter(url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      host = 'default';
+    }
+
+    if (!this.limiters.has(host)) {
+      this.limiters.set(host, new HostLimiter(this.maxConcurrency));
+    }
+    return this.limiters.get(host);
+  }
+
+  shouldRetry(error, method, attempt, maxRetries) {
+    if (attempt >= maxRetries) return false;
+
+    const status = error.response?.status;
+    if (status) {
+      if (ALWAYS_RETRY_STATUSES.has(status)) return true;
+      return status >= 500 && IDEMPOTENT_METHODS.has(method);
+    }
+
+    // No response at all: only retry when resending is safe
+    return RETRYABLE_NETWORK_CODES.has(error.code) && IDEMPOTENT_METHODS.has(method);
+  }
+
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, MAX_DELAY_MS);
+
+    // Exponential backoff with full jitter
+    const ceiling = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Send a request through the pipeline.
+   *
+   * Accepts any axios config plus:
+   * - requestId: reuse an id (e.g. across an auth retry); generated when omitted
+   * - maxRetries: override the retry budget for this call (0 disables retries)
+   *
+   * Resolves with the axios response; rejects with the axios error, tagged with requestId.
+   */
+  async request(config) {
+    const { requestId = crypto.randomUUID().slice(0, 8), maxRetries = this.maxRetries, ...axiosConfig } = config;
+    const method = (axiosConfig.method || 'GET').toUpperCase();
+    const limiter = this.getLimiter(axiosConfig.url);
+    const label = `[valence ${requestId}] ${method} ${axiosConfig.url}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const response = await limiter.run(() => axios({
+          timeout: DEFAULT_TIMEOUT_MS,
+          ...axiosConfig,
+          method
+        }));
+
+        console.log(`${label} -> ${response.status} (${Date.now() - startedAt}ms)`);
+        return response;
+      } catch (error) {
+        error.requestId = requestId;
+        const status = error.response?.status || error.code || 'ERR';
+
+        if (this.shouldRetry(error, method, attempt, maxRetries)) {
+          const delay = this.getRetryDelay(error, attempt);
+          console.warn(`${label} -> ${status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+          await sleep(delay);
+          continue;
+        }
+
+        console.error(`${label} -> ${status} (${Date.now() - startedAt}ms)`, error.response?.data || error.message);
+        throw error;
+      }
+    }
+  }
+}
+
+// One pipeline per process so concurrency limits apply across every session
+const valenceHttp = new ValenceHttp();
+
+module.exports = {
+  HostLimiter,
+  ValenceHttp,
+  valenceHttp,
+  parseRetryAfter
+};
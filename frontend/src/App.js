@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import FileUploadSection from './components/sections/FileUploadSection';
 import AuthSection from './components/sections/AuthSection';
@@ -8,6 +8,17 @@ import Notification from './components/ui/Notification';
 import FeaturesSection from './components/sections/FeaturesSection';
 import BrightspaceActionsSection from './components/sections/BrightspaceActionsSection';
 import ActivityLog from './components/sections/ActivityLog';
+import NewsManagerSection from './components/sections/NewsManagerSection';
+import QuizBuilderSection from './components/sections/QuizBuilderSection';
+import ContentTreeBuilderSection from './components/sections/ContentTreeBuilderSection';
+import CourseContentSection from './components/sections/CourseContentSection';
+import CourseTemplateSection from './components/sections/CourseTemplateSection';
+import DryRunPreviewSection from './components/sections/DryRunPreviewSection';
+import JobProgressSection from './components/sections/JobProgressSection';
+import { getErrorMessage } from './utils/errorMessages';
+
+// Background job statuses after which nothing changes
+const JOB_FINISHED = ['succeeded', 'failed', 'cancelled'];
 
 function App() {
   const [authStatus, setAuthStatus] = useState(false);
@@ -15,24 +26,91 @@ function App() {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState('');
+  const [selectedCourses, setSelectedCourses] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [results, setResults] = useState(null);
+  const [syllabus, setSyllabus] = useState(null);
+  const [syllabusFileName, setSyllabusFileName] = useState(null);
   const [notification, setNotification] = useState({ show: false, message: '', type: 'info' });
   const [activityLogs, setActivityLogs] = useState([]);
+  const [newsItems, setNewsItems] = useState(null);
+  const [forums, setForums] = useState(null);
+  const [selectedForum, setSelectedForum] = useState('');
+  const [topics, setTopics] = useState(null);
+  const [quizSeed, setQuizSeed] = useState(null);
+  const [tableOfContents, setTableOfContents] = useState(null);
+  const [contentParent, setContentParent] = useState(null);
+  const [dryRunPreview, setDryRunPreview] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [fileTransfer, setFileTransfer] = useState(null);
+  const jobStreams = useRef({});
+  // Read by the 401 interceptor, which is set up once
+  const courseNameRef = useRef(null);
 
   // Notification helper function
-  const showNotification = (message, type = 'info') => {
+  const showNotification = useCallback((message, type = 'info') => {
     setNotification({ show: true, message, type });
     setTimeout(() => {
       setNotification({ show: false, message: '', type: 'info' });
     }, 3000);
-  };
+  }, []);
 
   // Activity log helper function
-  const addLog = (message) => {
+  const addLog = useCallback((message) => {
     const timestamp = new Date().toLocaleTimeString();
     setActivityLogs(prev => [...prev, { timestamp, message }]);
-  };
+  }, []);
+
+  const handleAuthentication = useCallback(async () => {
+    try {
+      // Get the authorization URL from the backend
+      const response = await axios.get('/api/auth-url');
+      if (response.data.authUrl) {
+        // Redirect to Brightspace OAuth
+        window.location.href = response.data.authUrl;
+      } else {
+        showNotification('Failed to get authentication URL', 'error');
+      }
+    } catch (error) {
+      console.error('Auth URL fetch error:', error);
+      showNotification('Failed to connect to authentication service', 'error');
+    }
+  }, [showNotification]);
+
+  // The backend refreshes expired tokens itself, so a 401 means the refresh
+  // failed and the user has to go through OAuth again
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        const url = error.config?.url || '';
+        if (error.response?.status === 401 && !url.startsWith('/api/auth')) {
+          setAuthStatus(false);
+          setUser(null);
+
+          // A bulk route that lost the session mid-way still says what happened in each
+          // course; redirecting now would throw that away, so leave reconnecting to the user
+          const results = error.response.data?.results;
+          if (Array.isArray(results)) {
+            results.forEach((result) => {
+              const status = result.success ? '✅ done' : result.skipped ? '⏭️ not attempted' : `❌ ${result.error}`;
+              addLog(`${courseNameRef.current(result.courseId)}: ${status}`);
+            });
+            addLog('🔒 Brightspace session expired during a bulk action; the results per course are above');
+            showNotification('Session expired - check the activity log, then reconnect to Brightspace', 'error');
+            return Promise.reject(error);
+          }
+
+          addLog('🔒 Brightspace session expired, reconnecting...');
+          showNotification('Session expired - reconnecting to Brightspace...', 'error');
+          handleAuthentication();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [addLog, showNotification, handleAuthentication]);
 
   // Check authentication status on component mount and after OAuth redirect
   useEffect(() => {
@@ -54,7 +132,7 @@ function App() {
       // Clean up URL
       window.history.replaceState({}, document.title, window.location.pathname);
     }
-  }, []);
+  }, [showNotification]);
 
   // Load courses when authenticated
   useEffect(() => {
@@ -63,6 +141,11 @@ function App() {
     }
   }, [authStatus]);
 
+  // Close any open progress streams when the app unmounts
+  useEffect(() => () => {
+    Object.values(jobStreams.current).forEach((source) => source.close());
+  }, []);
+
   const checkAuthStatus = async () => {
     try {
       const response = await axios.get('/api/auth-status');
@@ -75,29 +158,30 @@ function App() {
     }
   };
 
-  const loadCourses = async () => {
+  const loadCourses = async (search = '') => {
     try {
-      const response = await axios.get('/api/courses');
+      const response = await axios.get('/api/courses', {
+        params: search ? { search } : {},
+      });
       setCourses(response.data);
     } catch (error) {
-      showNotification('Failed to load courses', 'error');
+      showNotification('Failed to load courses: ' + getErrorMessage(error), 'error');
       console.error('Course loading error:', error);
     }
   };
 
-  const handleAuthentication = async () => {
+  const handleLogout = async () => {
     try {
-      // Get the authorization URL from the backend
-      const response = await axios.get('/api/auth-url');
-      if (response.data.authUrl) {
-        // Redirect to Brightspace OAuth
-        window.location.href = response.data.authUrl;
-      } else {
-        showNotification('Failed to get authentication URL', 'error');
-      }
+      await axios.post('/api/logout');
+      setAuthStatus(false);
+      setUser(null);
+      setCourses([]);
+      setSelectedCourse('');
+      addLog('🚪 Logged out of Brightspace');
+      showNotification('Logged out of Brightspace', 'success');
     } catch (error) {
-      console.error('Auth URL fetch error:', error);
-      showNotification('Failed to connect to authentication service', 'error');
+      console.error('Logout error:', error);
+      showNotification('Failed to log out', 'error');
     }
   };
 
@@ -107,6 +191,141 @@ function App() {
 
   const handleCourseChange = (courseId) => {
     setSelectedCourse(courseId);
+    setSelectedCourses(courseId ? [courseId] : []);
+    setNewsItems(null);
+    setForums(null);
+    setSelectedForum('');
+    setTopics(null);
+    setTableOfContents(null);
+    setContentParent(null);
+  };
+
+  // Multi-select: the first course drives the single-course panels, while announcements,
+  // forums, surveys and file uploads go to every selected course through the bulk routes
+  const handleCoursesChange = (courseIds) => {
+    if ((courseIds[0] || '') !== selectedCourse) handleCourseChange(courseIds[0] || '');
+    setSelectedCourses(courseIds);
+  };
+
+  const courseName = (courseId) => (
+    courses.find((course) => String(course.OrgUnit.Id) === String(courseId))?.OrgUnit.Name || `Course ${courseId}`
+  );
+  courseNameRef.current = courseName;
+
+  // Bulk jobs have a task per course, keyed by course id
+  const getTaskLabel = (job, task) => (job.type.startsWith('bulk-') ? courseName(task.key) : task.title);
+
+  // ==========================================
+  // BACKGROUND JOBS
+  // ==========================================
+
+  const upsertJob = useCallback((job) => {
+    setJobs((current) => (current.some((item) => item.id === job.id)
+      ? current.map((item) => (item.id === job.id ? job : item))
+      : [job, ...current]));
+  }, []);
+
+  const logJobOutcome = (job) => {
+    job.tasks
+      .filter((task) => task.status === 'failed')
+      .forEach((task) => addLog(`❌ ${getTaskLabel(job, task)}: ${task.error}`));
+    job.tasks
+      .filter((task) => task.result?.partial)
+      .forEach((task) => addLog(`⚠️ ${getTaskLabel(job, task)}: created, but some steps failed`));
+
+    const { succeeded, total } = job.progress;
+    const message = `${job.title}: ${succeeded} of ${total} step(s) succeeded${job.status === 'cancelled' ? ' (cancelled)' : ''}`;
+    addLog(`${job.status === 'succeeded' ? '✅' : '⚠️'} ${message}`);
+    showNotification(message, job.status === 'succeeded' ? 'success' : 'error');
+  };
+
+  // A progress stream outlives the render that opened it, so it reports through the
+  // latest logJobOutcome (and the course names it knows by then)
+  const logJobOutcomeRef = useRef(logJobOutcome);
+  logJobOutcomeRef.current = logJobOutcome;
+
+  // Follows a job's progress over Server-Sent Events until it finishes
+  const watchJob = useCallback((job) => {
+    upsertJob(job);
+    if (JOB_FINISHED.includes(job.status) || jobStreams.current[job.id]) return;
+
+    const source = new EventSource(`/api/jobs/${job.id}/events`);
+    jobStreams.current[job.id] = source;
+
+    source.addEventListener('progress', (event) => {
+      const snapshot = JSON.parse(event.data);
+      upsertJob(snapshot);
+
+      if (JOB_FINISHED.includes(snapshot.status)) {
+        source.close();
+        delete jobStreams.current[job.id];
+        logJobOutcomeRef.current(snapshot);
+      }
+    });
+    // The browser reconnects by itself after a dropped connection; stop if the job is gone
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) delete jobStreams.current[job.id];
+    };
+  }, [upsertJob]);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/jobs');
+      response.data.jobs.forEach(watchJob);
+    } catch (error) {
+      console.error('Failed to load jobs:', error);
+    }
+  }, [watchJob]);
+
+  // Jobs keep running on the server across page reloads; pick their progress back up
+  useEffect(() => {
+    if (authStatus) {
+      loadJobs();
+    }
+  }, [authStatus, loadJobs]);
+
+  // Posts to a route with background set; the route answers 202 with the queued job.
+  // Files are sent to the server first, which has its own progress bar.
+  const startBackgroundJob = async (url, body) => {
+    const isUpload = body instanceof FormData;
+    const onUploadProgress = ({ loaded, total }) => setFileTransfer({ loaded, total });
+
+    try {
+      const response = await axios.post(url, body, {
+        params: { background: true },
+        onUploadProgress: isUpload ? onUploadProgress : undefined,
+      });
+      addLog(`⚙️ ${response.data.message}`);
+      watchJob(response.data.job);
+      document.getElementById('job-progress')?.scrollIntoView({ behavior: 'smooth' });
+      return response.data.job;
+    } finally {
+      if (isUpload) setFileTransfer(null);
+    }
+  };
+
+  const cancelJob = async (jobId) => {
+    try {
+      const response = await axios.post(`/api/jobs/${jobId}/cancel`);
+      upsertJob(response.data.job);
+      addLog(`🛑 ${response.data.job.title}: cancelling`);
+    } catch (error) {
+      showNotification(`Could not cancel job: ${getErrorMessage(error)}`, 'error');
+    }
+  };
+
+  const retryJob = async (jobId) => {
+    try {
+      const response = await axios.post(`/api/jobs/${jobId}/retry`);
+      addLog(`🔁 ${response.data.job.title}: retrying ${response.data.job.progress.pending} step(s)`);
+      watchJob(response.data.job);
+    } catch (error) {
+      showNotification(`Could not retry job: ${getErrorMessage(error)}`, 'error');
+    }
+  };
+
+  const dismissJob = (jobId) => {
+    setJobs((current) => current.filter((job) => job.id !== jobId));
   };
 
   const processFiles = async () => {
@@ -137,42 +356,191 @@ function App() {
       setResults(response.data);
       showNotification('Files processed successfully!', 'success');
     } catch (error) {
-      showNotification('Processing failed', 'error');
+      const errorMsg = getErrorMessage(error);
+      showNotification('Processing failed: ' + errorMsg, 'error');
       console.error('Processing error:', error);
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const publishToBrightspace = async () => {
+  const parseSyllabus = async (file) => {
+    setIsProcessing(true);
+    addLog(`📑 Parsing syllabus ${file.name}...`);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await axios.post('/api/parse-syllabus', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      setSyllabus(response.data.syllabus);
+      setSyllabusFileName(response.data.fileName);
+      addLog(`✅ Syllabus ${file.name} parsed`);
+      showNotification('Syllabus parsed - review the extracted fields below', 'success');
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Syllabus parsing failed: ${errorMsg}`);
+      showNotification('Syllabus parsing failed: ' + errorMsg, 'error');
+      console.error('Syllabus parsing error:', error);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Parse a GIFT, Aiken or QTI file and load its questions into the quiz builder
+  const importQuestions = async (file) => {
+    setIsProcessing(true);
+    addLog(`📥 Importing questions from ${file.name}...`);
+
+    try {
+      const formData = new FormData();
+      formData.append('files', file);
+
+      const response = await axios.post('/api/parse-questions', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      const { questions, warnings } = response.data;
+      warnings.forEach((warning) => addLog(`⚠️ ${warning.location}: ${warning.message}`));
+
+      if (questions.length === 0) {
+        showNotification(`No supported questions found in ${file.name}`, 'error');
+        return;
+      }
+
+      setQuizSeed({
+        title: file.name.replace(/\.[^.]+$/, '').slice(0, 128),
+        description: '',
+        questions,
+      });
+      addLog(`✅ Imported ${questions.length} question(s) from ${file.name}`);
+      document.getElementById('quiz-builder')?.scrollIntoView({ behavior: 'smooth' });
+      showNotification(
+        `Imported ${questions.length} question(s)${warnings.length ? `, ${warnings.length} skipped or ignored` : ''} - review them in the quiz builder`,
+        warnings.length ? 'info' : 'success'
+      );
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Question import failed: ${errorMsg}`);
+      showNotification('Question import failed: ' + errorMsg, 'error');
+      console.error('Question import error:', error);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const publishToBrightspace = async ({ dryRun = false } = {}) => {
     if (!selectedCourse) {
       showNotification('Please select a course first', 'error');
       return;
     }
 
+    if (!results) {
+      showNotification('Please process files first', 'error');
+      return;
+    }
+
+    if (dryRun) {
+      await requestPreview('Amplify results', '/api/publish-to-brightspace', { courseId: selectedCourse, amplifyResults: results });
+      return;
+    }
+
+    addLog('🚀 Publishing to Brightspace...');
     showNotification('Publishing to Brightspace...', 'info');
 
+    // Runs as a background job so each module, announcement and forum shows up as it is created
     try {
-      const response = await axios.post('/api/publish-to-brightspace', {
+      await startBackgroundJob('/api/publish-to-brightspace', {
         courseId: selectedCourse,
         amplifyResults: results,
       });
-
-      showNotification('Successfully published to Brightspace!', 'success');
     } catch (error) {
-      showNotification('Failed to publish to Brightspace', 'error');
+      const errorMsg = error.response?.data?.message || getErrorMessage(error);
+      addLog('❌ Publish error: ' + errorMsg);
+      showNotification('Failed to publish to Brightspace: ' + errorMsg, 'error');
       console.error('Publish error:', error);
     }
   };
 
+  // Start a quiz draft named after the processed material and open the builder
+  const generateQuiz = () => {
+    if (!results) return;
+
+    const topicNames = (results.topics || []).slice(0, 3).join(', ');
+    setQuizSeed({
+      title: topicNames ? `Quiz: ${topicNames}`.slice(0, 128) : 'Course Material Quiz',
+      description: results.summary || '',
+    });
+    document.getElementById('quiz-builder')?.scrollIntoView({ behavior: 'smooth' });
+    showNotification('Quiz draft started - add your questions in the builder', 'info');
+  };
+
+  const createQuiz = async (courseId, payload, { dryRun = false } = {}) => {
+    if (!courseId) {
+      showNotification('Please select a course first', 'error');
+      return { success: false };
+    }
+    if (dryRun) return requestPreview(`quiz "${payload.title}"`, '/api/create-quiz', { ...payload, courseId });
+
+    addLog(`❓ Creating quiz "${payload.title}" with ${payload.questions.length} question(s)...`);
+    showNotification('Creating quiz...', 'info');
+
+    try {
+      const response = await axios.post('/api/create-quiz', { ...payload, courseId });
+      response.data.steps.forEach((step) => {
+        addLog(step.success ? `✅ ${step.title} added` : `❌ ${step.title} failed: ${step.error}`);
+      });
+
+      addLog(`${response.data.success ? '✅' : '⚠️'} ${response.data.message}`);
+      showNotification(response.data.message, response.data.success ? 'success' : 'error');
+      return { success: true };
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Error creating quiz: ${errorMsg}`);
+      showNotification(`❌ Error creating quiz: ${errorMsg}`, 'error');
+      console.error('Quiz creation error:', error);
+
+      const details = error.response?.data?.details;
+      return { success: false, fieldErrors: Array.isArray(details) ? details : null };
+    }
+  };
+
   const createAssignment = () => {
     showNotification('Creating assignment...', 'info');
   };
 
-  const previewContent = () => {
-    showNotification('Opening content preview...', 'info');
+  // Runs a create request with dryRun set: Brightspace is not touched, and the Valence
+  // requests that would have been sent are shown in the preview panel. Resolves like the
+  // create handlers, with { preview: true } in place of success so drafts are kept.
+  const requestPreview = async (label, endpoint, body) => {
+    addLog(`👁️ Previewing ${label}...`);
+
+    try {
+      const response = await axios.post(endpoint, body, { params: { dryRun: true } });
+      setDryRunPreview({ label, ...response.data });
+      addLog(`👁️ ${response.data.message}`);
+      document.getElementById('dry-run-preview')?.scrollIntoView({ behavior: 'smooth' });
+      return { success: false, preview: true };
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Preview failed: ${errorMsg}`);
+      showNotification(`❌ Preview failed: ${errorMsg}`, 'error');
+      console.error('Preview error:', error);
+
+      const details = error.response?.data?.details;
+      return { success: false, fieldErrors: Array.isArray(details) ? details : null };
+    }
   };
 
+  const previewContent = () => publishToBrightspace({ dryRun: true });
+
   const exportResults = () => {
     if (!results) return;
     
@@ -186,128 +554,444 @@ function App() {
     showNotification('Results exported!', 'success');
   };
 
-  const createAnnouncement = async (courseId) => {
+  // Files can't travel in JSON; switch to multipart when a draft has attachments
+  const toRequestBody = ({ attachments, ...fields }) => {
+    if (!attachments || attachments.length === 0) return fields;
+
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) formData.append(key, value);
+    });
+    attachments.forEach((file) => formData.append('attachments', file));
+    return formData;
+  };
+
+  // Shared by the three composers. Resolves with { success } or { success: false, fieldErrors }
+  // so a composer can keep the draft and mark the invalid fields.
+  const submitContent = async ({ endpoint, bulkEndpoint, courseId, payload, label, icon, composerId, dryRun = false }) => {
     if (!courseId) {
       showNotification('Please select a course first', 'error');
-      return;
+      return { success: false };
+    }
+
+    // Quick-action buttons have no draft: send the user to the composer instead
+    if (!payload) {
+      document.getElementById(composerId)?.scrollIntoView({ behavior: 'smooth' });
+      showNotification(`Write your ${label} in the composer above`, 'info');
+      return { success: false };
     }
 
-    addLog('📰 Creating test announcement...');
-    showNotification('Creating announcement...', 'info');
+    const isBulk = Boolean(bulkEndpoint) && selectedCourses.length > 1;
+    const url = isBulk ? bulkEndpoint : endpoint;
+    const body = toRequestBody(isBulk ? { ...payload, courseIds: selectedCourses } : { ...payload, courseId });
+    if (dryRun) return requestPreview(`${label} "${payload.title}"`, url, body);
+
+    addLog(`${icon} Creating ${label} "${payload.title}"${isBulk ? ` in ${selectedCourses.length} courses` : ''}...`);
+    showNotification(`Creating ${label}...`, 'info');
 
     try {
-      const response = await axios.post('/api/create-announcement', {
-        courseId
-      });
+      // Several courses take a while; follow them as a background job
+      if (isBulk) {
+        await startBackgroundJob(url, body);
+        return { success: true };
+      }
 
-      if (response.data.success) {
-        addLog('✅ Test announcement created successfully!');
-        showNotification('✅ Announcement created successfully!', 'success');
-      } else {
-        addLog('❌ Announcement creation failed: ' + response.data.error);
-        showNotification('❌ Failed to create announcement: ' + response.data.error, 'error');
+      const response = await axios.post(url, body);
+
+      // Surveys are created with their questions as separate steps, some of which may fail
+      (response.data.steps || []).forEach((step) => {
+        if (!step.success) addLog(`❌ ${step.title} failed: ${step.error}`);
+      });
+      if (response.data.partial) {
+        addLog(`⚠️ ${response.data.message}`);
+        showNotification(`⚠️ ${response.data.message}`, 'error');
+        return { success: true };
       }
+
+      addLog(`✅ ${label} "${payload.title}" created successfully!`);
+      showNotification(`✅ ${label} created successfully!`, 'success');
+      return { success: true };
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Error creating ${label}: ${errorMsg}`);
+      showNotification(`❌ Error creating ${label}: ${errorMsg}`, 'error');
+      console.error(`${label} creation error:`, error);
+
+      const details = error.response?.data?.details;
+      return { success: false, fieldErrors: Array.isArray(details) ? details : null };
+    }
+  };
+
+  const createAnnouncement = (courseId, payload, options = {}) => submitContent({
+    ...options,
+    endpoint: '/api/create-announcement',
+    bulkEndpoint: '/api/bulk/create-announcement',
+    courseId,
+    payload,
+    label: 'announcement',
+    icon: '📰',
+    composerId: 'announcement-composer',
+  });
+
+  const createDiscussion = async (courseId, payload, options = {}) => {
+    const result = await submitContent({
+      ...options,
+      endpoint: '/api/create-discussion',
+      bulkEndpoint: '/api/bulk/create-discussion',
+      courseId,
+      payload,
+      label: 'discussion forum',
+      icon: '💬',
+      composerId: 'discussion-composer',
+    });
+
+    // Make the new forum available in the topic pickers
+    if (result.success) loadForums(courseId);
+    return result;
+  };
+
+  const loadForums = useCallback(async (courseId) => {
+    try {
+      const response = await axios.get(`/api/courses/${courseId}/forums`);
+      setForums(response.data.forums);
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to load discussion forums: ${errorMsg}`);
+      console.error('Forum loading error:', error);
+    }
+  }, [addLog]);
+
+  // Forum pickers need the selected course's forums
+  useEffect(() => {
+    if (authStatus && selectedCourse) {
+      loadForums(selectedCourse);
+    }
+  }, [authStatus, selectedCourse, loadForums]);
+
+  const selectForum = async (forumId) => {
+    setSelectedForum(forumId);
+    setTopics(null);
+    if (!forumId) return;
+
+    try {
+      const response = await axios.get(`/api/courses/${selectedCourse}/forums/${forumId}/topics`);
+      setTopics(response.data.topics);
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to load topics: ${errorMsg}`);
+      showNotification('Failed to load topics: ' + errorMsg, 'error');
+      console.error('Topic loading error:', error);
+    }
+  };
+
+  const createTopic = async (courseId, forumId, payload, { dryRun = false } = {}) => {
+    if (!courseId || !forumId) {
+      showNotification('Please select a course and forum first', 'error');
+      return { success: false };
+    }
+
+    // The quick action only picks the forum; the topic is written in the composer
+    if (!payload) {
+      if (String(forumId) !== String(selectedForum)) await selectForum(forumId);
+      document.getElementById('topic-composer')?.scrollIntoView({ behavior: 'smooth' });
+      showNotification('Write your topic in the composer above', 'info');
+      return { success: false };
+    }
+
+    if (dryRun) return requestPreview(`topic "${payload.title}"`, `/api/courses/${courseId}/forums/${forumId}/topics`, payload);
+
+    addLog(`🧵 Creating topic "${payload.title}"...`);
+
+    try {
+      const response = await axios.post(`/api/courses/${courseId}/forums/${forumId}/topics`, payload);
+      setTopics((current) => [...(current || []), response.data.topic]);
+      addLog(`✅ Topic "${payload.title}" created successfully!`);
+      showNotification('✅ Discussion topic created successfully!', 'success');
+      return { success: true };
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Error creating topic: ${errorMsg}`);
+      showNotification(`❌ Error creating topic: ${errorMsg}`, 'error');
+      console.error('Topic creation error:', error);
+
+      const details = error.response?.data?.details;
+      return { success: false, fieldErrors: Array.isArray(details) ? details : null };
+    }
+  };
+
+  const updateTopic = async (topicId, changes) => {
+    try {
+      const response = await axios.patch(`/api/courses/${selectedCourse}/forums/${selectedForum}/topics/${topicId}`, changes);
+      const updated = response.data.topic;
+      setTopics((current) => current.map((topic) => (topic.id === topicId ? updated : topic)));
+      addLog(`✅ Topic "${updated.name}" updated`);
     } catch (error) {
-      const errorMsg = error.response?.data?.error || error.message;
-      addLog('❌ Error: ' + errorMsg);
-      showNotification('❌ Error creating announcement: ' + errorMsg, 'error');
-      console.error('Announcement creation error:', error);
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to update topic: ${errorMsg}`);
+      showNotification('Failed to update topic: ' + errorMsg, 'error');
+      console.error('Topic update error:', error);
     }
   };
 
-  const createDiscussion = async (courseId) => {
+  const createSurvey = (courseId, payload, options = {}) => submitContent({
+    ...options,
+    endpoint: '/api/create-survey',
+    bulkEndpoint: '/api/bulk/create-survey',
+    courseId,
+    payload,
+    label: 'survey',
+    icon: '📋',
+    composerId: 'survey-composer',
+  });
+
+  const loadContent = async (courseId) => {
+    try {
+      const response = await axios.get(`/api/courses/${courseId}/content`);
+      setTableOfContents(response.data);
+      addLog(`🗂️ Loaded ${response.data.moduleCount} module(s) and ${response.data.topicCount} topic(s)`);
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to load course content: ${errorMsg}`);
+      showNotification('Failed to load course content: ' + errorMsg, 'error');
+      console.error('Table of contents error:', error);
+    }
+  };
+
+  // "Add content here" in the table of contents points the content builder at that module
+  const addToModule = (module) => {
+    setContentParent(module ? { id: module.id, title: module.title } : null);
+    if (module) {
+      document.getElementById('content-builder')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  };
+
+  // Modules and topics go in one request; files ride along as multipart parts
+  const createContent = async (courseId, items, files = [], parentModuleId, { dryRun = false } = {}) => {
     if (!courseId) {
       showNotification('Please select a course first', 'error');
-      return;
+      return { success: false };
     }
 
-    addLog('💬 Creating test discussion forum...');
-    showNotification('Creating discussion forum...', 'info');
+    let body = { courseId, parentModuleId, items };
+    if (files.length > 0) {
+      body = new FormData();
+      body.append('courseId', courseId);
+      if (parentModuleId) body.append('parentModuleId', parentModuleId);
+      body.append('items', JSON.stringify(items));
+      files.forEach((file) => body.append('files', file));
+    }
+    if (dryRun) return requestPreview('course content', '/api/create-content', body);
+
+    addLog(`📚 Creating ${items.length} module(s) with their topics...`);
+    showNotification('Creating course content...', 'info');
 
     try {
-      const response = await axios.post('/api/create-discussion', {
-        courseId
+      const response = await axios.post('/api/create-content', body);
+      response.data.steps.forEach((step) => {
+        addLog(step.success ? `✅ ${step.step} ${step.title} created` : `❌ ${step.step} ${step.title} failed: ${step.error}`);
       });
 
-      if (response.data.success) {
-        addLog('✅ Test discussion forum created successfully!');
-        showNotification('✅ Discussion forum created successfully!', 'success');
-      } else {
-        addLog('❌ Discussion creation failed: ' + response.data.error);
-        showNotification('❌ Failed to create discussion: ' + response.data.error, 'error');
-      }
+      addLog(`${response.data.success ? '✅' : '⚠️'} ${response.data.message}`);
+      showNotification(response.data.message, response.data.success ? 'success' : 'error');
+      if (tableOfContents) loadContent(courseId);
+      // Keep the draft when nothing was created so it can be fixed and resent
+      return { success: response.data.steps.some((step) => step.success) };
     } catch (error) {
-      const errorMsg = error.response?.data?.error || error.message;
-      addLog('❌ Error: ' + errorMsg);
-      showNotification('❌ Error creating discussion: ' + errorMsg, 'error');
-      console.error('Discussion creation error:', error);
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Error creating content: ${errorMsg}`);
+      showNotification(`❌ Error creating content: ${errorMsg}`, 'error');
+      console.error('Content creation error:', error);
+
+      const details = error.response?.data?.details;
+      return { success: false, fieldErrors: Array.isArray(details) ? details : null };
     }
   };
 
-  const createSurvey = async (courseId) => {
+  const logSkipped = (item) => addLog(`⏭️ Skipped ${item.section}${item.title ? ` "${item.title}"` : ''}: ${item.reason}`);
+
+  // Saves the template as a JSON file that can be applied to another course later
+  const exportTemplate = async (courseId) => {
     if (!courseId) {
       showNotification('Please select a course first', 'error');
       return;
     }
 
-    addLog('📋 Creating test survey...');
-    showNotification('Creating survey...', 'info');
+    addLog(`📦 Exporting course ${courseId} as a template...`);
+
+    try {
+      const { template, skipped } = (await axios.get(`/api/courses/${courseId}/template`)).data;
+      skipped.forEach(logSkipped);
+
+      const dataBlob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(dataBlob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `course-${courseId}-template.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      addLog(`✅ Exported ${template.content.length} module(s), ${template.forums.length} forum(s), ${template.news.length} announcement(s) and ${template.surveys.length} survey(s)`);
+      showNotification('Course template exported!', 'success');
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Template export failed: ${errorMsg}`);
+      showNotification('Template export failed: ' + errorMsg, 'error');
+      console.error('Template export error:', error);
+    }
+  };
+
+  const applyTemplate = async (courseId, file, dateOffsetDays, include, { dryRun = false } = {}) => {
+    if (!courseId) {
+      showNotification('Please select a course first', 'error');
+      return { success: false };
+    }
+
+    const formData = new FormData();
+    formData.append('courseId', courseId);
+    formData.append('template', file);
+    formData.append('dateOffsetDays', dateOffsetDays);
+    formData.append('include', include.join(','));
+    if (dryRun) return requestPreview(`template ${file.name}`, '/api/apply-template', formData);
+
+    addLog(`📦 Applying template ${file.name} to course ${courseId}...`);
+    showNotification('Applying course template...', 'info');
 
     try {
-      const response = await axios.post('/api/create-survey', {
-        courseId
+      const response = await axios.post('/api/apply-template', formData);
+      response.data.steps.forEach((step) => {
+        addLog(step.success ? `✅ ${step.step} ${step.title} created` : `❌ ${step.step} ${step.title} failed: ${step.error}`);
       });
+      response.data.skipped.forEach(logSkipped);
 
-      if (response.data.success) {
-        addLog('✅ Test survey created successfully!');
-        showNotification('✅ Survey created successfully!', 'success');
-      } else {
-        addLog('❌ Survey creation failed: ' + response.data.error);
-        showNotification('❌ Failed to create survey: ' + response.data.error, 'error');
-      }
+      addLog(`${response.data.success ? '✅' : '⚠️'} ${response.data.message}`);
+      showNotification(response.data.message, response.data.success ? 'success' : 'error');
+      if (tableOfContents) loadContent(courseId);
+      return { success: response.data.success };
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Template apply failed: ${errorMsg}`);
+      showNotification('Template apply failed: ' + errorMsg, 'error');
+      console.error('Template apply error:', error);
+
+      const details = error.response?.data?.details;
+      return { success: false, fieldErrors: Array.isArray(details) ? details : null };
+    }
+  };
+
+  const loadNews = async (courseId) => {
+    if (!courseId) {
+      showNotification('Please select a course first', 'error');
+      return;
+    }
+
+    try {
+      const response = await axios.get(`/api/courses/${courseId}/news`);
+      setNewsItems(response.data.items);
+      addLog(`🗂️ Loaded ${response.data.items.length} announcement(s) for course ${courseId}`);
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to load announcements: ${errorMsg}`);
+      showNotification('Failed to load announcements: ' + errorMsg, 'error');
+      console.error('News loading error:', error);
+    }
+  };
+
+  // Resolves true when saved so the panel can close its editor
+  const updateNews = async (newsItemId, changes) => {
+    try {
+      const response = await axios.patch(`/api/courses/${selectedCourse}/news/${newsItemId}`, changes);
+      const updated = response.data.item;
+      setNewsItems((items) => items.map((item) => (item.id === newsItemId ? updated : item)));
+      addLog(`✅ Announcement "${updated.title}" updated`);
+      showNotification('Announcement updated', 'success');
+      return true;
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to update announcement: ${errorMsg}`);
+      showNotification('Failed to update announcement: ' + errorMsg, 'error');
+      console.error('News update error:', error);
+      return false;
+    }
+  };
+
+  const deleteNews = async (newsItemId) => {
+    try {
+      await axios.delete(`/api/courses/${selectedCourse}/news/${newsItemId}`);
+      setNewsItems((items) => items.filter((item) => item.id !== newsItemId));
+      addLog(`🗑️ Announcement ${newsItemId} deleted`);
+      showNotification('Announcement deleted', 'success');
     } catch (error) {
-      const errorMsg = error.response?.data?.error || error.message;
-      addLog('❌ Error: ' + errorMsg);
-      showNotification('❌ Error creating survey: ' + errorMsg, 'error');
-      console.error('Survey creation error:', error);
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Failed to delete announcement: ${errorMsg}`);
+      showNotification('Failed to delete announcement: ' + errorMsg, 'error');
+      console.error('News deletion error:', error);
     }
   };
 
   const uploadFileToBrightspace = async (file, courseId) => {
     if (!courseId) {
-      const defaultCourseId = '540221';
-      courseId = defaultCourseId;
+      showNotification('Please select a course first', 'error');
+      return;
+    }
+
+    // Several selected courses go through the bulk route, one job task per course
+    if (selectedCourses.length > 1) {
+      addLog(`📤 Uploading ${file.name} to ${selectedCourses.length} courses...`);
+      showNotification(`Uploading ${file.name} to Brightspace...`, 'info');
+
+      try {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('courseIds', selectedCourses.join(','));
+        await startBackgroundJob('/api/bulk/upload-file', formData);
+      } catch (error) {
+        const errorMsg = getErrorMessage(error);
+        addLog(`❌ Upload error: ${errorMsg}`);
+        showNotification(`❌ Error uploading file: ${errorMsg}`, 'error');
+        console.error('Bulk upload error:', error);
+      }
+      return;
     }
 
     addLog(`📤 Uploading ${file.name} to Brightspace...`);
     showNotification(`Uploading ${file.name} to Brightspace...`, 'info');
 
+    // A background job, so large files show how much has reached Brightspace
     try {
       const formData = new FormData();
       formData.append('file', file);
       formData.append('courseId', courseId);
-
-      const response = await axios.post('/api/upload-file-to-brightspace', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
-
-      if (response.data.success) {
-        addLog(`✅ File ${file.name} uploaded successfully!`);
-        showNotification(`✅ ${file.name} uploaded to Brightspace successfully!`, 'success');
-      } else {
-        addLog(`❌ File upload failed: ${response.data.error}`);
-        showNotification(`❌ Failed to upload file: ${response.data.error}`, 'error');
-      }
+      await startBackgroundJob('/api/upload-file-to-brightspace', formData);
     } catch (error) {
-      const errorMsg = error.response?.data?.error || error.message;
+      const errorMsg = getErrorMessage(error);
       addLog(`❌ Upload error: ${errorMsg}`);
       showNotification(`❌ Error uploading file: ${errorMsg}`, 'error');
       console.error('File upload error:', error);
     }
   };
 
+  // Every selected file into one course, as a background job with a step per file
+  const uploadFilesToBrightspace = async (files, courseId) => {
+    if (!courseId) {
+      showNotification('Please select a course first', 'error');
+      return;
+    }
+
+    addLog(`📤 Uploading ${files.length} files to Brightspace...`);
+
+    try {
+      const formData = new FormData();
+      files.forEach((file) => formData.append('files', file));
+      formData.append('courseId', courseId);
+      await startBackgroundJob('/api/upload-files-to-brightspace', formData);
+    } catch (error) {
+      const errorMsg = getErrorMessage(error);
+      addLog(`❌ Upload error: ${errorMsg}`);
+      showNotification(`❌ Error uploading files: ${errorMsg}`, 'error');
+      console.error('Multi-file upload error:', error);
+    }
+  };
+
   return (
     <div className="container">
       <div className="header">
@@ -320,16 +1004,64 @@ function App() {
           authStatus={authStatus}
           user={user}
           onAuthenticate={handleAuthentication}
+          onLogout={handleLogout}
         />
 
         <FeaturesSection />
 
         <BrightspaceActionsSection
           selectedCourse={selectedCourse}
+          selectedCourses={selectedCourses}
           onCreateAnnouncement={createAnnouncement}
           onCreateDiscussion={createDiscussion}
           onCreateSurvey={createSurvey}
+          forums={forums}
+          selectedForum={selectedForum}
+          topics={topics}
+          onLoadForums={loadForums}
+          onSelectForum={selectForum}
+          onCreateTopic={createTopic}
+          onUpdateTopic={updateTopic}
+          authStatus={authStatus}
+        />
+
+        <QuizBuilderSection
+          authStatus={authStatus}
+          selectedCourse={selectedCourse}
+          seed={quizSeed}
+          onCreateQuiz={createQuiz}
+        />
+
+        <CourseContentSection
+          authStatus={authStatus}
+          selectedCourse={selectedCourse}
+          tableOfContents={tableOfContents}
+          onLoadContent={loadContent}
+          onAddToModule={addToModule}
+        />
+
+        <ContentTreeBuilderSection
           authStatus={authStatus}
+          selectedCourse={selectedCourse}
+          parentModule={contentParent}
+          onClearParent={() => addToModule(null)}
+          onCreateContent={createContent}
+        />
+
+        <CourseTemplateSection
+          authStatus={authStatus}
+          selectedCourse={selectedCourse}
+          onExportTemplate={exportTemplate}
+          onApplyTemplate={applyTemplate}
+        />
+
+        <NewsManagerSection
+          authStatus={authStatus}
+          selectedCourse={selectedCourse}
+          newsItems={newsItems}
+          onLoadNews={loadNews}
+          onUpdateNews={updateNews}
+          onDeleteNews={deleteNews}
         />
 
         <FileUploadSection
@@ -338,18 +1070,41 @@ function App() {
           courses={courses}
           selectedCourse={selectedCourse}
           onCourseChange={handleCourseChange}
+          selectedCourses={selectedCourses}
+          onCoursesChange={handleCoursesChange}
+          onSearchCourses={loadCourses}
           authStatus={authStatus}
           onProcess={processFiles}
+          onParseSyllabus={parseSyllabus}
+          onImportQuestions={importQuestions}
           onCreateAnnouncement={createAnnouncement}
           onCreateDiscussion={createDiscussion}
+          forums={forums}
+          selectedForum={selectedForum}
+          onSelectForum={selectForum}
+          onCreateTopic={createTopic}
           onUploadToBrightspace={uploadFileToBrightspace}
+          onUploadAllToBrightspace={uploadFilesToBrightspace}
         />
 
         <ProcessingIndicator isProcessing={isProcessing} />
 
+        <JobProgressSection
+          jobs={jobs}
+          fileTransfer={fileTransfer}
+          onCancelJob={cancelJob}
+          onRetryJob={retryJob}
+          onDismissJob={dismissJob}
+          getTaskLabel={getTaskLabel}
+        />
+
         <ResultsSection
           results={results}
-          onPublishToBrightspace={publishToBrightspace}
+          syllabus={syllabus}
+          syllabusFileName={syllabusFileName}
+          onSyllabusChange={setSyllabus}
+          onPublishToBrightspace={() => publishToBrightspace()}
+          onGenerateQuiz={generateQuiz}
           onCreateAssignment={createAssignment}
           onPreviewContent={previewContent}
           onExportResults={exportResults}
@@ -358,6 +1113,11 @@ function App() {
           selectedCourse={selectedCourse}
         />
 
+        <DryRunPreviewSection
+          preview={dryRunPreview}
+          onClose={() => setDryRunPreview(null)}
+        />
+
         <ActivityLog 
           logs={activityLogs} 
           onClear={() => setActivityLogs([])} 
@@ -1,6 +1,6 @@
 import React from 'react';
 
-const AuthSection = ({ authStatus, user, onAuthenticate }) => {
+const AuthSection = ({ authStatus, user, onAuthenticate, onLogout }) => {
   return (
     <div className={`status-section ${authStatus ? 'connected' : 'disconnected'}`}>
       <h3>🔐 Brightspace Connection</h3>
@@ -16,6 +16,11 @@ const AuthSection = ({ authStatus, user, onAuthenticate }) => {
       >
         {authStatus ? '✅ Connected' : 'Connect to Brightspace'}
       </button>
+      {authStatus && onLogout && (
+        <button className="btn btn-secondary" onClick={onLogout}>
+          🚪 Log Out
+        </button>
+      )}
     </div>
   );
 };
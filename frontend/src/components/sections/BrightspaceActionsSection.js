@@ -1,62 +1,113 @@
 import React from 'react';
+import ContentComposer from './ContentComposer';
+import DiscussionTopicsPanel from './DiscussionTopicsPanel';
+import SurveyQuestionsEditor, { newSection, toSurveySections } from './SurveyQuestionsEditor';
 
-const BrightspaceActionsSection = ({ 
-  selectedCourse, 
-  onCreateAnnouncement, 
+const ANNOUNCEMENT_FLAGS = [
+  { name: 'isPublished', label: 'Published', default: true },
+  { name: 'showAuthorInfo', label: 'Show author', default: true },
+  { name: 'showStartDate', label: 'Show start date', default: true },
+  { name: 'isPinned', label: 'Pin to top' },
+];
+
+const DISCUSSION_FLAGS = [
+  { name: 'isHidden', label: 'Hidden from students' },
+  { name: 'isLocked', label: 'Locked' },
+  { name: 'allowAnonymous', label: 'Allow anonymous posts' },
+  { name: 'requiresApproval', label: 'Posts require approval' },
+];
+
+const SURVEY_FLAGS = [
+  { name: 'isActive', label: 'Active', default: true },
+  { name: 'isHidden', label: 'Hidden from students' },
+  { name: 'isAnonymous', label: 'Anonymous responses' },
+  { name: 'showResults', label: 'Show results to students' },
+];
+
+const BrightspaceActionsSection = ({
+  selectedCourse,
+  selectedCourses = [],
+  onCreateAnnouncement,
   onCreateDiscussion,
   onCreateSurvey,
-  authStatus 
+  forums,
+  selectedForum,
+  topics,
+  onLoadForums,
+  onSelectForum,
+  onCreateTopic,
+  onUpdateTopic,
+  authStatus
 }) => {
-  // Fixed course ID from original interface
-  const DEFAULT_COURSE_ID = '540221';
-  
-  // Use selected course if available, otherwise use default
-  const courseId = selectedCourse || DEFAULT_COURSE_ID;
-  
   if (!authStatus) {
     return null;
   }
 
+  let description = 'Select a course below before posting.';
+  if (selectedCourses.length > 1) {
+    description = `Posts to each of the ${selectedCourses.length} selected courses.`;
+  } else if (selectedCourse) {
+    description = `Posts to course ${selectedCourse}.`;
+  }
+
   return (
     <>
-      <div className="card">
-        <h3>📰 Create Test Announcement</h3>
-        <p>Click the button below to create a test announcement with auto-generated content.</p>
-        <button 
-          type="button" 
-          className="btn btn-success" 
-          onClick={() => onCreateAnnouncement(courseId)}
-        >
-          📰 Create Test Announcement
-        </button>
+      <div id="announcement-composer">
+        <ContentComposer
+          heading="📰 Compose Announcement"
+          description={description}
+          submitLabel="📰 Post Announcement"
+          flags={ANNOUNCEMENT_FLAGS}
+          allowAttachments
+          dateHint="A future start date schedules the announcement; it disappears after the end date."
+          disabled={!selectedCourse}
+          onSubmit={(payload, options) => onCreateAnnouncement(selectedCourse, payload, options)}
+        />
       </div>
 
-      <div className="card">
-        <h3>💬 Create Test Discussion Forum</h3>
-        <p>Click the button below to create a test discussion forum with auto-generated content.</p>
-        <button 
-          type="button" 
-          className="btn btn-success" 
-          onClick={() => onCreateDiscussion(courseId)}
-        >
-          💬 Create Test Discussion Forum
-        </button>
+      <div id="discussion-composer">
+        <ContentComposer
+          heading="💬 Compose Discussion Forum"
+          description={description}
+          submitLabel="💬 Create Discussion Forum"
+          flags={DISCUSSION_FLAGS}
+          disabled={!selectedCourse}
+          onSubmit={(payload, options) => onCreateDiscussion(selectedCourse, payload, options)}
+        />
       </div>
 
-      <div className="card">
-        <h3>📋 Create Test Survey</h3>
-        <p>Click the button below to create a test survey with auto-generated content.</p>
-        <button 
-          type="button" 
-          className="btn btn-success" 
-          onClick={() => onCreateSurvey(courseId)}
-        >
-          📋 Create Test Survey
-        </button>
+      <DiscussionTopicsPanel
+        selectedCourse={selectedCourse}
+        forums={forums}
+        selectedForum={selectedForum}
+        topics={topics}
+        onLoadForums={onLoadForums}
+        onSelectForum={onSelectForum}
+        onCreateTopic={onCreateTopic}
+        onUpdateTopic={onUpdateTopic}
+      />
+
+      <div id="survey-composer">
+        <ContentComposer
+          heading="📋 Compose Survey"
+          description={description}
+          submitLabel="📋 Create Survey"
+          flags={SURVEY_FLAGS}
+          showInstructions
+          extraDraft={{ sections: [newSection()] }}
+          renderExtra={({ draft, updateDraft, fieldErrors }) => (
+            <SurveyQuestionsEditor
+              sections={draft.sections}
+              fieldErrors={fieldErrors}
+              onChange={(sections) => updateDraft('sections', sections)}
+            />
+          )}
+          disabled={!selectedCourse}
+          onSubmit={(payload, options) => onCreateSurvey(selectedCourse, { ...payload, sections: toSurveySections(payload.sections) }, options)}
+        />
       </div>
     </>
   );
 };
 
 export default BrightspaceActionsSection;
-
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+
+// Date inputs give local "YYYY-MM-DDTHH:mm"; the API expects ISO timestamps
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : undefined);
+
+const ContentComposer = ({
+  heading,
+  description,
+  submitLabel,
+  flags = [],
+  fields = [],
+  showInstructions = false,
+  allowAttachments = false,
+  dateHint,
+  extraDraft = {},
+  renderExtra,
+  disabled = false,
+  onSubmit
+}) => {
+  const initialFlags = Object.fromEntries(flags.map((flag) => [flag.name, flag.default ?? false]));
+  const initialFields = Object.fromEntries(fields.map((field) => [field.name, field.default ?? '']));
+  const emptyDraft = {
+    title: '',
+    body: '',
+    bodyFormat: 'text',
+    instructions: '',
+    startDate: '',
+    endDate: '',
+    attachments: [],
+    ...initialFields,
+    ...initialFlags,
+    ...extraDraft
+  };
+
+  const [draft, setDraft] = useState(emptyDraft);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const updateDraft = (field, value) => {
+    setDraft({ ...draft, [field]: value });
+    setFieldErrors({ ...fieldErrors, [field]: undefined });
+  };
+
+  // options.dryRun previews the request without creating anything
+  const handleSubmit = async (e, options = {}) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    const payload = {
+      ...draft,
+      startDate: toIsoDate(draft.startDate),
+      endDate: toIsoDate(draft.endDate),
+      instructions: showInstructions ? draft.instructions : undefined,
+      attachments: allowAttachments ? draft.attachments : undefined
+    };
+    // Blank optional inputs are left out rather than sent as empty strings
+    fields.forEach((field) => {
+      if (payload[field.name] === '') payload[field.name] = undefined;
+    });
+
+    const result = await onSubmit(payload, options);
+    setIsSubmitting(false);
+
+    if (result?.preview) {
+      setFieldErrors({});
+    } else if (result?.success) {
+      setDraft(emptyDraft);
+      setFieldErrors({});
+    } else if (result?.fieldErrors) {
+      setFieldErrors(Object.fromEntries(result.fieldErrors.map((error) => [error.field, error.message])));
+    }
+  };
+
+  const addAttachments = (files) => {
+    updateDraft('attachments', [...draft.attachments, ...Array.from(files)]);
+  };
+
+  const removeAttachment = (index) => {
+    updateDraft('attachments', draft.attachments.filter((_, i) => i !== index));
+  };
+
+  const renderError = (field) => fieldErrors[field] && (
+    <span className="field-error">{fieldErrors[field]}</span>
+  );
+
+  return (
+    <div className="card">
+      <h3>{heading}</h3>
+      {description && <p>{description}</p>}
+
+      <form className="composer-form" onSubmit={handleSubmit}>
+        <label className="form-field">
+          Title
+          <input
+            className="form-input"
+            value={draft.title}
+            maxLength={128}
+            onChange={(e) => updateDraft('title', e.target.value)}
+          />
+          {renderError('title')}
+        </label>
+
+        <label className="form-field">
+          Body
+          <textarea
+            className="form-input"
+            rows={5}
+            value={draft.body}
+            onChange={(e) => updateDraft('body', e.target.value)}
+          />
+          {renderError('body')}
+        </label>
+
+        {showInstructions && (
+          <label className="form-field">
+            Instructions
+            <textarea
+              className="form-input"
+              rows={3}
+              value={draft.instructions}
+              onChange={(e) => updateDraft('instructions', e.target.value)}
+            />
+            {renderError('instructions')}
+          </label>
+        )}
+
+        <div className="form-grid">
+          <label className="form-field">
+            Format
+            <select
+              className="form-input"
+              value={draft.bodyFormat}
+              onChange={(e) => updateDraft('bodyFormat', e.target.value)}
+            >
+              <option value="text">Plain text</option>
+              <option value="html">HTML</option>
+            </select>
+          </label>
+          <label className="form-field">
+            Start date
+            <input
+              className="form-input"
+              type="datetime-local"
+              value={draft.startDate}
+              onChange={(e) => updateDraft('startDate', e.target.value)}
+            />
+            {renderError('startDate')}
+          </label>
+          <label className="form-field">
+            End date
+            <input
+              className="form-input"
+              type="datetime-local"
+              value={draft.endDate}
+              onChange={(e) => updateDraft('endDate', e.target.value)}
+            />
+            {renderError('endDate')}
+          </label>
+        </div>
+        {dateHint && <p className="form-hint">{dateHint}</p>}
+
+        {fields.length > 0 && (
+          <div className="form-grid">
+            {fields.map((field) => (
+              <label key={field.name} className="form-field">
+                {field.label}
+                {field.type === 'select' ? (
+                  <select
+                    className="form-input"
+                    value={draft[field.name]}
+                    onChange={(e) => updateDraft(field.name, e.target.value)}
+                  >
+                    {field.options.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    className="form-input"
+                    type={field.type || 'text'}
+                    placeholder={field.placeholder}
+                    value={draft[field.name]}
+                    onChange={(e) => updateDraft(field.name, e.target.value)}
+                  />
+                )}
+                {renderError(field.name)}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {allowAttachments && (
+          <div className="form-field">
+            Attachments
+            <input
+              type="file"
+              multiple
+              onChange={(e) => {
+                addAttachments(e.target.files);
+                e.target.value = '';
+              }}
+            />
+            {draft.attachments.map((file, index) => (
+              <div key={`${file.name}-${index}`} className="editable-row">
+                <span>📎 {file.name} ({Math.ceil(file.size / 1024)} KB)</span>
+                <button type="button" className="btn btn-danger btn-sm" onClick={() => removeAttachment(index)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+            {renderError('attachments')}
+          </div>
+        )}
+
+        {flags.length > 0 && (
+          <div className="composer-flags">
+            {flags.map((flag) => (
+              <label key={flag.name} className="checkbox-field">
+                <input
+                  type="checkbox"
+                  checked={Boolean(draft[flag.name])}
+                  onChange={(e) => updateDraft(flag.name, e.target.checked)}
+                />
+                {flag.label}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {renderExtra && renderExtra({ draft, updateDraft, fieldErrors })}
+
+        {renderError('courseId')}
+
+        <div className="action-buttons">
+          <button type="button" className="btn btn-secondary" disabled={disabled || isSubmitting} onClick={(e) => handleSubmit(e, { dryRun: true })}>
+            👁️ Preview
+          </button>
+          <button type="submit" className="btn btn-success" disabled={disabled || isSubmitting}>
+            {isSubmitting ? 'Creating...' : submitLabel}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ContentComposer;
@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+
+const ITEM_TYPES = [
+  { value: 'module', label: '📁 Sub-module' },
+  { value: 'html', label: '📄 HTML page' },
+  { value: 'link', label: '🔗 Link' },
+  { value: 'file', label: '📎 File' },
+];
+
+const newItem = (type = 'module') => ({
+  type,
+  title: '',
+  description: '',
+  body: '',
+  url: '',
+  file: null,
+  isHidden: false,
+  isLocked: false,
+  startDate: '',
+  endDate: '',
+  dueDate: '',
+  children: [],
+});
+
+// Date inputs give local "YYYY-MM-DDTHH:mm"; the API expects ISO timestamps
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// Tree items for the API; file topics refer to their upload by name
+const toItemPayload = (item) => {
+  const base = {
+    type: item.type,
+    title: item.title,
+    isHidden: item.isHidden,
+    isLocked: item.isLocked,
+    startDate: toIsoDate(item.startDate),
+    endDate: toIsoDate(item.endDate),
+    dueDate: toIsoDate(item.dueDate),
+  };
+
+  switch (item.type) {
+    case 'module':
+      return { ...base, description: item.description, bodyFormat: 'text', children: item.children.map(toItemPayload) };
+    case 'html':
+      return { ...base, body: item.body, bodyFormat: 'html' };
+    case 'link':
+      return { ...base, url: item.url };
+    default:
+      return { ...base, fileName: item.file?.name };
+  }
+};
+
+const collectFiles = (items) => items.flatMap((item) => (
+  item.type === 'module' ? collectFiles(item.children) : (item.type === 'file' && item.file ? [item.file] : [])
+));
+
+// Replace the item at path (a list of child indexes) using update(item)
+const updateAt = (items, path, update) => items.map((item, index) => {
+  if (index !== path[0]) return item;
+  if (path.length === 1) return update(item);
+  return { ...item, children: updateAt(item.children, path.slice(1), update) };
+});
+
+const removeAt = (items, path) => (path.length === 1
+  ? items.filter((_, index) => index !== path[0])
+  : updateAt(items, path.slice(0, -1), (item) => ({ ...item, children: removeAt(item.children, path.slice(-1)) })));
+
+const moveAt = (items, path, offset) => {
+  const move = (list) => {
+    const index = path[path.length - 1];
+    const reordered = [...list];
+    const [item] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, item);
+    return reordered;
+  };
+  return path.length === 1 ? move(items) : updateAt(items, path.slice(0, -1), (item) => ({ ...item, children: move(item.children) }));
+};
+
+const ContentTreeBuilderSection = ({ authStatus, selectedCourse, parentModule, onClearParent, onCreateContent }) => {
+  const [items, setItems] = useState([newItem()]);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (!authStatus) {
+    return null;
+  }
+
+  const update = (path, changes) => setItems(updateAt(items, path, (item) => ({ ...item, ...changes })));
+
+  const fieldFor = (path) => `items${path.map((index, depth) => (depth === 0 ? `[${index}]` : `.children[${index}]`)).join('')}`;
+
+  const renderErrors = (path) => {
+    const prefix = fieldFor(path);
+    return Object.entries(fieldErrors)
+      .filter(([field]) => field === prefix || (field.startsWith(`${prefix}.`) && !field.startsWith(`${prefix}.children[`)))
+      .map(([field, message]) => <span key={field} className="field-error">{message}</span>);
+  };
+
+  // options.dryRun previews the requests without creating anything
+  const handleSubmit = async (e, options = {}) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    const result = await onCreateContent(selectedCourse, items.map(toItemPayload), collectFiles(items), parentModule?.id, options);
+    setIsSubmitting(false);
+
+    if (result?.preview) {
+      setFieldErrors({});
+    } else if (result?.success) {
+      setItems([newItem()]);
+      setFieldErrors({});
+    } else if (result?.fieldErrors) {
+      setFieldErrors(Object.fromEntries(result.fieldErrors.map((error) => [error.field, error.message])));
+    }
+  };
+
+  // siblingCount: number of items at this level, for the move buttons
+  const renderItem = (item, path, siblingCount) => {
+    const index = path[path.length - 1];
+
+    return (
+      <div key={path.join('.')} className={item.type === 'module' ? 'result-item' : 'quiz-question'}>
+        <div className="editable-row">
+          {path.length === 1 && !parentModule ? (
+            <strong>📁 Module</strong>
+          ) : (
+            <select className="form-input" value={item.type} onChange={(e) => update(path, { type: e.target.value })}>
+              {ITEM_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          )}
+          <input
+            className="form-input"
+            placeholder="Title"
+            maxLength={128}
+            value={item.title}
+            onChange={(e) => update(path, { title: e.target.value })}
+          />
+          <button type="button" className="btn btn-secondary btn-sm" disabled={index === 0} onClick={() => setItems(moveAt(items, path, -1))}>
+            ↑
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            disabled={index === siblingCount - 1}
+            onClick={() => setItems(moveAt(items, path, 1))}
+          >
+            ↓
+          </button>
+          <button type="button" className="btn btn-danger btn-sm" disabled={path.length === 1 && items.length === 1} onClick={() => setItems(removeAt(items, path))}>
+            Remove
+          </button>
+        </div>
+
+        {item.type === 'module' && (
+          <input
+            className="form-input"
+            placeholder="Description (optional)"
+            value={item.description}
+            onChange={(e) => update(path, { description: e.target.value })}
+          />
+        )}
+        {item.type === 'html' && (
+          <textarea
+            className="form-input"
+            rows={4}
+            placeholder="<h2>Page content</h2>"
+            value={item.body}
+            onChange={(e) => update(path, { body: e.target.value })}
+          />
+        )}
+        {item.type === 'link' && (
+          <input
+            className="form-input"
+            type="url"
+            placeholder="https://..."
+            value={item.url}
+            onChange={(e) => update(path, { url: e.target.value })}
+          />
+        )}
+        {item.type === 'file' && (
+          <input type="file" onChange={(e) => update(path, { file: e.target.files[0] || null })} />
+        )}
+
+        <div className="form-grid">
+          <label className="form-field">
+            Release date
+            <input className="form-input" type="datetime-local" value={item.startDate} onChange={(e) => update(path, { startDate: e.target.value })} />
+          </label>
+          <label className="form-field">
+            End date
+            <input className="form-input" type="datetime-local" value={item.endDate} onChange={(e) => update(path, { endDate: e.target.value })} />
+          </label>
+          <label className="form-field">
+            Due date
+            <input className="form-input" type="datetime-local" value={item.dueDate} onChange={(e) => update(path, { dueDate: e.target.value })} />
+          </label>
+        </div>
+        <div className="composer-flags">
+          <label className="checkbox-field">
+            <input type="checkbox" checked={item.isHidden} onChange={(e) => update(path, { isHidden: e.target.checked })} />
+            Hidden from students
+          </label>
+          <label className="checkbox-field">
+            <input type="checkbox" checked={item.isLocked} onChange={(e) => update(path, { isLocked: e.target.checked })} />
+            Locked
+          </label>
+        </div>
+        {renderErrors(path)}
+
+        {item.type === 'module' && (
+          <>
+            {item.children.map((child, childIndex) => renderItem(child, [...path, childIndex], item.children.length))}
+            <div className="action-buttons">
+              {ITEM_TYPES.map((type) => (
+                <button
+                  key={type.value}
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => update(path, { children: [...item.children, newItem(type.value)] })}
+                >
+                  ➕ {type.label}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="card" id="content-builder">
+      <h3>📚 Content Builder</h3>
+      <p>
+        {selectedCourse
+          ? `Builds modules, sub-modules and topics in course ${selectedCourse}, in the order shown.`
+          : 'Select a course before building content.'}
+      </p>
+      {parentModule && (
+        <div className="editable-row">
+          <span>Adding to the end of <strong>{parentModule.title}</strong></span>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onClearParent}>
+            Add at the top level instead
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        {fieldErrors.items && <span className="field-error">{fieldErrors.items}</span>}
+        {items.map((item, index) => renderItem(item, [index], items.length))}
+
+        <div className="action-buttons">
+          <button type="button" className="btn btn-secondary" onClick={() => setItems([...items, newItem()])}>
+            ➕ {parentModule ? 'Add Item' : 'Add Module'}
+          </button>
+          <button type="button" className="btn btn-secondary" disabled={!selectedCourse || isSubmitting} onClick={(e) => handleSubmit(e, { dryRun: true })}>
+            👁️ Preview
+          </button>
+          <button type="submit" className="btn btn-success" disabled={!selectedCourse || isSubmitting}>
+            {isSubmitting ? 'Creating...' : '📚 Create Content'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ContentTreeBuilderSection;
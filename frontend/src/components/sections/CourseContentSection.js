@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+const TOPIC_ICONS = {
+  File: '📄',
+  Link: '🔗',
+};
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// Visibility and release details shown next to a module or topic
+const ReleaseBadges = ({ item }) => (
+  <>
+    {item.isHidden && <span className="status-badge status-draft">Hidden</span>}
+    {item.isLocked && <span className="status-badge status-draft">Locked</span>}
+    {item.hasReleaseConditions && <span className="status-badge status-draft">Release conditions</span>}
+    {item.startDate && <span className="form-hint">from {formatDate(item.startDate)}</span>}
+    {item.endDate && <span className="form-hint">until {formatDate(item.endDate)}</span>}
+    {item.dueDate && <span className="form-hint">due {formatDate(item.dueDate)}</span>}
+  </>
+);
+
+const CourseContentSection = ({ authStatus, selectedCourse, tableOfContents, onLoadContent, onAddToModule }) => {
+  const [collapsed, setCollapsed] = useState({});
+
+  if (!authStatus) {
+    return null;
+  }
+
+  const toggle = (moduleId) => setCollapsed({ ...collapsed, [moduleId]: !collapsed[moduleId] });
+
+  const renderModule = (module) => {
+    const isCollapsed = collapsed[module.id];
+    const isEmpty = module.modules.length === 0 && module.topics.length === 0;
+
+    return (
+      <li key={`module-${module.id}`} className="toc-module">
+        <div className="editable-row">
+          <button type="button" className="btn btn-secondary btn-sm" disabled={isEmpty} onClick={() => toggle(module.id)}>
+            {isCollapsed || isEmpty ? '▸' : '▾'}
+          </button>
+          <strong>📁 {module.title}</strong>
+          <ReleaseBadges item={module} />
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => onAddToModule(module)}>
+            ➕ Add content here
+          </button>
+        </div>
+
+        {!isCollapsed && !isEmpty && (
+          <ul className="toc-tree">
+            {module.modules.map(renderModule)}
+            {module.topics.map((topic) => (
+              <li key={`topic-${topic.id}`} className="editable-row">
+                <span>{TOPIC_ICONS[topic.type] || '📄'} {topic.title}</span>
+                <ReleaseBadges item={topic} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const setAll = (isCollapsed) => {
+    const ids = [];
+    const collect = (modules) => modules.forEach((module) => {
+      ids.push(module.id);
+      collect(module.modules);
+    });
+    collect(tableOfContents?.modules || []);
+    setCollapsed(Object.fromEntries(ids.map((id) => [id, isCollapsed])));
+  };
+
+  return (
+    <div className="card" id="course-content">
+      <h3>🗂️ Course Content</h3>
+      <p>See what already exists in the course, including hidden and not yet released items.</p>
+
+      <div className="action-buttons">
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          disabled={!selectedCourse}
+          onClick={() => onLoadContent(selectedCourse)}
+        >
+          🔄 {tableOfContents ? 'Refresh' : 'Load Table of Contents'}
+        </button>
+        {tableOfContents && (
+          <>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAll(false)}>Expand all</button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAll(true)}>Collapse all</button>
+          </>
+        )}
+      </div>
+
+      {tableOfContents && (
+        <>
+          <p className="form-hint">
+            {tableOfContents.moduleCount} module(s), {tableOfContents.topicCount} topic(s)
+          </p>
+          {tableOfContents.modules.length === 0
+            ? <p className="form-hint">This course has no content yet.</p>
+            : <ul className="toc-tree">{tableOfContents.modules.map(renderModule)}</ul>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CourseContentSection;
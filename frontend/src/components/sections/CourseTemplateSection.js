@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+
+const SECTIONS = [
+  { value: 'content', label: '📚 Modules and topics' },
+  { value: 'forums', label: '💬 Discussion forums' },
+  { value: 'news', label: '📢 Announcements' },
+  { value: 'surveys', label: '📋 Surveys' },
+];
+
+const CourseTemplateSection = ({ authStatus, selectedCourse, onExportTemplate, onApplyTemplate }) => {
+  const [file, setFile] = useState(null);
+  const [fileKey, setFileKey] = useState(0);
+  const [dateOffsetDays, setDateOffsetDays] = useState(0);
+  const [include, setInclude] = useState(SECTIONS.map((section) => section.value));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isExporting, setIsExporting] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+
+  if (!authStatus) {
+    return null;
+  }
+
+  const toggleSection = (value) => setInclude(include.includes(value)
+    ? include.filter((section) => section !== value)
+    : [...include, value]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    await onExportTemplate(selectedCourse);
+    setIsExporting(false);
+  };
+
+  // options.dryRun previews the requests without creating anything
+  const handleApply = async (e, options = {}) => {
+    e.preventDefault();
+    setIsApplying(true);
+
+    const result = await onApplyTemplate(selectedCourse, file, dateOffsetDays, include, options);
+    setIsApplying(false);
+
+    if (result?.preview) {
+      setFieldErrors({});
+    } else if (result?.success) {
+      setFile(null);
+      setFileKey(fileKey + 1);
+      setFieldErrors({});
+    } else if (result?.fieldErrors) {
+      setFieldErrors(Object.fromEntries(result.fieldErrors.map((error) => [error.field, error.message])));
+    }
+  };
+
+  return (
+    <div className="card" id="course-template">
+      <h3>📦 Course Templates</h3>
+      <p>Copy a course's modules, topics, forums, announcements and surveys into another course.</p>
+
+      <div className="action-buttons">
+        <button type="button" className="btn btn-secondary" disabled={!selectedCourse || isExporting} onClick={handleExport}>
+          {isExporting ? 'Exporting...' : '⬇️ Export Template'}
+        </button>
+      </div>
+
+      <form onSubmit={handleApply}>
+        <label className="form-field">
+          Template file
+          <input key={fileKey} type="file" accept=".json,application/json" onChange={(e) => setFile(e.target.files[0] || null)} />
+        </label>
+        <label className="form-field">
+          Shift dates by (days)
+          <input
+            className="form-input"
+            type="number"
+            min={-3650}
+            max={3650}
+            value={dateOffsetDays}
+            onChange={(e) => setDateOffsetDays(e.target.value)}
+          />
+          <span className="form-hint">e.g. 7 moves every date a week later; negative numbers move dates earlier</span>
+        </label>
+        {fieldErrors.dateOffsetDays && <span className="field-error">{fieldErrors.dateOffsetDays}</span>}
+
+        <div className="composer-flags">
+          {SECTIONS.map((section) => (
+            <label key={section.value} className="checkbox-field">
+              <input type="checkbox" checked={include.includes(section.value)} onChange={() => toggleSection(section.value)} />
+              {section.label}
+            </label>
+          ))}
+        </div>
+        {Object.entries(fieldErrors)
+          .filter(([field]) => field !== 'dateOffsetDays')
+          .map(([field, message]) => <span key={field} className="field-error">{field}: {message}</span>)}
+
+        <div className="action-buttons">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            disabled={!selectedCourse || !file || include.length === 0 || isApplying}
+            onClick={(e) => handleApply(e, { dryRun: true })}
+          >
+            👁️ Preview
+          </button>
+          <button type="submit" className="btn btn-success" disabled={!selectedCourse || !file || include.length === 0 || isApplying}>
+            {isApplying ? 'Applying...' : `📦 Apply to Course ${selectedCourse || ''}`}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CourseTemplateSection;
@@ -0,0 +1,121 @@
+import React from 'react';
+import ContentComposer from './ContentComposer';
+
+const TOPIC_FLAGS = [
+  { name: 'isHidden', label: 'Hidden from students' },
+  { name: 'isLocked', label: 'Locked' },
+  { name: 'allowAnonymous', label: 'Allow anonymous posts' },
+  { name: 'requiresApproval', label: 'Posts require approval' },
+  { name: 'mustPostToParticipate', label: 'Must post before reading' },
+];
+
+const TOPIC_FIELDS = [
+  {
+    name: 'ratingType',
+    label: 'Post rating',
+    type: 'select',
+    default: 'None',
+    options: [
+      { value: 'None', label: 'No rating' },
+      { value: 'FiveStar', label: 'Five stars' },
+      { value: 'UpVoteDownVote', label: 'Up / down votes' },
+      { value: 'UpVoteOnly', label: 'Up votes only' },
+    ],
+  },
+  { name: 'scoreOutOf', label: 'Grade out of (leave blank for ungraded)', type: 'number', placeholder: 'e.g. 10' },
+  {
+    name: 'scoringType',
+    label: 'Topic score',
+    type: 'select',
+    default: 'AverageMessageScore',
+    options: [
+      { value: 'AverageMessageScore', label: 'Average of post scores' },
+      { value: 'MaximumMessageScore', label: 'Highest post score' },
+      { value: 'MinimumMessageScore', label: 'Lowest post score' },
+      { value: 'SumOfMessageScores', label: 'Sum of post scores' },
+    ],
+  },
+];
+
+const DiscussionTopicsPanel = ({
+  selectedCourse,
+  forums,
+  selectedForum,
+  topics,
+  onLoadForums,
+  onSelectForum,
+  onCreateTopic,
+  onUpdateTopic
+}) => {
+  const forum = forums?.find((item) => String(item.id) === String(selectedForum));
+
+  return (
+    <div className="card" id="topic-composer">
+      <h3>🧵 Discussion Topics</h3>
+      <p>Pick a forum to see its topics, lock or hide them, and add new ones.</p>
+
+      <div className="editable-row">
+        <select
+          className="form-input"
+          value={selectedForum}
+          disabled={!selectedCourse}
+          onChange={(e) => onSelectForum(e.target.value)}
+        >
+          <option value="">{forums ? 'Select a forum...' : 'Load forums first'}</option>
+          {(forums || []).map((item) => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          disabled={!selectedCourse}
+          onClick={() => onLoadForums(selectedCourse)}
+        >
+          🔄 Refresh
+        </button>
+      </div>
+
+      {forum && topics && (
+        <div className="result-item">
+          <h4>Topics in {forum.name}</h4>
+          {topics.length === 0 && <p className="form-hint">No topics yet.</p>}
+          {topics.map((topic) => (
+            <div key={topic.id} className="editable-row">
+              <span className="topic-name">
+                {topic.isLocked && '🔒 '}{topic.isHidden && '🙈 '}{topic.name}
+                {topic.scoreOutOf !== null && ` (graded /${topic.scoreOutOf})`}
+              </span>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => onUpdateTopic(topic.id, { isLocked: !topic.isLocked })}
+              >
+                {topic.isLocked ? 'Unlock' : 'Lock'}
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => onUpdateTopic(topic.id, { isHidden: !topic.isHidden })}
+              >
+                {topic.isHidden ? 'Show' : 'Hide'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {forum && (
+        <ContentComposer
+          heading={`➕ New Topic in ${forum.name}`}
+          submitLabel="🧵 Create Topic"
+          flags={TOPIC_FLAGS}
+          fields={TOPIC_FIELDS}
+          onSubmit={(payload, options) => onCreateTopic(selectedCourse, selectedForum, payload, options)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DiscussionTopicsPanel;
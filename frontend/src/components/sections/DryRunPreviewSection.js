@@ -0,0 +1,90 @@
+import React from 'react';
+
+// Valence rich text is { Text, Html }; the Html is what students will see
+const isRichText = (value) => Boolean(value) && typeof value === 'object' && typeof value.Html === 'string' && 'Text' in value;
+
+// [{ path, html }] for every non-empty rich text field in a request body
+const findRichText = (value, path = '') => {
+  if (isRichText(value)) return value.Html ? [{ path, html: value.Html }] : [];
+  if (Array.isArray(value)) return value.flatMap((item, index) => findRichText(item, `${path}[${index}]`));
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => findRichText(item, path ? `${path}.${key}` : key));
+  }
+  return [];
+};
+
+// Top-level names, dates and flags, for a quick look before the full body
+const getSettings = (body) => Object.entries(body || {})
+  .filter(([, value]) => value !== null && ['string', 'number', 'boolean'].includes(typeof value));
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const DryRunPreviewSection = ({ preview, onClose }) => {
+  if (!preview) {
+    return null;
+  }
+
+  const failedSteps = (preview.steps || []).filter((step) => !step.success);
+
+  return (
+    <div className="card" id="dry-run-preview">
+      <h3>👁️ Preview: {preview.label}</h3>
+      <p>{preview.message}. Nothing has been created yet; ids from earlier requests appear as placeholders.</p>
+
+      {failedSteps.map((step) => (
+        <span key={step.step} className="field-error">{step.step} {step.title}: {step.error}</span>
+      ))}
+      {(preview.skipped || []).map((item, index) => (
+        <p key={`skipped-${index}`} className="form-hint">
+          ⏭️ Skipped {item.section}{item.title ? ` "${item.title}"` : ''}: {item.reason}
+        </p>
+      ))}
+
+      {preview.requests.map((request, index) => (
+        <div key={index} className="result-item">
+          <div className="editable-row">
+            <strong>{index + 1}. {request.method}</strong>
+            <code>{request.url}</code>
+          </div>
+
+          {getSettings(request.body).length > 0 && (
+            <ul>
+              {getSettings(request.body).map(([key, value]) => (
+                <li key={key}><strong>{key}</strong>: {String(value)}</li>
+              ))}
+            </ul>
+          )}
+
+          {findRichText(request.body).map(({ path, html }) => (
+            <div key={path}>
+              <span className="form-hint">{path}</span>
+              {/* No scripts or forms: the preview only shows how the HTML renders */}
+              <iframe title={`Request ${index + 1} ${path}`} className="preview-frame" sandbox="" srcDoc={html} />
+            </div>
+          ))}
+
+          {request.files.map((file, fileIndex) => (
+            <p key={fileIndex} className="form-hint">
+              📎 {file.fileName || 'File content'} ({file.contentType || 'unknown type'}, {formatSize(file.size)})
+            </p>
+          ))}
+
+          {request.body && (
+            <details>
+              <summary>Request body</summary>
+              <pre className="preview-raw">{JSON.stringify(request.body, null, 2)}</pre>
+            </details>
+          )}
+        </div>
+      ))}
+
+      <div className="action-buttons">
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Close Preview
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DryRunPreviewSection;
@@ -1,4 +1,16 @@
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+
+const QUESTION_FILE_EXTENSIONS = ['.gift', '.aiken', '.xml', '.zip'];
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+// Plain-text question banks are told apart by their syntax, like the backend does
+const looksLikeQuestionText = (text) => (
+  /^ANSWER:\s*[A-Z]\s*$/im.test(text) || /\{[^}]*[=~][^}]*\}|\{\s*(T|F|TRUE|FALSE)\s*\}/i.test(text)
+);
 
 const FileUploadSection = ({ 
   selectedFiles, 
@@ -6,14 +18,60 @@ const FileUploadSection = ({
   courses, 
   selectedCourse, 
   onCourseChange, 
+  selectedCourses = [],
+  onCoursesChange,
+  onSearchCourses,
   authStatus, 
   onProcess,
+  onParseSyllabus,
+  onImportQuestions,
   onCreateAnnouncement,
   onCreateDiscussion,
-  onUploadToBrightspace
+  forums,
+  selectedForum,
+  onSelectForum,
+  onCreateTopic,
+  onUploadToBrightspace,
+  onUploadAllToBrightspace
 }) => {
   const fileInputRef = useRef(null);
   const [isDragOver, setIsDragOver] = useState(false);
+  const [courseSearch, setCourseSearch] = useState('');
+  const [multiCourse, setMultiCourse] = useState(selectedCourses.length > 1);
+  const [questionFiles, setQuestionFiles] = useState({});
+
+  // Flag files that look like GIFT, Aiken or QTI question banks
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(selectedFiles.map(async (file) => {
+      const extension = getExtension(file.name);
+      if (QUESTION_FILE_EXTENSIONS.includes(extension)) return true;
+      if (extension !== '.txt' || !file.text) return false;
+      return looksLikeQuestionText(await file.text());
+    })).then((flags) => {
+      if (!cancelled) {
+        setQuestionFiles(Object.fromEntries(selectedFiles.map((file, index) => [`${file.name}:${file.size}`, flags[index]])));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFiles]);
+
+  // Turning multi-select off keeps just the first course
+  const toggleMultiCourse = (enabled) => {
+    setMultiCourse(enabled);
+    if (!enabled) onCourseChange(selectedCourse);
+  };
+
+  const handleCourseSearch = (e) => {
+    e.preventDefault();
+    if (onSearchCourses) {
+      onSearchCourses(courseSearch.trim());
+    }
+  };
 
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -81,7 +139,8 @@ const FileUploadSection = ({
       >
         <div className="upload-icon">📁</div>
         <h3>Drop files here or click to browse</h3>
-        <p>Supports: PDF, DOC, DOCX, TXT, PNG, JPG, CSV, and more</p>
+        <p>Supports: PDF, Office documents, TXT, CSV, images, audio, video, and more</p>
+        <p>Quiz questions: GIFT, Aiken or QTI 2.1 (.xml / .zip)</p>
       </div>
 
       <input
@@ -89,7 +148,7 @@ const FileUploadSection = ({
         type="file"
         className="file-input"
         multiple
-        accept=".pdf,.doc,.docx,.txt,.png,.jpg,.jpeg,.csv,.xlsx,.pptx"
+        accept=".pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.rtf,.txt,.csv,.md,.html,.png,.jpg,.jpeg,.gif,.webp,.mp3,.m4a,.wav,.mp4,.mov,.webm,.gift,.aiken,.xml,.zip"
         onChange={handleFileInputChange}
       />
 
@@ -105,6 +164,22 @@ const FileUploadSection = ({
                 </div>
               </div>
               <div className="file-actions">
+                {onParseSyllabus && authStatus && (
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => onParseSyllabus(file)}
+                  >
+                    📑 Parse Syllabus
+                  </button>
+                )}
+                {onImportQuestions && authStatus && questionFiles[`${file.name}:${file.size}`] && (
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => onImportQuestions(file)}
+                  >
+                    ❓ Import Questions
+                  </button>
+                )}
                 <button
                   className="btn btn-danger btn-sm"
                   onClick={() => removeFile(index)}
@@ -120,22 +195,56 @@ const FileUploadSection = ({
       {selectedFiles.length > 0 && authStatus && (
         <div className="course-selection">
           <h3>🎓 Select Target Course</h3>
+          {onSearchCourses && (
+            <form className="course-search" onSubmit={handleCourseSearch}>
+              <input
+                className="form-input"
+                type="search"
+                placeholder="Search by course name or code..."
+                value={courseSearch}
+                onChange={(e) => setCourseSearch(e.target.value)}
+              />
+              <button type="submit" className="btn btn-secondary btn-sm">
+                🔍 Search
+              </button>
+            </form>
+          )}
+          {onCoursesChange && (
+            <label className="checkbox-field">
+              <input type="checkbox" checked={multiCourse} onChange={(e) => toggleMultiCourse(e.target.checked)} />
+              Publish to several courses
+            </label>
+          )}
           <select
             className="course-select"
-            value={selectedCourse}
-            onChange={(e) => onCourseChange(e.target.value)}
+            multiple={multiCourse}
+            size={multiCourse ? 6 : undefined}
+            value={multiCourse ? selectedCourses : selectedCourse}
+            onChange={(e) => (multiCourse
+              ? onCoursesChange(Array.from(e.target.selectedOptions, (option) => option.value))
+              : onCourseChange(e.target.value))}
           >
-            <option value="">Select a course...</option>
+            {!multiCourse && (
+              <option value="">
+                {courses.length === 0 ? 'No matching courses' : 'Select a course...'}
+              </option>
+            )}
             {courses.map((course) => (
               <option key={course.OrgUnit.Id} value={course.OrgUnit.Id}>
                 {course.OrgUnit.Name} ({course.OrgUnit.Code})
               </option>
             ))}
           </select>
+          {multiCourse && (
+            <p className="form-hint">
+              {selectedCourses.length} selected (Ctrl/Cmd-click to pick more). Announcements, forums, surveys and
+              uploads go to every selected course; the other tools use the first one.
+            </p>
+          )}
         </div>
       )}
 
-      {selectedFiles.length > 0 && (
+      {selectedFiles.length > 0 && authStatus && (
         <button className="btn btn-success" onClick={onProcess}>
           🤖 Process with Amplify AI
         </button>
@@ -149,11 +258,21 @@ const FileUploadSection = ({
               <button
                 key={index}
                 className="btn btn-primary"
-                onClick={() => onUploadToBrightspace && onUploadToBrightspace(file, selectedCourse || '540221')}
+                disabled={!selectedCourse}
+                onClick={() => onUploadToBrightspace && onUploadToBrightspace(file, selectedCourse)}
               >
                 📤 Upload {file.name}
+                {selectedCourses.length > 1 && ` to ${selectedCourses.length} Courses`}
               </button>
             ))}
+            {selectedFiles.length > 1 && selectedCourses.length <= 1 && (
+              <button
+                className="btn btn-success"
+                onClick={() => onUploadAllToBrightspace && onUploadAllToBrightspace(selectedFiles, selectedCourse)}
+              >
+                📤 Upload All {selectedFiles.length} Files
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -175,6 +294,27 @@ const FileUploadSection = ({
               💬 Create Discussion Forum
             </button>
           </div>
+          {forums && forums.length > 0 && (
+            <div className="editable-row">
+              <select
+                className="form-input"
+                value={selectedForum}
+                onChange={(e) => onSelectForum && onSelectForum(e.target.value)}
+              >
+                <option value="">Select a forum...</option>
+                {forums.map((forum) => (
+                  <option key={forum.id} value={forum.id}>{forum.name}</option>
+                ))}
+              </select>
+              <button
+                className="btn btn-primary"
+                disabled={!selectedForum}
+                onClick={() => onCreateTopic && onCreateTopic(selectedCourse, selectedForum)}
+              >
+                🧵 Add Topic
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,108 @@
+import React from 'react';
+
+const TASK_ICONS = {
+  pending: '⏳',
+  running: '🔄',
+  succeeded: '✅',
+  failed: '❌',
+  cancelled: '⏹️',
+};
+
+const isFinished = (job) => ['succeeded', 'failed', 'cancelled'].includes(job.status);
+
+// What a finished task created: an id, a file path, or nothing worth showing
+const describeResult = (result) => {
+  if (!result) return '';
+  if (result.path) return ` → ${result.path}`;
+  if (result.id) return ` (ID ${result.id})`;
+  return '';
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+const ProgressBar = ({ done, total }) => {
+  const percent = total === 0 ? 100 : Math.round((done / total) * 100);
+
+  return (
+    <div className="job-progress-bar" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={percent}>
+      <div className="job-progress-fill" style={{ width: `${percent}%` }} />
+    </div>
+  );
+};
+
+const JobProgressSection = ({ jobs, fileTransfer, onCancelJob, onRetryJob, onDismissJob, getTaskLabel }) => {
+  if (jobs.length === 0 && !fileTransfer) {
+    return null;
+  }
+
+  return (
+    <div className="card" id="job-progress">
+      <h3>⚙️ Background Jobs</h3>
+
+      {/* Files go to the server before their job starts */}
+      {fileTransfer && (
+        <div className="result-item">
+          <strong>📤 Sending files to the server</strong>
+          <ProgressBar done={fileTransfer.loaded} total={fileTransfer.total || fileTransfer.loaded} />
+          <p className="form-hint">{formatSize(fileTransfer.loaded)} of {formatSize(fileTransfer.total || fileTransfer.loaded)}</p>
+        </div>
+      )}
+
+      {jobs.map((job) => {
+        const { total, completed, succeeded, failed, cancelled } = job.progress;
+
+        return (
+          <div key={job.id} className="result-item">
+            <div className="editable-row">
+              <strong>{job.title}</strong>
+              <span className={`status-badge job-status-${job.status}`}>{job.status}</span>
+              {job.attempt > 1 && <span className="form-hint">attempt {job.attempt}</span>}
+            </div>
+
+            <ProgressBar done={completed} total={total} />
+            <p className="form-hint">
+              {completed} of {total} done: {succeeded} succeeded, {failed} failed{cancelled > 0 ? `, ${cancelled} cancelled` : ''}
+            </p>
+            {job.error && <span className="field-error">{job.error}</span>}
+
+            <ul className="job-task-list">
+              {job.tasks.map((task) => (
+                <li key={task.key}>
+                  {task.result?.partial ? '⚠️' : TASK_ICONS[task.status]} {getTaskLabel(job, task)}
+                  {task.status === 'succeeded' && describeResult(task.result)}
+                  {task.result?.partial && <span className="field-error"> created, but some steps failed</span>}
+                  {/* Uploads report bytes sent; shown while running and for a stopped transfer */}
+                  {task.progress && task.status !== 'succeeded' && (
+                    <span className="form-hint"> {formatSize(task.progress.done)} of {formatSize(task.progress.total)}</span>
+                  )}
+                  {task.progress && task.status === 'running' && <ProgressBar done={task.progress.done} total={task.progress.total} />}
+                  {task.error && <span className="field-error"> {task.error}</span>}
+                </li>
+              ))}
+            </ul>
+
+            <div className="action-buttons">
+              {!isFinished(job) && (
+                <button type="button" className="btn btn-danger btn-sm" onClick={() => onCancelJob(job.id)}>
+                  Cancel
+                </button>
+              )}
+              {['failed', 'cancelled'].includes(job.status) && (
+                <button type="button" className="btn btn-warning btn-sm" onClick={() => onRetryJob(job.id)}>
+                  🔁 Retry {total - succeeded} Unfinished
+                </button>
+              )}
+              {isFinished(job) && (
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => onDismissJob(job.id)}>
+                  Dismiss
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default JobProgressSection;
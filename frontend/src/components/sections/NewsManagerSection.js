@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (isoDate) => {
+  if (!isoDate) return '';
+  const date = new Date(isoDate);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleString() : '—');
+
+const NewsManagerSection = ({
+  authStatus,
+  selectedCourse,
+  newsItems,
+  onLoadNews,
+  onUpdateNews,
+  onDeleteNews
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  if (!authStatus) {
+    return null;
+  }
+
+  const startEditing = (item) => {
+    setEditingId(item.id);
+    setDraft({
+      title: item.title,
+      body: item.bodyHtml || item.bodyText,
+      startDate: toLocalInput(item.startDate),
+      endDate: toLocalInput(item.endDate),
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  // Only the fields that were edited, so an untouched end date that has
+  // already passed doesn't fail the server's future-date check
+  const saveEdit = async (item) => {
+    const changes = {};
+    if (draft.title !== item.title) changes.title = draft.title;
+    if (draft.body !== (item.bodyHtml || item.bodyText)) {
+      changes.body = draft.body;
+      changes.bodyFormat = 'html';
+    }
+    if (draft.startDate && draft.startDate !== toLocalInput(item.startDate)) {
+      changes.startDate = new Date(draft.startDate).toISOString();
+    }
+    if (draft.endDate !== toLocalInput(item.endDate)) {
+      if (draft.endDate) changes.endDate = new Date(draft.endDate).toISOString();
+      else changes.clearEndDate = true;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      cancelEditing();
+      return;
+    }
+
+    const saved = await onUpdateNews(item.id, changes);
+    if (saved) cancelEditing();
+  };
+
+  const confirmDelete = (item) => {
+    if (window.confirm(`Delete the announcement "${item.title}"? This cannot be undone.`)) {
+      onDeleteNews(item.id);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>🗂️ Manage Announcements</h3>
+      <p>Edit, publish, pin or delete the announcements already posted in the selected course.</p>
+      <button
+        type="button"
+        className="btn btn-primary"
+        disabled={!selectedCourse}
+        onClick={() => onLoadNews(selectedCourse)}
+      >
+        🔄 Load Announcements
+      </button>
+
+      {newsItems && newsItems.length === 0 && (
+        <p className="form-hint">No announcements in this course yet.</p>
+      )}
+
+      {newsItems && newsItems.map((item) => (
+        <div key={item.id} className="result-item news-item">
+          {editingId === item.id ? (
+            <>
+              <label className="form-field">
+                Title
+                <input
+                  className="form-input"
+                  value={draft.title}
+                  maxLength={128}
+                  onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                />
+              </label>
+              <label className="form-field">
+                Body (HTML)
+                <textarea
+                  className="form-input"
+                  rows={5}
+                  value={draft.body}
+                  onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                />
+              </label>
+              <div className="form-grid">
+                <label className="form-field">
+                  Start date
+                  <input
+                    className="form-input"
+                    type="datetime-local"
+                    value={draft.startDate}
+                    onChange={(e) => setDraft({ ...draft, startDate: e.target.value })}
+                  />
+                </label>
+                <label className="form-field">
+                  End date
+                  <input
+                    className="form-input"
+                    type="datetime-local"
+                    value={draft.endDate}
+                    onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+                  />
+                </label>
+              </div>
+              <div className="action-buttons">
+                <button type="button" className="btn btn-success btn-sm" onClick={() => saveEdit(item)}>
+                  💾 Save
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={cancelEditing}>
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <h4>
+                {item.isPinned && '📌 '}{item.title}
+                <span className={`status-badge ${item.isPublished ? 'status-published' : 'status-draft'}`}>
+                  {item.isPublished ? 'Published' : 'Draft'}
+                </span>
+              </h4>
+              <p className="form-hint">
+                Starts {formatDate(item.startDate)} · Ends {formatDate(item.endDate)}
+                {item.attachments.length > 0 && ` · 📎 ${item.attachments.length} attachment(s)`}
+              </p>
+              <p>{item.bodyText.length > 200 ? `${item.bodyText.slice(0, 200)}…` : item.bodyText}</p>
+              <div className="action-buttons">
+                <button type="button" className="btn btn-primary btn-sm" onClick={() => startEditing(item)}>
+                  ✏️ Edit
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => onUpdateNews(item.id, { isPublished: !item.isPublished })}
+                >
+                  {item.isPublished ? '🙈 Unpublish' : '📢 Publish'}
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => onUpdateNews(item.id, { isPinned: !item.isPinned })}
+                >
+                  {item.isPinned ? 'Unpin' : '📌 Pin'}
+                </button>
+                <button type="button" className="btn btn-danger btn-sm" onClick={() => confirmDelete(item)}>
+                  🗑️ Delete
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default NewsManagerSection;
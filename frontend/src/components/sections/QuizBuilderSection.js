@@ -0,0 +1,326 @@
+import React, { useEffect, useState } from 'react';
+
+const QUESTION_TYPES = [
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'true_false', label: 'True / false' },
+  { value: 'multi_select', label: 'Multi-select' },
+  { value: 'short_answer', label: 'Short answer' },
+];
+
+const newQuestion = (type = 'multiple_choice') => ({
+  type,
+  text: '',
+  points: 1,
+  feedback: '',
+  choices: [
+    { text: '', correct: true, feedback: '' },
+    { text: '', correct: false, feedback: '' },
+  ],
+  answer: true,
+  acceptedAnswers: '',
+});
+
+// Imported questions arrive in the API shape; the builder edits accepted answers as lines
+const toBuilderQuestion = (question) => ({
+  ...newQuestion(question.type),
+  ...question,
+  choices: question.choices?.length ? question.choices : newQuestion().choices,
+  answer: question.answer ?? true,
+  acceptedAnswers: (question.acceptedAnswers || []).join('\n'),
+});
+
+const emptyQuiz = (seed = {}) => ({
+  title: seed.title || '',
+  description: seed.description || '',
+  instructions: '',
+  timeLimitMinutes: '',
+  attemptsAllowed: '',
+  shuffleQuestions: false,
+  shuffleAnswers: false,
+  isActive: false,
+  questions: seed.questions?.length ? seed.questions.map(toBuilderQuestion) : [newQuestion()],
+});
+
+// Only send the fields that belong to each question type
+const toQuestionPayload = (question) => {
+  const base = {
+    type: question.type,
+    title: question.title || undefined,
+    text: question.text,
+    points: question.points === '' ? undefined : Number(question.points),
+    feedback: question.feedback,
+  };
+
+  switch (question.type) {
+    case 'true_false':
+      return { ...base, answer: question.answer };
+    case 'short_answer':
+      return {
+        ...base,
+        acceptedAnswers: question.acceptedAnswers.split('\n').map((answer) => answer.trim()).filter(Boolean),
+      };
+    default:
+      return { ...base, choices: question.choices };
+  }
+};
+
+const QuizBuilderSection = ({ authStatus, selectedCourse, seed, onCreateQuiz }) => {
+  const [quiz, setQuiz] = useState(() => emptyQuiz(seed));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // "Generate Quiz" in the results panel and question file imports start a fresh draft
+  useEffect(() => {
+    if (seed) {
+      setQuiz(emptyQuiz(seed));
+      setFieldErrors({});
+    }
+  }, [seed]);
+
+  if (!authStatus) {
+    return null;
+  }
+
+  const updateQuiz = (field, value) => setQuiz({ ...quiz, [field]: value });
+
+  const updateQuestion = (index, changes) => {
+    const questions = [...quiz.questions];
+    questions[index] = { ...questions[index], ...changes };
+    setQuiz({ ...quiz, questions });
+  };
+
+  const removeQuestion = (index) => {
+    setQuiz({ ...quiz, questions: quiz.questions.filter((_, i) => i !== index) });
+  };
+
+  const updateChoice = (questionIndex, choiceIndex, changes) => {
+    const question = quiz.questions[questionIndex];
+    const choices = question.choices.map((choice, i) => {
+      if (i === choiceIndex) return { ...choice, ...changes };
+      // Multiple choice has a single correct answer
+      if (changes.correct && question.type === 'multiple_choice') return { ...choice, correct: false };
+      return choice;
+    });
+    updateQuestion(questionIndex, { choices });
+  };
+
+  const addChoice = (questionIndex) => {
+    const question = quiz.questions[questionIndex];
+    updateQuestion(questionIndex, { choices: [...question.choices, { text: '', correct: false, feedback: '' }] });
+  };
+
+  const removeChoice = (questionIndex, choiceIndex) => {
+    const question = quiz.questions[questionIndex];
+    updateQuestion(questionIndex, { choices: question.choices.filter((_, i) => i !== choiceIndex) });
+  };
+
+  const errorFor = (prefix) => Object.entries(fieldErrors)
+    .filter(([field]) => field === prefix || field.startsWith(`${prefix}.`) || field.startsWith(`${prefix}[`))
+    .map(([, message]) => message);
+
+  const renderErrors = (prefix) => errorFor(prefix).map((message) => (
+    <span key={message} className="field-error">{message}</span>
+  ));
+
+  // options.dryRun previews the request without creating anything
+  const handleSubmit = async (e, options = {}) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    const result = await onCreateQuiz(selectedCourse, {
+      title: quiz.title,
+      description: quiz.description,
+      instructions: quiz.instructions,
+      timeLimitMinutes: quiz.timeLimitMinutes || undefined,
+      attemptsAllowed: quiz.attemptsAllowed || undefined,
+      shuffleQuestions: quiz.shuffleQuestions,
+      shuffleAnswers: quiz.shuffleAnswers,
+      isActive: quiz.isActive,
+      questions: quiz.questions.map(toQuestionPayload),
+    }, options);
+    setIsSubmitting(false);
+
+    if (result?.preview) {
+      setFieldErrors({});
+    } else if (result?.success) {
+      setQuiz(emptyQuiz());
+      setFieldErrors({});
+    } else if (result?.fieldErrors) {
+      setFieldErrors(Object.fromEntries(result.fieldErrors.map((error) => [error.field, error.message])));
+    }
+  };
+
+  const totalPoints = quiz.questions.reduce((sum, question) => sum + (Number(question.points) || 0), 0);
+
+  return (
+    <div className="card" id="quiz-builder">
+      <h3>❓ Quiz Builder</h3>
+      <p>{selectedCourse ? `Creates the quiz in course ${selectedCourse}.` : 'Select a course before creating a quiz.'}</p>
+
+      <form onSubmit={handleSubmit}>
+        <label className="form-field">
+          Title
+          <input className="form-input" value={quiz.title} maxLength={128} onChange={(e) => updateQuiz('title', e.target.value)} />
+          {renderErrors('title')}
+        </label>
+        <label className="form-field">
+          Description
+          <textarea className="form-input" rows={2} value={quiz.description} onChange={(e) => updateQuiz('description', e.target.value)} />
+        </label>
+        <label className="form-field">
+          Instructions
+          <textarea className="form-input" rows={2} value={quiz.instructions} onChange={(e) => updateQuiz('instructions', e.target.value)} />
+        </label>
+
+        <div className="form-grid">
+          <label className="form-field">
+            Time limit (minutes, blank for none)
+            <input className="form-input" type="number" min="1" value={quiz.timeLimitMinutes} onChange={(e) => updateQuiz('timeLimitMinutes', e.target.value)} />
+            {renderErrors('timeLimitMinutes')}
+          </label>
+          <label className="form-field">
+            Attempts allowed (blank for unlimited)
+            <input className="form-input" type="number" min="1" value={quiz.attemptsAllowed} onChange={(e) => updateQuiz('attemptsAllowed', e.target.value)} />
+            {renderErrors('attemptsAllowed')}
+          </label>
+        </div>
+
+        <div className="composer-flags">
+          <label className="checkbox-field">
+            <input type="checkbox" checked={quiz.shuffleQuestions} onChange={(e) => updateQuiz('shuffleQuestions', e.target.checked)} />
+            Shuffle questions
+          </label>
+          <label className="checkbox-field">
+            <input type="checkbox" checked={quiz.shuffleAnswers} onChange={(e) => updateQuiz('shuffleAnswers', e.target.checked)} />
+            Shuffle answers
+          </label>
+          <label className="checkbox-field">
+            <input type="checkbox" checked={quiz.isActive} onChange={(e) => updateQuiz('isActive', e.target.checked)} />
+            Visible to students
+          </label>
+        </div>
+
+        <h4>Questions ({quiz.questions.length}, {totalPoints} points)</h4>
+        {fieldErrors.questions && <span className="field-error">{fieldErrors.questions}</span>}
+
+        {quiz.questions.map((question, index) => (
+          <div key={index} className="result-item quiz-question">
+            <div className="editable-row">
+              <strong>Q{index + 1}</strong>
+              {question.title && <span className="form-hint">{question.title}</span>}
+              <select
+                className="form-input"
+                value={question.type}
+                onChange={(e) => updateQuestion(index, { type: e.target.value })}
+              >
+                {QUESTION_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <input
+                className="form-input form-input-narrow"
+                type="number"
+                min="0"
+                step="0.5"
+                title="Points"
+                value={question.points}
+                onChange={(e) => updateQuestion(index, { points: e.target.value })}
+              />
+              <button type="button" className="btn btn-danger btn-sm" onClick={() => removeQuestion(index)}>
+                Remove
+              </button>
+            </div>
+
+            <label className="form-field">
+              Question
+              <textarea className="form-input" rows={2} value={question.text} onChange={(e) => updateQuestion(index, { text: e.target.value })} />
+            </label>
+
+            {(question.type === 'multiple_choice' || question.type === 'multi_select') && (
+              <>
+                {question.choices.map((choice, choiceIndex) => (
+                  <div key={choiceIndex} className="editable-row">
+                    <input
+                      type={question.type === 'multiple_choice' ? 'radio' : 'checkbox'}
+                      name={`question-${index}-correct`}
+                      title="Correct answer"
+                      checked={choice.correct}
+                      onChange={(e) => updateChoice(index, choiceIndex, { correct: e.target.checked })}
+                    />
+                    <input
+                      className="form-input"
+                      placeholder={`Choice ${choiceIndex + 1}`}
+                      value={choice.text}
+                      onChange={(e) => updateChoice(index, choiceIndex, { text: e.target.value })}
+                    />
+                    <input
+                      className="form-input"
+                      placeholder="Feedback (optional)"
+                      value={choice.feedback}
+                      onChange={(e) => updateChoice(index, choiceIndex, { feedback: e.target.value })}
+                    />
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => removeChoice(index, choiceIndex)}>
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => addChoice(index)}>
+                  ➕ Add Choice
+                </button>
+              </>
+            )}
+
+            {question.type === 'true_false' && (
+              <div className="composer-flags">
+                <label className="checkbox-field">
+                  <input type="radio" name={`question-${index}-answer`} checked={question.answer} onChange={() => updateQuestion(index, { answer: true })} />
+                  True
+                </label>
+                <label className="checkbox-field">
+                  <input type="radio" name={`question-${index}-answer`} checked={!question.answer} onChange={() => updateQuestion(index, { answer: false })} />
+                  False
+                </label>
+              </div>
+            )}
+
+            {question.type === 'short_answer' && (
+              <label className="form-field">
+                Accepted answers (one per line)
+                <textarea
+                  className="form-input"
+                  rows={2}
+                  value={question.acceptedAnswers}
+                  onChange={(e) => updateQuestion(index, { acceptedAnswers: e.target.value })}
+                />
+              </label>
+            )}
+
+            <label className="form-field">
+              Feedback
+              <input className="form-input" value={question.feedback} onChange={(e) => updateQuestion(index, { feedback: e.target.value })} />
+            </label>
+            {renderErrors(`questions[${index}]`)}
+          </div>
+        ))}
+
+        <div className="action-buttons">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setQuiz({ ...quiz, questions: [...quiz.questions, newQuestion()] })}
+          >
+            ➕ Add Question
+          </button>
+          <button type="button" className="btn btn-secondary" disabled={!selectedCourse || isSubmitting} onClick={(e) => handleSubmit(e, { dryRun: true })}>
+            👁️ Preview
+          </button>
+          <button type="submit" className="btn btn-success" disabled={!selectedCourse || isSubmitting}>
+            {isSubmitting ? 'Creating...' : '❓ Create Quiz'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default QuizBuilderSection;
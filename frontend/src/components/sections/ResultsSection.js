@@ -1,7 +1,11 @@
 import React from 'react';
+import SyllabusEditor from './SyllabusEditor';
 
 const ResultsSection = ({
   results,
+  syllabus,
+  syllabusFileName,
+  onSyllabusChange,
   onPublishToBrightspace,
   onCreateModule,
   onGenerateQuiz,
@@ -12,39 +16,71 @@ const ResultsSection = ({
   onCreateDiscussion,
   selectedCourse,
 }) => {
-  if (!results) return null;
+  if (!results && !syllabus) return null;
 
   return (
     <div className="results-section show">
       <h2>🎯 AI Analysis Results</h2>
-      
-      <div className="amplify-results">
-        <h3>🤖 Amplify AI Analysis</h3>
-        <div className="result-item">
-          <h4>📊 Content Summary</h4>
-          <p>{results.summary || 'Content analyzed and processed'}</p>
-        </div>
-        <div className="result-item">
-          <h4>🏷️ Extracted Topics</h4>
-          <div>
-            {(results.topics || ['Machine Learning', 'Data Analysis', 'Course Content']).map((topic, index) => (
-              <span key={index} className="amplify-tag">{topic}</span>
-            ))}
+
+      <SyllabusEditor
+        syllabus={syllabus}
+        fileName={syllabusFileName}
+        onChange={onSyllabusChange}
+      />
+
+      {results && (
+        <div className="amplify-results">
+          <h3>🤖 Amplify AI Analysis</h3>
+          <div className="result-item">
+            <h4>📊 Content Summary</h4>
+            <p>{results.summary || 'No summary available'}</p>
+          </div>
+          <div className="result-item">
+            <h4>🏷️ Extracted Topics</h4>
+            <div>
+              {(results.topics || []).map((topic, index) => (
+                <span key={index} className="amplify-tag">{topic}</span>
+              ))}
+            </div>
+          </div>
+          <div className="result-item">
+            <h4>📝 Key Insights</h4>
+            <ul>
+              {(results.insights || []).map((insight, index) => (
+                <li key={index}>{insight}</li>
+              ))}
+            </ul>
           </div>
         </div>
-        <div className="result-item">
-          <h4>📝 Key Insights</h4>
-          <ul>
-            {(results.insights || [
-              'Educational content detected',
-              'Suitable for course integration',
-              'Contains actionable learning objectives'
-            ]).map((insight, index) => (
-              <li key={index}>{insight}</li>
-            ))}
-          </ul>
+      )}
+
+      {results && results.files && results.files.length > 1 && (
+        <div className="amplify-results">
+          <h3>📄 Per-File Analysis</h3>
+          {results.files.map((file, index) => (
+            <div key={index} className="result-item">
+              <h4>{file.name}</h4>
+              {file.error ? (
+                <p>⚠️ {file.error}</p>
+              ) : (
+                <>
+                  <p>{file.summary}</p>
+                  <div>
+                    {file.topics.map((topic, topicIndex) => (
+                      <span key={topicIndex} className="amplify-tag">{topic}</span>
+                    ))}
+                  </div>
+                  <ul>
+                    {file.insights.map((insight, insightIndex) => (
+                      <li key={insightIndex}>{insight}</li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          ))}
         </div>
-      </div>
+      )}
 
       <div className="two-column">
         <div>
@@ -0,0 +1,259 @@
+import React from 'react';
+
+const QUESTION_TYPES = [
+  { value: 'likert', label: 'Likert scale' },
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'rating', label: 'Rating' },
+  { value: 'text', label: 'Free text' },
+];
+
+const LIKERT_SCALES = [
+  { value: 'agreement', label: 'Agreement (strongly disagree - strongly agree)' },
+  { value: 'satisfaction', label: 'Satisfaction' },
+  { value: 'frequency', label: 'Frequency' },
+  { value: 'importance', label: 'Importance' },
+];
+
+const newQuestion = (type = 'likert') => ({
+  type,
+  text: '',
+  mandatory: false,
+  statements: '',
+  scale: 'agreement',
+  includeNotApplicable: false,
+  choices: '',
+  allowMultiple: false,
+  scaleMax: 5,
+  lowLabel: '',
+  highLabel: '',
+});
+
+export const newSection = (title = '') => ({ title, description: '', questions: [newQuestion()] });
+
+const toLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+// Only send the fields that belong to each question type
+const toQuestionPayload = (question) => {
+  const base = { type: question.type, text: question.text, mandatory: question.mandatory };
+
+  switch (question.type) {
+    case 'likert':
+      return {
+        ...base,
+        statements: toLines(question.statements),
+        scale: question.scale,
+        includeNotApplicable: question.includeNotApplicable,
+      };
+    case 'multiple_choice':
+      return { ...base, choices: toLines(question.choices), allowMultiple: question.allowMultiple };
+    case 'rating':
+      return {
+        ...base,
+        scaleMax: question.scaleMax === '' ? undefined : Number(question.scaleMax),
+        lowLabel: question.lowLabel,
+        highLabel: question.highLabel,
+      };
+    default:
+      return base;
+  }
+};
+
+// Statements and choices are edited one per line; the API takes lists
+export const toSurveySections = (sections) => sections.map((section) => ({
+  title: section.title || undefined,
+  description: section.description,
+  questions: section.questions.map(toQuestionPayload),
+}));
+
+const SurveyQuestionsEditor = ({ sections, onChange, fieldErrors = {} }) => {
+  const updateSection = (index, changes) => {
+    onChange(sections.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+  };
+
+  const updateQuestion = (sectionIndex, questionIndex, changes) => {
+    const questions = sections[sectionIndex].questions
+      .map((question, i) => (i === questionIndex ? { ...question, ...changes } : question));
+    updateSection(sectionIndex, { questions });
+  };
+
+  const moveSection = (index, offset) => {
+    const reordered = [...sections];
+    const [section] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, section);
+    onChange(reordered);
+  };
+
+  const renderErrors = (prefix, exact = false) => Object.entries(fieldErrors)
+    .filter(([field, message]) => message && (field === prefix || (!exact && field.startsWith(`${prefix}.`))))
+    .map(([field, message]) => <span key={field} className="field-error">{message}</span>);
+
+  const questionCount = sections.reduce((sum, section) => sum + section.questions.length, 0);
+
+  return (
+    <div className="form-field">
+      <h4>Questions ({questionCount})</h4>
+      <p className="form-hint">Sections appear in this order. Leave a section title blank to add its questions without a section heading.</p>
+      {renderErrors('sections', true)}
+
+      {sections.map((section, sectionIndex) => (
+        <div key={sectionIndex} className="result-item">
+          <div className="editable-row">
+            <input
+              className="form-input"
+              placeholder="Section title (optional)"
+              maxLength={128}
+              value={section.title}
+              onChange={(e) => updateSection(sectionIndex, { title: e.target.value })}
+            />
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              disabled={sectionIndex === 0}
+              onClick={() => moveSection(sectionIndex, -1)}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              disabled={sectionIndex === sections.length - 1}
+              onClick={() => moveSection(sectionIndex, 1)}
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger btn-sm"
+              onClick={() => onChange(sections.filter((_, i) => i !== sectionIndex))}
+            >
+              Remove Section
+            </button>
+          </div>
+          {section.title && (
+            <input
+              className="form-input"
+              placeholder="Section description (optional)"
+              value={section.description}
+              onChange={(e) => updateSection(sectionIndex, { description: e.target.value })}
+            />
+          )}
+
+          {section.questions.map((question, questionIndex) => {
+            const update = (changes) => updateQuestion(sectionIndex, questionIndex, changes);
+            const prefix = `sections[${sectionIndex}].questions[${questionIndex}]`;
+
+            return (
+              <div key={questionIndex} className="quiz-question">
+                <div className="editable-row">
+                  <strong>Q{questionIndex + 1}</strong>
+                  <select className="form-input" value={question.type} onChange={(e) => update({ type: e.target.value })}>
+                    {QUESTION_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                  <label className="checkbox-field">
+                    <input type="checkbox" checked={question.mandatory} onChange={(e) => update({ mandatory: e.target.checked })} />
+                    Mandatory
+                  </label>
+                  <button
+                    type="button"
+                    className="btn btn-danger btn-sm"
+                    onClick={() => updateSection(sectionIndex, {
+                      questions: section.questions.filter((_, i) => i !== questionIndex),
+                    })}
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                <label className="form-field">
+                  Question
+                  <textarea className="form-input" rows={2} value={question.text} onChange={(e) => update({ text: e.target.value })} />
+                </label>
+
+                {question.type === 'likert' && (
+                  <>
+                    <label className="form-field">
+                      Statements (one per line)
+                      <textarea className="form-input" rows={3} value={question.statements} onChange={(e) => update({ statements: e.target.value })} />
+                    </label>
+                    <div className="editable-row">
+                      <select className="form-input" value={question.scale} onChange={(e) => update({ scale: e.target.value })}>
+                        {LIKERT_SCALES.map((scale) => (
+                          <option key={scale.value} value={scale.value}>{scale.label}</option>
+                        ))}
+                      </select>
+                      <label className="checkbox-field">
+                        <input
+                          type="checkbox"
+                          checked={question.includeNotApplicable}
+                          onChange={(e) => update({ includeNotApplicable: e.target.checked })}
+                        />
+                        N/A option
+                      </label>
+                    </div>
+                  </>
+                )}
+
+                {question.type === 'multiple_choice' && (
+                  <>
+                    <label className="form-field">
+                      Choices (one per line)
+                      <textarea className="form-input" rows={3} value={question.choices} onChange={(e) => update({ choices: e.target.value })} />
+                    </label>
+                    <label className="checkbox-field">
+                      <input type="checkbox" checked={question.allowMultiple} onChange={(e) => update({ allowMultiple: e.target.checked })} />
+                      Allow several answers
+                    </label>
+                  </>
+                )}
+
+                {question.type === 'rating' && (
+                  <div className="form-grid">
+                    <label className="form-field">
+                      Scale from 1 to
+                      <input
+                        className="form-input"
+                        type="number"
+                        min="2"
+                        max="10"
+                        value={question.scaleMax}
+                        onChange={(e) => update({ scaleMax: e.target.value })}
+                      />
+                    </label>
+                    <label className="form-field">
+                      Low label
+                      <input className="form-input" placeholder="e.g. Poor" value={question.lowLabel} onChange={(e) => update({ lowLabel: e.target.value })} />
+                    </label>
+                    <label className="form-field">
+                      High label
+                      <input className="form-input" placeholder="e.g. Excellent" value={question.highLabel} onChange={(e) => update({ highLabel: e.target.value })} />
+                    </label>
+                  </div>
+                )}
+
+                {renderErrors(prefix)}
+              </div>
+            );
+          })}
+
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => updateSection(sectionIndex, { questions: [...section.questions, newQuestion()] })}
+          >
+            ➕ Add Question
+          </button>
+          {renderErrors(`sections[${sectionIndex}]`, true)}
+          {renderErrors(`sections[${sectionIndex}].title`)}
+        </div>
+      ))}
+
+      <button type="button" className="btn btn-secondary" onClick={() => onChange([...sections, newSection()])}>
+        ➕ Add Section
+      </button>
+    </div>
+  );
+};
+
+export default SurveyQuestionsEditor;
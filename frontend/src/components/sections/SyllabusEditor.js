@@ -0,0 +1,184 @@
+import React from 'react';
+
+const SyllabusEditor = ({ syllabus, fileName, onChange }) => {
+  if (!syllabus) return null;
+
+  const updateField = (group, field, value) => {
+    onChange({ ...syllabus, [group]: { ...syllabus[group], [field]: value } });
+  };
+
+  const updateList = (key, index, value) => {
+    const list = [...syllabus[key]];
+    list[index] = value;
+    onChange({ ...syllabus, [key]: list });
+  };
+
+  const addListItem = (key, item) => {
+    onChange({ ...syllabus, [key]: [...syllabus[key], item] });
+  };
+
+  const removeListItem = (key, index) => {
+    onChange({ ...syllabus, [key]: syllabus[key].filter((_, i) => i !== index) });
+  };
+
+  const updateGrading = (key, index, field, value) => {
+    const list = [...syllabus.grading[key]];
+    list[index] = { ...list[index], [field]: value };
+    onChange({ ...syllabus, grading: { ...syllabus.grading, [key]: list } });
+  };
+
+  const addGradingItem = (key, item) => {
+    onChange({ ...syllabus, grading: { ...syllabus.grading, [key]: [...syllabus.grading[key], item] } });
+  };
+
+  const removeGradingItem = (key, index) => {
+    onChange({ ...syllabus, grading: { ...syllabus.grading, [key]: syllabus.grading[key].filter((_, i) => i !== index) } });
+  };
+
+  const toNumber = (value) => (value === '' ? null : Number(value));
+
+  const totalWeight = syllabus.grading.components.reduce((sum, component) => sum + (Number(component.weight) || 0), 0);
+
+  return (
+    <div className="syllabus-editor">
+      <h3>📑 Syllabus{fileName ? `: ${fileName}` : ''}</h3>
+
+      {syllabus.warnings.length > 0 && (
+        <div className="result-item">
+          <h4>⚠️ Review Needed</h4>
+          <ul>
+            {syllabus.warnings.map((warning, index) => (
+              <li key={index}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="result-item">
+        <h4>🎓 Course</h4>
+        <div className="form-grid">
+          <label className="form-field">
+            Title
+            <input className="form-input" value={syllabus.course.title || ''} onChange={(e) => updateField('course', 'title', e.target.value)} />
+          </label>
+          <label className="form-field">
+            Code
+            <input className="form-input" value={syllabus.course.code || ''} onChange={(e) => updateField('course', 'code', e.target.value)} />
+          </label>
+          <label className="form-field">
+            Term
+            <input className="form-input" value={syllabus.course.term || ''} onChange={(e) => updateField('course', 'term', e.target.value)} />
+          </label>
+          <label className="form-field">
+            Credits
+            <input className="form-input" type="number" value={syllabus.course.credits ?? ''} onChange={(e) => updateField('course', 'credits', toNumber(e.target.value))} />
+          </label>
+        </div>
+        <label className="form-field">
+          Description
+          <textarea className="form-input" rows={3} value={syllabus.course.description || ''} onChange={(e) => updateField('course', 'description', e.target.value)} />
+        </label>
+      </div>
+
+      <div className="result-item">
+        <h4>👩‍🏫 Instructor</h4>
+        <div className="form-grid">
+          <label className="form-field">
+            Name
+            <input className="form-input" value={syllabus.instructor.name || ''} onChange={(e) => updateField('instructor', 'name', e.target.value)} />
+          </label>
+          <label className="form-field">
+            Email
+            <input className="form-input" type="email" value={syllabus.instructor.email || ''} onChange={(e) => updateField('instructor', 'email', e.target.value)} />
+          </label>
+          <label className="form-field">
+            Office
+            <input className="form-input" value={syllabus.instructor.office || ''} onChange={(e) => updateField('instructor', 'office', e.target.value)} />
+          </label>
+          <label className="form-field">
+            Office Hours
+            <input className="form-input" value={syllabus.instructor.officeHours || ''} onChange={(e) => updateField('instructor', 'officeHours', e.target.value)} />
+          </label>
+        </div>
+      </div>
+
+      <div className="result-item">
+        <h4>🎯 Learning Objectives</h4>
+        {syllabus.learningObjectives.map((objective, index) => (
+          <div key={index} className="editable-row">
+            <input className="form-input" value={objective} onChange={(e) => updateList('learningObjectives', index, e.target.value)} />
+            <button className="btn btn-danger btn-sm" onClick={() => removeListItem('learningObjectives', index)}>🗑️</button>
+          </div>
+        ))}
+        <button className="btn btn-secondary btn-sm" onClick={() => addListItem('learningObjectives', '')}>➕ Add Objective</button>
+      </div>
+
+      <div className="result-item">
+        <h4>📚 Required Textbooks</h4>
+        {syllabus.textbooks.map((book, index) => (
+          <div key={index} className="editable-row">
+            <input className="form-input" placeholder="Title" value={book.title || ''} onChange={(e) => updateList('textbooks', index, { ...book, title: e.target.value })} />
+            <input className="form-input" placeholder="Author" value={book.author || ''} onChange={(e) => updateList('textbooks', index, { ...book, author: e.target.value })} />
+            <input className="form-input" placeholder="ISBN" value={book.isbn || ''} onChange={(e) => updateList('textbooks', index, { ...book, isbn: e.target.value })} />
+            <button className="btn btn-danger btn-sm" onClick={() => removeListItem('textbooks', index)}>🗑️</button>
+          </div>
+        ))}
+        <button className="btn btn-secondary btn-sm" onClick={() => addListItem('textbooks', { title: '', author: null, isbn: null })}>➕ Add Textbook</button>
+      </div>
+
+      <div className="result-item">
+        <h4>🗓️ Weekly Schedule</h4>
+        {syllabus.schedule.map((entry, index) => (
+          <div key={index} className="editable-row">
+            <input className="form-input form-input-narrow" type="number" placeholder="Week" value={entry.week ?? ''} onChange={(e) => updateList('schedule', index, { ...entry, week: toNumber(e.target.value) })} />
+            <input className="form-input form-input-narrow" placeholder="Date" value={entry.date || ''} onChange={(e) => updateList('schedule', index, { ...entry, date: e.target.value })} />
+            <input className="form-input" placeholder="Topic" value={entry.topic || ''} onChange={(e) => updateList('schedule', index, { ...entry, topic: e.target.value })} />
+            <button className="btn btn-danger btn-sm" onClick={() => removeListItem('schedule', index)}>🗑️</button>
+          </div>
+        ))}
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={() => addListItem('schedule', { week: syllabus.schedule.length + 1, date: null, topic: '' })}
+        >
+          ➕ Add Week
+        </button>
+      </div>
+
+      <div className="result-item">
+        <h4>📊 Grading Breakdown ({totalWeight}%)</h4>
+        {syllabus.grading.components.map((component, index) => (
+          <div key={index} className="editable-row">
+            <input className="form-input" placeholder="Component" value={component.name} onChange={(e) => updateGrading('components', index, 'name', e.target.value)} />
+            <input className="form-input form-input-narrow" type="number" placeholder="%" value={component.weight ?? ''} onChange={(e) => updateGrading('components', index, 'weight', toNumber(e.target.value))} />
+            <button className="btn btn-danger btn-sm" onClick={() => removeGradingItem('components', index)}>🗑️</button>
+          </div>
+        ))}
+        <button className="btn btn-secondary btn-sm" onClick={() => addGradingItem('components', { name: '', weight: 0 })}>➕ Add Component</button>
+
+        <h4>🔤 Grading Scale</h4>
+        {syllabus.grading.scale.map((band, index) => (
+          <div key={index} className="editable-row">
+            <input className="form-input form-input-narrow" placeholder="Grade" value={band.grade} onChange={(e) => updateGrading('scale', index, 'grade', e.target.value)} />
+            <input className="form-input form-input-narrow" type="number" placeholder="Min %" value={band.min ?? ''} onChange={(e) => updateGrading('scale', index, 'min', toNumber(e.target.value))} />
+            <input className="form-input form-input-narrow" type="number" placeholder="Max %" value={band.max ?? ''} onChange={(e) => updateGrading('scale', index, 'max', toNumber(e.target.value))} />
+            <button className="btn btn-danger btn-sm" onClick={() => removeGradingItem('scale', index)}>🗑️</button>
+          </div>
+        ))}
+        <button className="btn btn-secondary btn-sm" onClick={() => addGradingItem('scale', { grade: '', min: 0, max: null })}>➕ Add Grade</button>
+      </div>
+
+      <div className="result-item">
+        <h4>📜 Policies</h4>
+        {syllabus.policies.map((policy, index) => (
+          <div key={index} className="editable-row">
+            <input className="form-input" value={policy} onChange={(e) => updateList('policies', index, e.target.value)} />
+            <button className="btn btn-danger btn-sm" onClick={() => removeListItem('policies', index)}>🗑️</button>
+          </div>
+        ))}
+        <button className="btn btn-secondary btn-sm" onClick={() => addListItem('policies', '')}>➕ Add Policy</button>
+      </div>
+    </div>
+  );
+};
+
+export default SyllabusEditor;
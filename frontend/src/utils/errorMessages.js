@@ -0,0 +1,35 @@
+// Turn an API error (axios error with a { error, code } body) into a message
+// that tells the user what went wrong and what to do about it
+export function getErrorMessage(error) {
+  const data = error.response?.data || {};
+  const serverMessage = data.error || error.message;
+
+  switch (data.code) {
+    case 'AUTH_REQUIRED':
+      return 'Your Brightspace session has expired. Please connect to Brightspace again.';
+    case 'PERMISSION_DENIED':
+      return 'You do not have permission to do this in the selected course.';
+    case 'NOT_FOUND':
+      return 'The course or item could not be found in Brightspace.';
+    case 'VALIDATION_FAILED':
+      return data.details && typeof data.details === 'string'
+        ? `${serverMessage} (${data.details})`
+        : serverMessage;
+    case 'FILE_REJECTED':
+      return Array.isArray(data.details)
+        ? `These files can't be uploaded: ${data.details.map((detail) => detail.message).join('; ')}`
+        : serverMessage;
+    case 'FILE_TOO_LARGE':
+      return 'The file is larger than the server accepts. Try a smaller or compressed version.';
+    case 'RATE_LIMITED':
+      return data.retryAfterSeconds
+        ? `Brightspace is busy. Please try again in ${data.retryAfterSeconds} seconds.`
+        : 'Brightspace is busy. Please try again in a moment.';
+    case 'UPSTREAM_ERROR':
+      return `Brightspace is not responding as expected. Please try again later. (${serverMessage})`;
+    case 'INTERNAL_ERROR':
+      return `Something went wrong on the server: ${serverMessage}`;
+    default:
+      return serverMessage;
+  }
+}